@@ -0,0 +1,239 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Result cache for the slow audit stages: crawl, PageSpeed and AI
+ * Entries are keyed by stage + normalized URL + the options that change the result,
+ * and expire after the stage's TTL
+ *
+ * Backend (AUDIT_CACHE):
+ * - 'memory' (default): per server process, gone after a restart
+ * - 'file': one JSON file per entry in AUDIT_CACHE_DIR (default .cache/audit)
+ * - 'sqlite': one table in AUDIT_CACHE_DB (default .cache/audit.sqlite), needs the optional better-sqlite3 package
+ * - 'off': every audit runs every stage
+ * Other stores plug in with registerCacheBackend('redis', () => ({ get, set }))
+ *
+ * TTLs in seconds: AUDIT_CACHE_TTL_CRAWL, AUDIT_CACHE_TTL_PAGESPEED, AUDIT_CACHE_TTL_AI
+ */
+
+// Pages change more often than their lab scores; the README tip suggests 24 hours per URL
+const DEFAULT_TTL_SECONDS = {
+  crawl: 60 * 60,
+  pagespeed: 24 * 60 * 60,
+  ai: 24 * 60 * 60
+};
+const MAX_MEMORY_ENTRIES = 200;
+// Query parameters that only track the visit and never change the page
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|_ga)$/i;
+
+const BACKENDS = {
+  memory: createMemoryBackend,
+  file: createFileBackend,
+  sqlite: createSQLiteBackend
+};
+
+let store = null;
+
+/**
+ * Add or replace a cache backend
+ * @param {string} name - value of AUDIT_CACHE that selects it
+ * @param {Function} factory - (async) () => { get(key), set(key, entry) }, methods sync or async;
+ *   entry: { value, stored_at, expires_at } (ms timestamps)
+ */
+export function registerCacheBackend(name, factory) {
+  BACKENDS[name] = factory;
+  store = null;
+}
+
+/**
+ * Run a stage through the cache
+ * Results that are null, carry an error or fail options.cacheable are returned but never stored
+ * @param {string} stage - 'crawl' | 'pagespeed' | 'ai'
+ * @param {Object} keyParts - { url, ...options that change the result }
+ * @param {Function} compute - async () => value, run on a miss (or forceRefresh)
+ * @param {Object} options - { forceRefresh: skip the read, still store the fresh value,
+ *   cacheable: (value) => false for results not worth keeping }
+ * @returns {Promise<Object>} { value, cache: { stage, backend, hit, stored_at, expires_at } }
+ */
+export async function withCache(stage, keyParts, compute, { forceRefresh = false, cacheable = () => true } = {}) {
+  const backend = await getStore();
+  if (!backend) {
+    return { value: await compute(), cache: { stage, backend: 'off', hit: false, stored_at: null, expires_at: null } };
+  }
+
+  const key = cacheKey(stage, keyParts);
+
+  if (!forceRefresh) {
+    const entry = await safely(() => backend.instance.get(key), stage);
+    if (entry && entry.expires_at > Date.now()) {
+      return { value: entry.value, cache: cacheInfo(stage, backend.name, true, entry) };
+    }
+  }
+
+  const value = await compute();
+  if (value === null || value === undefined || value.error || !cacheable(value)) {
+    return { value, cache: cacheInfo(stage, backend.name, false, null) };
+  }
+
+  const storedAt = Date.now();
+  const entry = { value, stored_at: storedAt, expires_at: storedAt + getTTL(stage) * 1000 };
+  await safely(() => backend.instance.set(key, entry), stage);
+
+  return { value, cache: cacheInfo(stage, backend.name, false, entry) };
+}
+
+/**
+ * Same page, same key: lowercase scheme & host, no default port, fragment or
+ * tracking parameters, remaining query parameters sorted
+ */
+export function normalizeCacheURL(url) {
+  try {
+    const urlObj = new URL(url);
+    urlObj.hash = '';
+    const params = [...urlObj.searchParams.entries()]
+      .filter(([name]) => !TRACKING_PARAMS.test(name))
+      .sort(([a], [b]) => a.localeCompare(b));
+    urlObj.search = new URLSearchParams(params).toString();
+    return urlObj.toString();
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Short stable fingerprint of any JSON-able value (e.g. the scoring result an AI answer depends on)
+ */
+export function fingerprint(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex').slice(0, 16);
+}
+
+function cacheKey(stage, { url, ...options }) {
+  const sorted = Object.fromEntries(Object.entries(options).sort(([a], [b]) => a.localeCompare(b)));
+  return `${stage}-${fingerprint({ url: url ? normalizeCacheURL(url) : null, ...sorted })}`;
+}
+
+function cacheInfo(stage, backend, hit, entry) {
+  return {
+    stage,
+    backend,
+    hit,
+    stored_at: entry ? new Date(entry.stored_at).toISOString() : null,
+    expires_at: entry ? new Date(entry.expires_at).toISOString() : null
+  };
+}
+
+function getTTL(stage) {
+  const configured = parseInt(process.env[`AUDIT_CACHE_TTL_${stage.toUpperCase()}`], 10);
+  return isNaN(configured) || configured < 0 ? DEFAULT_TTL_SECONDS[stage] ?? 60 * 60 : configured;
+}
+
+/**
+ * Backend picked by AUDIT_CACHE, created once per process (null when caching is off)
+ * An unknown or broken backend falls back to memory
+ */
+function getStore() {
+  if (!store) {
+    store = openStore((process.env.AUDIT_CACHE || 'memory').toLowerCase());
+  }
+  return store;
+}
+
+async function openStore(name) {
+  if (name === 'off' || name === 'none') return null;
+
+  try {
+    if (!BACKENDS[name]) throw new Error(`unknown backend "${name}"`);
+    return { name, instance: await BACKENDS[name]() };
+  } catch (error) {
+    console.log(`⚠️  Cache backend ${name} not available, using memory:`, error.message);
+    return { name: 'memory', instance: createMemoryBackend() };
+  }
+}
+
+// A broken cache must never break an audit
+async function safely(operation, stage) {
+  try {
+    return await operation();
+  } catch (error) {
+    console.log(`⚠️  Cache ${stage} failed:`, error.message);
+    return null;
+  }
+}
+
+function createMemoryBackend() {
+  // Stored as JSON like the other backends, so callers can't mutate a cached result
+  const entries = new Map();
+
+  return {
+    get: (key) => entries.has(key) ? JSON.parse(entries.get(key)) : null,
+    set: (key, entry) => {
+      entries.delete(key);
+      entries.set(key, JSON.stringify(entry));
+      // Map keeps insertion order, so the first key is the oldest write
+      if (entries.size > MAX_MEMORY_ENTRIES) {
+        entries.delete(entries.keys().next().value);
+      }
+    }
+  };
+}
+
+function createFileBackend() {
+  const dir = path.resolve(process.env.AUDIT_CACHE_DIR || '.cache/audit');
+  fs.mkdirSync(dir, { recursive: true });
+  const fileOf = (key) => path.join(dir, `${key}.json`);
+
+  return {
+    get: async (key) => {
+      try {
+        const entry = JSON.parse(await fs.promises.readFile(fileOf(key), 'utf8'));
+        if (entry.expires_at <= Date.now()) {
+          await fs.promises.rm(fileOf(key), { force: true });
+          return null;
+        }
+        return entry;
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    set: async (key, entry) => {
+      // Write then rename, so a concurrent read never sees half a file;
+      // the random part keeps two writes of the same key from sharing a temp file
+      const temp = `${fileOf(key)}.${process.pid}.${crypto.randomUUID()}.tmp`;
+      await fs.promises.writeFile(temp, JSON.stringify(entry));
+      await fs.promises.rename(temp, fileOf(key));
+    }
+  };
+}
+
+async function createSQLiteBackend() {
+  let Database;
+  try {
+    // Optional dependency, only loaded when this backend is picked (and kept out of the bundle)
+    Database = (await import(/* webpackIgnore: true */ 'better-sqlite3')).default;
+  } catch {
+    throw new Error('better-sqlite3 is not installed (npm install better-sqlite3)');
+  }
+
+  const file = path.resolve(process.env.AUDIT_CACHE_DB || '.cache/audit.sqlite');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec('CREATE TABLE IF NOT EXISTS audit_cache (key TEXT PRIMARY KEY, value TEXT NOT NULL, stored_at INTEGER NOT NULL, expires_at INTEGER NOT NULL)');
+  // Expired rows are dropped at startup; reads ignore them until then
+  db.prepare('DELETE FROM audit_cache WHERE expires_at <= ?').run(Date.now());
+
+  const select = db.prepare('SELECT value, stored_at, expires_at FROM audit_cache WHERE key = ?');
+  const upsert = db.prepare('INSERT OR REPLACE INTO audit_cache (key, value, stored_at, expires_at) VALUES (?, ?, ?, ?)');
+
+  return {
+    get: (key) => {
+      const row = select.get(key);
+      return row ? { value: JSON.parse(row.value), stored_at: row.stored_at, expires_at: row.expires_at } : null;
+    },
+    set: (key, entry) => {
+      upsert.run(key, JSON.stringify(entry.value), entry.stored_at, entry.expires_at);
+    }
+  };
+}
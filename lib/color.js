@@ -0,0 +1,378 @@
+/**
+ * CSS color parsing & WCAG contrast math
+ * Covers CSS Color Level 4 syntaxes: hex (3/4/6/8), rgb(), hsl(), hwb(),
+ * lab(), lch(), oklab(), oklch(), color(), named colors and transparent
+ */
+
+// CSS named colors (CSS Color Level 4)
+const NAMED_COLORS = {
+  aliceblue: 'f0f8ff', antiquewhite: 'faebd7', aqua: '00ffff', aquamarine: '7fffd4',
+  azure: 'f0ffff', beige: 'f5f5dc', bisque: 'ffe4c4', black: '000000',
+  blanchedalmond: 'ffebcd', blue: '0000ff', blueviolet: '8a2be2', brown: 'a52a2a',
+  burlywood: 'deb887', cadetblue: '5f9ea0', chartreuse: '7fff00', chocolate: 'd2691e',
+  coral: 'ff7f50', cornflowerblue: '6495ed', cornsilk: 'fff8dc', crimson: 'dc143c',
+  cyan: '00ffff', darkblue: '00008b', darkcyan: '008b8b', darkgoldenrod: 'b8860b',
+  darkgray: 'a9a9a9', darkgreen: '006400', darkgrey: 'a9a9a9', darkkhaki: 'bdb76b',
+  darkmagenta: '8b008b', darkolivegreen: '556b2f', darkorange: 'ff8c00', darkorchid: '9932cc',
+  darkred: '8b0000', darksalmon: 'e9967a', darkseagreen: '8fbc8f', darkslateblue: '483d8b',
+  darkslategray: '2f4f4f', darkslategrey: '2f4f4f', darkturquoise: '00ced1', darkviolet: '9400d3',
+  deeppink: 'ff1493', deepskyblue: '00bfff', dimgray: '696969', dimgrey: '696969',
+  dodgerblue: '1e90ff', firebrick: 'b22222', floralwhite: 'fffaf0', forestgreen: '228b22',
+  fuchsia: 'ff00ff', gainsboro: 'dcdcdc', ghostwhite: 'f8f8ff', gold: 'ffd700',
+  goldenrod: 'daa520', gray: '808080', green: '008000', greenyellow: 'adff2f',
+  grey: '808080', honeydew: 'f0fff0', hotpink: 'ff69b4', indianred: 'cd5c5c',
+  indigo: '4b0082', ivory: 'fffff0', khaki: 'f0e68c', lavender: 'e6e6fa',
+  lavenderblush: 'fff0f5', lawngreen: '7cfc00', lemonchiffon: 'fffacd', lightblue: 'add8e6',
+  lightcoral: 'f08080', lightcyan: 'e0ffff', lightgoldenrodyellow: 'fafad2', lightgray: 'd3d3d3',
+  lightgreen: '90ee90', lightgrey: 'd3d3d3', lightpink: 'ffb6c1', lightsalmon: 'ffa07a',
+  lightseagreen: '20b2aa', lightskyblue: '87cefa', lightslategray: '778899', lightslategrey: '778899',
+  lightsteelblue: 'b0c4de', lightyellow: 'ffffe0', lime: '00ff00', limegreen: '32cd32',
+  linen: 'faf0e6', magenta: 'ff00ff', maroon: '800000', mediumaquamarine: '66cdaa',
+  mediumblue: '0000cd', mediumorchid: 'ba55d3', mediumpurple: '9370db', mediumseagreen: '3cb371',
+  mediumslateblue: '7b68ee', mediumspringgreen: '00fa9a', mediumturquoise: '48d1cc', mediumvioletred: 'c71585',
+  midnightblue: '191970', mintcream: 'f5fffa', mistyrose: 'ffe4e1', moccasin: 'ffe4b5',
+  navajowhite: 'ffdead', navy: '000080', oldlace: 'fdf5e6', olive: '808000',
+  olivedrab: '6b8e23', orange: 'ffa500', orangered: 'ff4500', orchid: 'da70d6',
+  palegoldenrod: 'eee8aa', palegreen: '98fb98', paleturquoise: 'afeeee', palevioletred: 'db7093',
+  papayawhip: 'ffefd5', peachpuff: 'ffdab9', peru: 'cd853f', pink: 'ffc0cb',
+  plum: 'dda0dd', powderblue: 'b0e0e6', purple: '800080', rebeccapurple: '663399',
+  red: 'ff0000', rosybrown: 'bc8f8f', royalblue: '4169e1', saddlebrown: '8b4513',
+  salmon: 'fa8072', sandybrown: 'f4a460', seagreen: '2e8b57', seashell: 'fff5ee',
+  sienna: 'a0522d', silver: 'c0c0c0', skyblue: '87ceeb', slateblue: '6a5acd',
+  slategray: '708090', slategrey: '708090', snow: 'fffafa', springgreen: '00ff7f',
+  steelblue: '4682b4', tan: 'd2b48c', teal: '008080', thistle: 'd8bfd8',
+  tomato: 'ff6347', turquoise: '40e0d0', violet: 'ee82ee', wheat: 'f5deb3',
+  white: 'ffffff', whitesmoke: 'f5f5f5', yellow: 'ffff00', yellowgreen: '9acd32'
+};
+
+export const WHITE = { r: 255, g: 255, b: 255, a: 1 };
+
+// XYZ (D65) -> linear sRGB
+const XYZ_TO_SRGB = [
+  [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+  [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+  [0.05563007969699366, -0.20397695888897652, 1.0569715142428786]
+];
+
+// XYZ (D50) -> XYZ (D65), Bradford adaptation
+const D50_TO_D65 = [
+  [0.9554734527042182, -0.023098536874261423, 0.0632593086610217],
+  [-0.028369706963208136, 1.0099954580058226, 0.021041398966943008],
+  [0.012314001688319899, -0.020507696433477912, 1.3303659366080753]
+];
+
+// Linear Display P3 -> XYZ (D65)
+const P3_TO_XYZ = [
+  [0.4865709486482162, 0.26566769316909306, 0.1982172852343625],
+  [0.2289745640697488, 0.6917385218365064, 0.079286914093745],
+  [0, 0.04511338185890264, 1.043944368900976]
+];
+
+const D50_WHITE = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+
+/**
+ * Parse any CSS color into { r, g, b (0-255), a (0-1) }
+ * Returns null for unknown values (var(), currentColor, gradients, ...)
+ */
+export function parseColor(value) {
+  if (!value || typeof value !== 'string') return null;
+  const v = value.trim().toLowerCase();
+
+  if (v === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+  if (NAMED_COLORS[v]) return parseHex(NAMED_COLORS[v]);
+  if (v.startsWith('#')) return parseHex(v.slice(1));
+
+  const fnMatch = v.match(/^([a-z]+)\((.*)\)$/);
+  if (!fnMatch) return null;
+
+  const [, fn, body] = fnMatch;
+  const { channels, alpha } = splitArguments(body);
+  if (!channels) return null;
+
+  let color;
+  switch (fn) {
+    case 'rgb':
+    case 'rgba':
+      color = channels.length === 3 ? {
+        r: parseNumber(channels[0], 255),
+        g: parseNumber(channels[1], 255),
+        b: parseNumber(channels[2], 255)
+      } : null;
+      break;
+    case 'hsl':
+    case 'hsla':
+      color = channels.length === 3
+        ? hslToRgb(parseAngle(channels[0]), parseNumber(channels[1], 100), parseNumber(channels[2], 100))
+        : null;
+      break;
+    case 'hwb':
+      color = channels.length === 3
+        ? hwbToRgb(parseAngle(channels[0]), parseNumber(channels[1], 100), parseNumber(channels[2], 100))
+        : null;
+      break;
+    case 'lab':
+      color = channels.length === 3
+        ? labToRgb(parseNumber(channels[0], 100), parseNumber(channels[1], 125), parseNumber(channels[2], 125))
+        : null;
+      break;
+    case 'lch':
+      color = channels.length === 3
+        ? lchToRgb(parseNumber(channels[0], 100), parseNumber(channels[1], 150), parseAngle(channels[2]))
+        : null;
+      break;
+    case 'oklab':
+      color = channels.length === 3
+        ? oklabToRgb(parseNumber(channels[0], 1), parseNumber(channels[1], 0.4), parseNumber(channels[2], 0.4))
+        : null;
+      break;
+    case 'oklch':
+      color = channels.length === 3
+        ? oklchToRgb(parseNumber(channels[0], 1), parseNumber(channels[1], 0.4), parseAngle(channels[2]))
+        : null;
+      break;
+    case 'color':
+      color = parseColorFunction(channels);
+      break;
+    default:
+      color = null;
+  }
+
+  if (!color || [color.r, color.g, color.b].some(c => isNaN(c))) return null;
+
+  const a = alpha === undefined ? 1 : parseNumber(alpha, 1);
+  return {
+    r: clamp(Math.round(color.r), 0, 255),
+    g: clamp(Math.round(color.g), 0, 255),
+    b: clamp(Math.round(color.b), 0, 255),
+    a: isNaN(a) ? 1 : clamp(a, 0, 1)
+  };
+}
+
+/**
+ * Normalize any CSS color to "#rrggbb" (or "#rrggbbaa" when translucent)
+ */
+export function normalizeColor(value) {
+  const color = parseColor(value);
+  return color ? toHex(color) : null;
+}
+
+export function toHex({ r, g, b, a = 1 }) {
+  const hex = [r, g, b].map(c => c.toString(16).padStart(2, '0')).join('');
+  return a < 1 ? `#${hex}${Math.round(a * 255).toString(16).padStart(2, '0')}` : `#${hex}`;
+}
+
+/**
+ * Alpha-composite a (possibly translucent) color over an opaque backdrop
+ */
+export function compositeOver(top, backdrop) {
+  const a = top.a === undefined ? 1 : top.a;
+  if (a >= 1) return { ...top, a: 1 };
+
+  return {
+    r: Math.round(top.r * a + backdrop.r * (1 - a)),
+    g: Math.round(top.g * a + backdrop.g * (1 - a)),
+    b: Math.round(top.b * a + backdrop.b * (1 - a)),
+    a: 1
+  };
+}
+
+/**
+ * Relative luminance (WCAG 2.1) of an opaque color
+ */
+export function getLuminance({ r, g, b }) {
+  const [rl, gl, bl] = [r, g, b].map(c => {
+    const s = c / 255;
+    return s <= 0.03928 ? s / 12.92 : Math.pow((s + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * rl + 0.7152 * gl + 0.0722 * bl;
+}
+
+/**
+ * WCAG contrast ratio of text over a background
+ * Translucent backgrounds sit on white; translucent text is composited
+ * over its background. Returns null if either color can't be parsed.
+ */
+export function getContrastRatio(foreground, background) {
+  const fgColor = typeof foreground === 'string' ? parseColor(foreground) : foreground;
+  const bgColor = typeof background === 'string' ? parseColor(background) : background;
+  if (!fgColor || !bgColor) return null;
+
+  const bg = compositeOver(bgColor, WHITE);
+  const fg = compositeOver(fgColor, bg);
+
+  const l1 = getLuminance(fg);
+  const l2 = getLuminance(bg);
+
+  return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+}
+
+function parseHex(hex) {
+  if (!/^[0-9a-f]+$/i.test(hex)) return null;
+
+  let full = hex;
+  if (hex.length === 3 || hex.length === 4) {
+    full = hex.split('').map(c => c + c).join('');
+  } else if (hex.length !== 6 && hex.length !== 8) {
+    return null;
+  }
+
+  return {
+    r: parseInt(full.slice(0, 2), 16),
+    g: parseInt(full.slice(2, 4), 16),
+    b: parseInt(full.slice(4, 6), 16),
+    a: full.length === 8 ? parseInt(full.slice(6, 8), 16) / 255 : 1
+  };
+}
+
+/**
+ * Split "255, 0, 0, .5" or "255 0 0 / 50%" into channels + alpha
+ */
+function splitArguments(body) {
+  const trimmed = body.trim();
+
+  if (trimmed.includes(',')) {
+    const parts = trimmed.split(',').map(p => p.trim());
+    if (parts.length < 3 || parts.length > 4) return {};
+    return { channels: parts.slice(0, 3), alpha: parts[3] };
+  }
+
+  const [main, alpha] = trimmed.split('/').map(p => p.trim());
+  const channels = main.split(/\s+/).filter(Boolean);
+  return { channels, alpha };
+}
+
+/**
+ * Number or percentage; `percentScale` is the value 100% maps to
+ */
+function parseNumber(token, percentScale) {
+  if (token === 'none') return 0;
+  if (token.endsWith('%')) return (parseFloat(token) / 100) * percentScale;
+  return parseFloat(token);
+}
+
+/**
+ * Hue in degrees from deg/rad/grad/turn (unitless = degrees)
+ */
+function parseAngle(token) {
+  if (token === 'none') return 0;
+  const num = parseFloat(token);
+  if (token.endsWith('turn')) return num * 360;
+  if (token.endsWith('grad')) return num * 0.9;
+  if (token.endsWith('rad')) return num * 180 / Math.PI;
+  return num;
+}
+
+function hslToRgb(h, s, l) {
+  const sat = clamp(s, 0, 100) / 100;
+  const light = clamp(l, 0, 100) / 100;
+  const hue = ((h % 360) + 360) % 360;
+
+  const f = (n) => {
+    const k = (n + hue / 30) % 12;
+    const a = sat * Math.min(light, 1 - light);
+    return light - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+  };
+
+  return { r: f(0) * 255, g: f(8) * 255, b: f(4) * 255 };
+}
+
+function hwbToRgb(h, w, bl) {
+  let white = clamp(w, 0, 100) / 100;
+  let black = clamp(bl, 0, 100) / 100;
+
+  if (white + black >= 1) {
+    const gray = (white / (white + black)) * 255;
+    return { r: gray, g: gray, b: gray };
+  }
+
+  const base = hslToRgb(h, 100, 50);
+  const scale = (c) => ((c / 255) * (1 - white - black) + white) * 255;
+  return { r: scale(base.r), g: scale(base.g), b: scale(base.b) };
+}
+
+function labToRgb(L, a, b) {
+  const kappa = 24389 / 27;
+  const epsilon = 216 / 24389;
+
+  const fy = (L + 16) / 116;
+  const fx = fy + a / 500;
+  const fz = fy - b / 200;
+
+  const xyzD50 = [
+    (Math.pow(fx, 3) > epsilon ? Math.pow(fx, 3) : (116 * fx - 16) / kappa) * D50_WHITE[0],
+    (L > kappa * epsilon ? Math.pow(fy, 3) : L / kappa) * D50_WHITE[1],
+    (Math.pow(fz, 3) > epsilon ? Math.pow(fz, 3) : (116 * fz - 16) / kappa) * D50_WHITE[2]
+  ];
+
+  return linearToRgb(multiply(XYZ_TO_SRGB, multiply(D50_TO_D65, xyzD50)));
+}
+
+function lchToRgb(L, C, H) {
+  const rad = H * Math.PI / 180;
+  return labToRgb(L, C * Math.cos(rad), C * Math.sin(rad));
+}
+
+function oklabToRgb(L, a, b) {
+  const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+  const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+  const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+
+  return linearToRgb([
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+  ]);
+}
+
+function oklchToRgb(L, C, H) {
+  const rad = H * Math.PI / 180;
+  return oklabToRgb(L, C * Math.cos(rad), C * Math.sin(rad));
+}
+
+/**
+ * color(srgb r g b), color(srgb-linear ...), color(display-p3 ...)
+ */
+function parseColorFunction(channels) {
+  if (channels.length !== 4) return null;
+
+  const [space, ...values] = channels;
+  const [c1, c2, c3] = values.map(v => parseNumber(v, 1));
+
+  switch (space) {
+    case 'srgb':
+      return { r: c1 * 255, g: c2 * 255, b: c3 * 255 };
+    case 'srgb-linear':
+      return linearToRgb([c1, c2, c3]);
+    case 'display-p3': {
+      const linear = [c1, c2, c3].map(gammaDecode);
+      return linearToRgb(multiply(XYZ_TO_SRGB, multiply(P3_TO_XYZ, linear)));
+    }
+    default:
+      return null;
+  }
+}
+
+function linearToRgb([r, g, b]) {
+  return {
+    r: gammaEncode(r) * 255,
+    g: gammaEncode(g) * 255,
+    b: gammaEncode(b) * 255
+  };
+}
+
+function gammaEncode(c) {
+  const v = clamp(c, 0, 1);
+  return v <= 0.0031308 ? 12.92 * v : 1.055 * Math.pow(v, 1 / 2.4) - 0.055;
+}
+
+function gammaDecode(c) {
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+function multiply(matrix, vector) {
+  return matrix.map(row => row[0] * vector[0] + row[1] * vector[1] + row[2] * vector[2]);
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
@@ -1,207 +1,617 @@
 import * as cheerio from 'cheerio';
+import { computeStyles, matchesMedia, parseStylesheet } from './css.js';
+import { normalizeColor } from './color.js';
+import { checkRobots } from './robots.js';
+import { extractForms } from './forms.js';
+import { extractImages, fetchImageSizes } from './images.js';
+import { extractMobileInfo } from './mobile.js';
+import { extractResources, fetchResourceSizes } from './resources.js';
+import { extractPageSignals } from './pagetype.js';
+import { runPluginExtractors } from './plugins.js';
+import { fetchWithRedirects, safeFetch, validatePublicURL } from './network.js';
+
+export const USER_AGENT = 'Mozilla/5.0 (compatible; UXAuditorBot/1.0)';
+
+const MAX_HTML_LENGTH = 400000;
+const MAX_STYLESHEETS = 8;
+const MAX_STYLESHEET_LENGTH = 500000;
+const MAX_COLOR_PAIRS = 30;
+const MAX_SNIPPET_LENGTH = 160;
 
 /**
  * Fetch and parse HTML from URL
  * Returns structured data for scoring
+ * @param {Object} options - {
+ *   ignoreRobots: site owner skips the robots.txt check,
+ *   imageSizes: HEAD-request images for their byte size,
+ *   resourceSizes: HEAD-request scripts, stylesheets & fonts for the performance estimate
+ * }
  */
-export async function crawlURL(url) {
+export async function crawlURL(url, options = {}) {
   try {
-    // Validate URL
-    const urlObj = new URL(url);
-    
+    // Validate URL (scheme + public address, before anything is fetched)
+    const safety = await validatePublicURL(url);
+    if (safety.error) {
+      return { error: safety.error, code: safety.code };
+    }
+
+    if (!options.ignoreRobots) {
+      const robots = await checkRobots(safety.url);
+      if (!robots.allowed) {
+        return {
+          error: `Blocked by robots.txt (${robots.reason}). Site owners can re-run with the robots.txt override.`,
+          code: 'BLOCKED_BY_ROBOTS'
+        };
+      }
+    }
+
     // Fetch with timeout
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), 8000); // 8 second timeout
     
-    const response = await fetch(url, {
-      signal: controller.signal,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; UXAuditorBot/1.0)'
+    const startedAt = Date.now();
+    let response, redirects, responseMs, body;
+    try {
+      ({ response, redirects } = await fetchWithRedirects(safety.url, {
+        signal: controller.signal,
+        headers: {
+          'User-Agent': USER_AGENT
+        }
+      }));
+      responseMs = Date.now() - startedAt;
+      
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
       }
-    });
+      
+      // Decode with the declared charset (header first, then <meta charset>)
+      body = Buffer.from(await response.arrayBuffer());
+    } finally {
+      // Also when the fetch throws (unsafe redirect, DNS failure), so no timer outlives the crawl
+      clearTimeout(timeoutId);
+    }
+    const totalMs = Date.now() - startedAt;
     
-    clearTimeout(timeoutId);
+    const charset = getCharset(response.headers.get('content-type'), body);
+    const html = decodeBody(body, charset);
     
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}`);
-    }
+    // Relative links & stylesheets resolve against where the user actually lands
+    const finalUrl = response.url || safety.url;
     
-    const html = await response.text();
+    // Linked stylesheets feed the cascade for contrast & font-size checks
+    const stylesheets = html.length <= MAX_HTML_LENGTH
+      ? await fetchStylesheets(html, finalUrl)
+      : {};
     
-    // Limit HTML size (max 400KB)
-    if (html.length > 400000) {
-      return { error: 'Page too large (>400KB). Try another page.' };
-    }
+    const data = parseHTML(html, { url: finalUrl, stylesheets });
+    if (data.error) return data;
     
-    // Parse with Cheerio
-    const $ = cheerio.load(html);
+    const images = options.imageSizes ? await fetchImageSizes(data.images) : data.images;
+    const resources = options.resourceSizes ? await fetchResourceSizes(data.resources) : data.resources;
     
-    // Extract data
-    const data = {
-      url,
-      title: $('title').text().trim() || '',
-      meta_description: $('meta[name="description"]').attr('content') || '',
-      
-      // Headings
-      headings: {
-        h1: $('h1').map((i, el) => $(el).text().trim()).get(),
-        h2: $('h2').map((i, el) => $(el).text().trim()).get(),
-        h3: $('h3').map((i, el) => $(el).text().trim()).get()
-      },
-      
-      // Text content
-      paragraphs: $('p').map((i, el) => $(el).text().trim()).get().filter(p => p.length > 20),
-      
-      // Links & Buttons (CTAs)
-      links: $('a').map((i, el) => ({
-        text: $(el).text().trim(),
-        href: $(el).attr('href') || ''
-      })).get().filter(l => l.text.length > 0),
-      
-      buttons: $('button, input[type="submit"], a.btn, a.button, [role="button"]')
-        .map((i, el) => ({
-          text: $(el).text().trim() || $(el).attr('value') || '',
-          type: $(el).is('button, [role="button"]') ? 'button' : 'submit'
-        })).get().filter(b => b.text.length > 0),
-      
-      // Forms
-      forms: $('form').map((i, el) => ({
-        id: $(el).attr('id') || `form_${i}`,
-        inputs: $(el).find('input, textarea, select').map((j, input) => ({
-          type: $(input).attr('type') || 'text',
-          name: $(input).attr('name') || '',
-          label: $(input).closest('label').text().trim() || 
-                 $(`label[for="${$(input).attr('id')}"]`).text().trim() || '',
-          hasLabel: $(input).closest('label').length > 0 || 
-                   $(`label[for="${$(input).attr('id')}"]`).length > 0
-        })).get()
-      })).get(),
-      
-      // Images
-      images: $('img').map((i, el) => ({
-        src: $(el).attr('src') || '',
-        alt: $(el).attr('alt') || ''
-      })).get(),
-      
-      // CSS Analysis (basic)
-      css_summary: extractCSSInfo($, html),
-      
-      // Text stats
-      text_stats: {
-        total_text_length: $('body').text().trim().length,
-        html_length: html.length,
-        text_ratio: ($('body').text().trim().length / html.length * 100).toFixed(2)
-      }
+    return {
+      ...data,
+      images,
+      resources,
+      requested_url: url,
+      response: extractResponseInfo(response, redirects, {
+        requestedUrl: safety.url,
+        finalUrl,
+        charset,
+        responseMs,
+        totalMs,
+        bodyBytes: body.length
+      })
     };
     
-    return data;
-    
   } catch (error) {
     if (error.name === 'AbortError') {
       return { error: 'Request timeout. Page took too long to load.' };
     }
+    if (error.code === 'UNSAFE_URL' || error.code === 'TOO_MANY_REDIRECTS') {
+      return { error: error.message, code: error.code };
+    }
     return { error: error.message };
   }
 }
 
+/**
+ * Summarize how the page was served: redirect chain, timing, encoding & caching
+ */
+function extractResponseInfo(response, redirects, info) {
+  const headers = response.headers;
+  const contentLength = headers.get('content-length');
+  
+  // Every hop from https to http, including the final landing URL
+  const hops = [...redirects.map(r => r.url), info.finalUrl];
+  const downgrades = [];
+  for (let i = 1; i < hops.length; i++) {
+    if (hops[i - 1].startsWith('https:') && hops[i].startsWith('http:')) {
+      downgrades.push({ from: hops[i - 1], to: hops[i] });
+    }
+  }
+  
+  return {
+    requested_url: info.requestedUrl,
+    final_url: info.finalUrl,
+    status: response.status,
+    redirects,
+    redirect_count: redirects.length,
+    https_downgrades: downgrades,
+    timing: {
+      redirect_ms: redirects.reduce((sum, r) => sum + r.time_ms, 0),
+      response_ms: info.responseMs,
+      total_ms: info.totalMs,
+      server_timing: parseServerTiming(headers.get('server-timing'))
+    },
+    content_type: (headers.get('content-type') || '').split(';')[0].trim() || null,
+    charset: info.charset,
+    // fetch() already decompressed the body; the header says how it travelled
+    compression: headers.get('content-encoding') || 'none',
+    transfer_bytes: contentLength ? parseInt(contentLength, 10) : null,
+    body_bytes: info.bodyBytes,
+    cache: {
+      cache_control: headers.get('cache-control'),
+      expires: headers.get('expires'),
+      etag: headers.get('etag'),
+      last_modified: headers.get('last-modified'),
+      age: headers.get('age'),
+      vary: headers.get('vary')
+    },
+    security_headers: {
+      strict_transport_security: headers.get('strict-transport-security'),
+      content_security_policy: headers.get('content-security-policy'),
+      content_security_policy_report_only: headers.get('content-security-policy-report-only'),
+      x_frame_options: headers.get('x-frame-options'),
+      referrer_policy: headers.get('referrer-policy'),
+      permissions_policy: headers.get('permissions-policy'),
+      x_content_type_options: headers.get('x-content-type-options')
+    }
+  };
+}
+
+/**
+ * Server-Timing: db;dur=53;desc="Database", app;dur=47.2
+ */
+function parseServerTiming(header) {
+  if (!header) return [];
+  
+  return header.split(',').map(entry => {
+    const [name, ...params] = entry.split(';').map(part => part.trim());
+    const metric = { name, duration_ms: null, description: null };
+    params.forEach(param => {
+      const [key, value = ''] = param.split('=').map(part => part.trim());
+      if (key.toLowerCase() === 'dur') metric.duration_ms = parseFloat(value);
+      if (key.toLowerCase() === 'desc') metric.description = value.replace(/^"|"$/g, '');
+    });
+    return metric;
+  }).filter(metric => metric.name);
+}
+
+/**
+ * Charset from the Content-Type header, else from <meta> in the first 2KB
+ */
+function getCharset(contentType, body) {
+  const fromHeader = (contentType || '').match(/charset=["']?([\w-]+)/i);
+  if (fromHeader) return fromHeader[1].toLowerCase();
+  
+  const head = body.subarray(0, 2048).toString('latin1');
+  const fromMeta = head.match(/<meta[^>]+charset=["']?([\w-]+)/i);
+  return fromMeta ? fromMeta[1].toLowerCase() : 'utf-8';
+}
+
+function decodeBody(body, charset) {
+  try {
+    return new TextDecoder(charset).decode(body);
+  } catch {
+    // Unknown label: fall back to UTF-8 like browsers do for most pages
+    return new TextDecoder('utf-8').decode(body);
+  }
+}
+
+/**
+ * Parse an HTML document into structured data for scoring
+ * Works fully offline (no network access)
+ * @param {string} html - Raw HTML
+ * @param {Object} options - {
+ *   url: page URL or pseudo-URL for uploads,
+ *   source: 'url' | 'html' | 'file',
+ *   stylesheets: { [absoluteHref]: cssText } for linked stylesheets,
+ *   baseUrl: resolves stylesheet hrefs (defaults to url)
+ * }
+ */
+export function parseHTML(html, options = {}) {
+  const { url = '', source = 'url', stylesheets = {} } = options;
+  const baseUrl = options.baseUrl || url;
+  
+  // Limit HTML size (max 400KB)
+  if (html.length > MAX_HTML_LENGTH) {
+    return { error: 'Page too large (>400KB). Try another page.' };
+  }
+  
+  // Parse with Cheerio (source locations give every node a line number)
+  const $ = cheerio.load(html, { sourceCodeLocationInfo: true });
+  const paragraphEls = $('p').filter((i, el) => $(el).text().trim().length > 20).toArray();
+  const cssSources = collectStylesheetTexts($, stylesheets, baseUrl);
+  
+  // Extract data
+  const data = {
+    url,
+    source,
+    title: $('title').text().trim() || '',
+    lang: ($('html').attr('lang') || '').trim(),
+    meta_description: $('meta[name="description"]').attr('content') || '',
+    
+    // Headings (flat per level + h1-h6 in document order with nesting)
+    headings: {
+      h1: $('h1').map((i, el) => $(el).text().trim()).get(),
+      h2: $('h2').map((i, el) => $(el).text().trim()).get(),
+      h3: $('h3').map((i, el) => $(el).text().trim()).get(),
+      ...extractHeadingOutline($)
+    },
+    
+    // Text content (locators in the same order as paragraphs)
+    paragraphs: paragraphEls.map(el => $(el).text().trim()),
+    paragraph_locators: paragraphEls.map(el => locateElement($, el)),
+    
+    // Links & Buttons (CTAs)
+    links: $('a').map((i, el) => ({
+      text: $(el).text().trim(),
+      href: $(el).attr('href') || '',
+      locator: locateElement($, el)
+    })).get().filter(l => l.text.length > 0),
+    
+    buttons: $('button, input[type="submit"], a.btn, a.button, [role="button"]')
+      .map((i, el) => ({
+        text: $(el).text().trim() || $(el).attr('value') || '',
+        type: $(el).is('button, [role="button"]') ? 'button' : 'submit',
+        locator: locateElement($, el)
+      })).get().filter(b => b.text.length > 0),
+    
+    // Forms (per-field attributes for form-usability checks)
+    forms: extractForms($),
+    
+    // Images (dimensions, loading, format & position for optimization checks)
+    images: extractImages($, baseUrl),
+    
+    // http:// subresources (mixed content when the page is served over https)
+    insecure_resources: extractInsecureResources($),
+    
+    // CSS Analysis (cascade from <style>, linked stylesheets & inline styles)
+    css_summary: extractCSSInfo($, cssSources),
+    
+    // Viewport, media queries, fixed widths, responsive images, tiny fonts
+    mobile: extractMobileInfo($, cssSources),
+    
+    // Structured data, prices, cart buttons, article markup (page type detection)
+    page_signals: extractPageSignals($),
+    
+    // Scripts, stylesheets, fonts & iframes (offline performance estimate)
+    resources: extractResources($, { baseUrl, stylesheets }),
+    
+    // Text stats
+    text_stats: {
+      total_text_length: $('body').text().trim().length,
+      html_length: html.length,
+      text_ratio: ($('body').text().trim().length / html.length * 100).toFixed(2)
+    }
+  };
+  
+  // Facts for project rule plugins (lib/plugins.js), keyed by plugin name
+  data.plugins = runPluginExtractors($, data);
+  
+  return data;
+}
+
+/**
+ * Subresources referenced over plain http://
+ * Active content (scripts, stylesheets, frames) is blocked by browsers on https pages;
+ * passive content (images, media) is auto-upgraded or shown with a warning
+ */
+function extractInsecureResources($) {
+  const sources = [
+    { selector: 'script[src]', attr: 'src', active: true },
+    { selector: 'link[href]', attr: 'href', active: true },
+    { selector: 'iframe[src]', attr: 'src', active: true },
+    { selector: 'img[src]', attr: 'src', active: false },
+    { selector: 'video[src], audio[src], source[src]', attr: 'src', active: false }
+  ];
+  
+  const resources = [];
+  sources.forEach(({ selector, attr, active }) => {
+    $(selector).each((i, el) => {
+      const value = ($(el).attr(attr) || '').trim();
+      if (!/^http:\/\//i.test(value)) return;
+      
+      // <link rel="canonical|alternate"> is navigation, not a subresource
+      const rel = ($(el).attr('rel') || '').toLowerCase();
+      if (el.name === 'link' && !/stylesheet|icon|preload|manifest/.test(rel)) return;
+      
+      // Only stylesheets and preloaded scripts/styles count as active for <link>
+      const isActive = el.name === 'link' ? /stylesheet|preload/.test(rel) : active;
+      resources.push({ tag: el.name, url: value, active: isActive, locator: locateElement($, el) });
+    });
+  });
+  
+  return resources;
+}
+
+/**
+ * Collect h1-h6 in document order and nest them into an outline
+ * Returns { all: [{ index, level, text, styling_only }], outline: [{ ...heading, children }] }
+ */
+function extractHeadingOutline($) {
+  const all = $('h1, h2, h3, h4, h5, h6').map((i, el) => ({
+    index: i,
+    level: parseInt(el.name.substring(1), 10),
+    text: $(el).text().trim().replace(/\s+/g, ' '),
+    styling_only: getStylingOnlyReason($, el),
+    locator: locateElement($, el)
+  })).get();
+  
+  // Each heading nests under the closest preceding heading of a higher level
+  const outline = [];
+  const stack = [];
+  all.forEach(heading => {
+    const node = { ...heading, children: [] };
+    while (stack.length > 0 && stack[stack.length - 1].level >= node.level) {
+      stack.pop();
+    }
+    if (stack.length > 0) {
+      stack[stack.length - 1].children.push(node);
+    } else {
+      outline.push(node);
+    }
+    stack.push(node);
+  });
+  
+  return { all, outline };
+}
+
+/**
+ * Why a heading looks like it is used for visual styling rather than structure
+ * Returns a short reason, or null for a regular heading
+ */
+function getStylingOnlyReason($, el) {
+  const $el = $(el);
+  const role = ($el.attr('role') || '').toLowerCase();
+  const text = $el.text().trim();
+  
+  if (role === 'presentation' || role === 'none') return 'role="presentation"';
+  if ($el.attr('aria-hidden') === 'true') return 'aria-hidden';
+  if ($el.closest('a, button, label').length > 0) return 'inside a link/button';
+  if (text.length > 0 && !/\p{L}/u.test(text)) return 'no words (numbers/symbols only)';
+  
+  return null;
+}
+
+/**
+ * Fetch linked stylesheets (one level of @import is inlined)
+ * Returns { [absoluteHref]: cssText }; failures are skipped silently
+ */
+async function fetchStylesheets(html, pageUrl) {
+  const $ = cheerio.load(html);
+  const hrefs = [];
+  
+  $('link[rel~="stylesheet"], link[rel="preload"][as="style"]').each((i, el) => {
+    const absolute = resolveStylesheetHref($(el).attr('href'), pageUrl);
+    if (absolute && matchesMedia($(el).attr('media')) && !hrefs.includes(absolute)) {
+      hrefs.push(absolute);
+    }
+  });
+  
+  const stylesheets = {};
+  await Promise.all(hrefs.slice(0, MAX_STYLESHEETS).map(async (href) => {
+    let css = await fetchStylesheetText(href);
+    if (css === null) return;
+    
+    // Imported rules come before the importing sheet's own rules
+    const { imports } = parseStylesheet(css);
+    const imported = await Promise.all(
+      imports.slice(0, MAX_STYLESHEETS).map(importHref => {
+        const absolute = resolveStylesheetHref(importHref, href);
+        return absolute ? fetchStylesheetText(absolute) : null;
+      })
+    );
+    css = [...imported.filter(Boolean), css].join('\n');
+    
+    stylesheets[href] = css;
+  }));
+  
+  return stylesheets;
+}
+
+/**
+ * Fetch one stylesheet, null on failure or oversized files
+ */
+async function fetchStylesheetText(href) {
+  try {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 5000);
+    
+    const response = await safeFetch(href, {
+      signal: controller.signal,
+      headers: {
+        'User-Agent': USER_AGENT
+      }
+    });
+    
+    clearTimeout(timeoutId);
+    
+    if (!response.ok) return null;
+    
+    const css = await response.text();
+    return css.length <= MAX_STYLESHEET_LENGTH ? css : null;
+  } catch (error) {
+    console.log(`⚠️  Stylesheet not loaded (${href}):`, error.message);
+    return null;
+  }
+}
+
+function resolveStylesheetHref(href, baseUrl) {
+  if (!href) return null;
+  try {
+    return new URL(href, baseUrl).toString();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Stylesheets in document order: <style> blocks and loaded <link>s
+ * Returns [{ css, media }] (media is the element's media attribute, if any)
+ */
+function collectStylesheetTexts($, stylesheets, baseUrl) {
+  const sources = [];
+  
+  $('link[rel~="stylesheet"], link[rel="preload"][as="style"], style').each((i, el) => {
+    const media = $(el).attr('media') || '';
+    
+    if (el.name === 'style') {
+      sources.push({ css: $(el).html() || '', media });
+    } else {
+      const href = resolveStylesheetHref($(el).attr('href'), baseUrl);
+      if (href && stylesheets[href]) {
+        sources.push({ css: stylesheets[href], media });
+      }
+    }
+  });
+  
+  return sources;
+}
+
 /**
  * Extract CSS information for color contrast analysis
+ * Resolves the cascade for every text-bearing element
  */
-function extractCSSInfo($, html) {
+function extractCSSInfo($, cssSources) {
   const colors = new Set();
   const colorPairs = [];
   
   // Extract inline styles
   $('[style]').each((i, el) => {
     const style = $(el).attr('style');
-    const colorMatches = style.match(/#[0-9a-fA-F]{3,6}|rgb\([^)]+\)|rgba\([^)]+\)/g);
+    const colorMatches = style.match(/#[0-9a-fA-F]{3,8}\b|(?:rgba?|hsla?|hwb|lab|lch|oklab|oklch)\([^)]+\)/g);
     if (colorMatches) {
-      colorMatches.forEach(c => colors.add(c));
+      colorMatches.map(normalizeColor).filter(Boolean).forEach(c => colors.add(c));
     }
   });
   
-  // Common color pairs to check
-  const bodyBg = extractColor($('body').css('background-color')) || '#ffffff';
-  const bodyColor = extractColor($('body').css('color')) || '#000000';
+  // Desktop cascade: only stylesheets whose media attribute applies
+  const cssTexts = cssSources
+    .filter(source => matchesMedia(source.media))
+    .map(source => source.css);
+  
+  const { styles: computed, truncated } = computeStyles($, cssTexts);
+  
+  // Body colors are the fallback for anything we can't parse
+  const bodyEl = $('body').get(0);
+  const bodyStyle = (bodyEl && computed.get(bodyEl)) || {};
+  const bodyColor = normalizeColor(bodyStyle.color) || '#000000';
+  const bodyBg = normalizeColor(bodyStyle.background) || '#ffffff';
   
   colorPairs.push({
     fg: bodyColor,
     bg: bodyBg,
-    element: 'body'
+    element: 'body',
+    font_size_px: bodyStyle.fontSizePx || 16,
+    font_weight: bodyStyle.fontWeight || 400,
+    locator: bodyEl ? locateElement($, bodyEl) : null,
+    not_measured: bodyStyle.unresolved || null
   });
   
-  // Check h1, p, button colors
-  ['h1', 'p', 'button', 'a'].forEach(tag => {
-    const $el = $(tag).first();
-    if ($el.length) {
-      const fg = extractColor($el.css('color')) || bodyColor;
-      const bg = extractColor($el.css('background-color')) || bodyBg;
-      if (fg && bg) {
-        colorPairs.push({ fg, bg, element: tag });
-      }
-    }
+  // Every element that renders its own text, in document order
+  const seen = new Set();
+  computed.forEach((style, el) => {
+    if (colorPairs.length >= MAX_COLOR_PAIRS || el === bodyEl || !hasOwnText(el)) return;
+    
+    const fg = normalizeColor(style.color) || bodyColor;
+    const bg = normalizeColor(style.background) || bodyBg;
+    
+    // One sample per tag/color/size combination
+    const key = [el.name, fg, bg, style.fontSizePx, style.fontWeight, style.unresolved].join('|');
+    if (seen.has(key)) return;
+    seen.add(key);
+    
+    colors.add(fg);
+    colors.add(bg);
+    colorPairs.push({
+      fg,
+      bg,
+      element: describeElement(el),
+      font_size_px: style.fontSizePx,
+      font_weight: style.fontWeight,
+      text: $(el).text().trim().replace(/\s+/g, ' ').substring(0, 60),
+      locator: locateElement($, el),
+      // var() or background image involved: fg/bg above are a guess, so the pair isn't scored
+      not_measured: style.unresolved
+    });
   });
   
-  // Extract font size
-  const bodyFontSize = parseInt($('body').css('font-size')) || 16;
-  
   return {
-    body_font_size_px: bodyFontSize,
+    body_font_size_px: bodyStyle.fontSizePx || 16,
     colors: Array.from(colors).slice(0, 10),
-    color_pairs_sample: colorPairs
+    color_pairs_sample: colorPairs,
+    stylesheet_count: cssTexts.length,
+    // Too many selectors to match them all: the colors above may be wrong, so contrast isn't scored
+    cascade_truncated: truncated
   };
 }
 
 /**
- * Extract color from CSS string
+ * Does the element have a non-empty text node of its own?
  */
-function extractColor(cssColor) {
-  if (!cssColor) return null;
-  
-  // If already hex
-  if (cssColor.startsWith('#')) return cssColor;
-  
-  // Convert rgb/rgba to hex (simplified)
-  const rgbMatch = cssColor.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)/);
-  if (rgbMatch) {
-    const r = parseInt(rgbMatch[1]);
-    const g = parseInt(rgbMatch[2]);
-    const b = parseInt(rgbMatch[3]);
-    return `#${((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1)}`;
-  }
-  
-  return null;
+function hasOwnText(el) {
+  return (el.children || []).some(child => child.type === 'text' && child.data.trim().length > 0);
 }
 
 /**
- * Check for common placeholder text
+ * Short label like "a.btn" or "h2#pricing"
  */
-export function hasPlaceholderText(text) {
-  const placeholders = [
-    'lorem ipsum',
-    'dolor sit amet',
-    'consectetur adipiscing',
-    'placeholder',
-    'sample text',
-    'dummy text'
-  ];
-  
-  const lowerText = text.toLowerCase();
-  return placeholders.some(p => lowerText.includes(p));
+export function describeElement(el) {
+  const id = el.attribs && el.attribs.id;
+  const className = el.attribs && el.attribs.class && el.attribs.class.trim().split(/\s+/)[0];
+  return `${el.name}${id ? `#${id}` : ''}${className ? `.${className}` : ''}`;
 }
 
 /**
- * Detect action verbs in CTA text
+ * Where an element is: a selector path that works in devtools / querySelector,
+ * its outer HTML (shortened) and its line in the HTML source (null when unknown)
+ * @returns {Object} { selector, snippet, line }
  */
-export function hasActionVerb(text) {
-  const actionVerbs = [
-    'start', 'mulai', 'get', 'dapatkan', 'try', 'coba',
-    'join', 'gabung', 'sign up', 'daftar', 'register',
-    'download', 'unduh', 'buy', 'beli', 'subscribe',
-    'learn', 'pelajari', 'discover', 'temukan', 'explore',
-    'create', 'buat', 'build', 'bangun', 'boost', 'tingkatkan'
-  ];
+export function locateElement($, el) {
+  return {
+    selector: selectorPath(el),
+    snippet: elementSnippet($, el),
+    line: el.sourceCodeLocation ? el.sourceCodeLocation.startLine : null
+  };
+}
+
+/**
+ * "body > main > section:nth-of-type(2) > img", stopping early at an element with an id
+ */
+function selectorPath(el) {
+  const parts = [];
   
-  const lowerText = text.toLowerCase();
-  return actionVerbs.some(verb => lowerText.includes(verb));
+  for (let node = el; node && node.name; node = node.parent) {
+    const id = node.attribs && node.attribs.id;
+    if (id && /^[A-Za-z][\w-]*$/.test(id)) {
+      parts.unshift(`#${id}`);
+      break;
+    }
+    
+    const sameTag = (node.parent ? node.parent.children : []).filter(child => child.name === node.name);
+    parts.unshift(sameTag.length > 1 ? `${node.name}:nth-of-type(${sameTag.indexOf(node) + 1})` : node.name);
+    if (node.name === 'body' || node.name === 'head') break;
+  }
+  
+  return parts.join(' > ');
+}
+
+/**
+ * Outer HTML on one line; long elements keep their start tag and the beginning of their content
+ */
+function elementSnippet($, el) {
+  const html = $.html(el).replace(/\s+/g, ' ').trim();
+  return html.length > MAX_SNIPPET_LENGTH ? `${html.substring(0, MAX_SNIPPET_LENGTH - 1)}…` : html;
 }
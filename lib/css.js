@@ -0,0 +1,537 @@
+import { parseColor, compositeOver, toHex } from './color.js';
+
+/**
+ * Minimal CSS engine for contrast & font-size checks
+ * Parses stylesheets, matches selectors with Cheerio and resolves the
+ * cascade (!important, specificity, source order) plus inheritance
+ */
+
+const DEFAULT_VIEWPORT_WIDTH = 1280;
+const DEFAULT_FONT_SIZE = 16;
+const MAX_RULES = 5000;
+// Every $(selector) walks the whole document: cap elements × selectors per page
+// so one huge stylesheet can't stall an audit (the cascade is then incomplete)
+const MAX_SELECTOR_CHECKS = 3000000;
+
+// Only these properties matter for contrast / font-size checks
+const RELEVANT_PROPERTIES = new Set([
+  'color', 'background', 'background-color', 'background-image',
+  'font', 'font-size', 'font-weight',
+  'display', 'visibility'
+]);
+
+// Selectors that never match in a static, non-interactive render
+const DYNAMIC_PSEUDO = /::|:(hover|focus|focus-within|focus-visible|active|visited|target|before|after|first-line|first-letter|placeholder|selection|-webkit-[\w-]+|-moz-[\w-]+|-ms-[\w-]+)/i;
+
+// User-agent defaults (roughly what browsers ship)
+const UA_FONT_SIZE = {
+  h1: '2em', h2: '1.5em', h3: '1.17em', h4: '1em', h5: '0.83em', h6: '0.67em',
+  small: 'smaller', sub: 'smaller', sup: 'smaller', big: 'larger'
+};
+const UA_BOLD_TAGS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'b', 'strong', 'th']);
+const UA_HIDDEN_TAGS = new Set(['head', 'script', 'style', 'noscript', 'template', 'title', 'meta', 'link']);
+const UA_LINK_COLOR = '#0000ee';
+
+// url(), gradients and image-set() in a background value
+const BACKGROUND_IMAGE = /\b(url|(repeating-)?(linear|radial|conic)-gradient|image-set|-webkit-image-set|image|cross-fade|element)\(/i;
+
+const FONT_SIZE_KEYWORDS = {
+  'xx-small': 9, 'x-small': 10, small: 13, medium: 16,
+  large: 18, 'x-large': 24, 'xx-large': 32, 'xxx-large': 48
+};
+
+/**
+ * Parse a stylesheet into flat style rules
+ * @param {string} cssText - Stylesheet source
+ * @param {Object} options - { viewportWidth }
+ * @returns {Object} { rules: [{ selectors, declarations }], imports: [url] }
+ */
+export function parseStylesheet(cssText, options = {}) {
+  const viewportWidth = options.viewportWidth || DEFAULT_VIEWPORT_WIDTH;
+  const rules = [];
+  const imports = [];
+  const text = (cssText || '').replace(/\/\*[\s\S]*?\*\//g, '');
+
+  parseBlock(text, rules, imports, viewportWidth);
+
+  return { rules, imports };
+}
+
+/**
+ * Parse "prop: value; prop2: value2" into declarations
+ */
+export function parseDeclarations(text) {
+  return splitTopLevel(text || '', ';')
+    .map(part => {
+      const colon = part.indexOf(':');
+      if (colon === -1) return null;
+
+      const property = part.slice(0, colon).trim().toLowerCase();
+      let value = part.slice(colon + 1).trim();
+      const important = /!\s*important$/i.test(value);
+      if (important) {
+        value = value.replace(/!\s*important$/i, '').trim();
+      }
+
+      return property && value ? { property, value, important } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Selector specificity as [ids, classes/attributes/pseudo-classes, types]
+ */
+export function calculateSpecificity(selector) {
+  let s = selector;
+  let ids = 0;
+  let classes = 0;
+  let types = 0;
+
+  // :not()/:is()/:has() count their argument; :where() counts nothing
+  s = s.replace(/:where\([^)]*\)/gi, '');
+  s = s.replace(/:(not|is|has|matches)\(([^)]*)\)/gi, ' $2 ');
+
+  s = s.replace(/\[[^\]]*\]/g, () => { classes++; return ' '; });
+  s = s.replace(/#[\w-]+/g, () => { ids++; return ' '; });
+  s = s.replace(/\.[\w-]+/g, () => { classes++; return ' '; });
+  s = s.replace(/::?[\w-]+(\([^)]*\))?/g, (match) => {
+    if (match.startsWith('::')) types++;
+    else classes++;
+    return ' ';
+  });
+  s = s.replace(/[*+>~,]/g, ' ');
+
+  s.split(/\s+/).forEach(token => {
+    if (/^[a-z][\w-]*$/i.test(token)) types++;
+  });
+
+  return [ids, classes, types];
+}
+
+/**
+ * Evaluate a media query list against a screen of the given width
+ */
+export function matchesMedia(query, viewportWidth = DEFAULT_VIEWPORT_WIDTH) {
+  if (!query || !query.trim()) return true;
+
+  return splitTopLevel(query, ',').some(part => {
+    const q = part.trim().toLowerCase();
+
+    if (!q || q.startsWith('not ') || /\bprint\b|\bspeech\b/.test(q)) return false;
+    if (/prefers-color-scheme\s*:\s*dark/.test(q)) return false;
+
+    const features = q.match(/\(([^)]+)\)/g) || [];
+    return features.every(feature => {
+      const match = feature.match(/\(\s*(min|max)-width\s*:\s*([\d.]+)(px|em|rem)?\s*\)/);
+      if (!match) return true; // Unknown features are assumed to match
+
+      const px = parseFloat(match[2]) * (match[3] === 'em' || match[3] === 'rem' ? DEFAULT_FONT_SIZE : 1);
+      return match[1] === 'min' ? viewportWidth >= px : viewportWidth <= px;
+    });
+  });
+}
+
+/**
+ * Resolve computed color, background and font for every rendered element
+ * @param {CheerioAPI} $ - Loaded document
+ * @param {string[]} cssTexts - Stylesheets in document order
+ * @param {Object} options - { viewportWidth }
+ * @returns {Object} { styles, truncated }
+ *   styles: Map element -> { color, background, backgroundColor, fontSizePx, fontWeight, unresolved };
+ *   color is normalized hex (may carry alpha), background is the opaque
+ *   color actually painted behind the element (translucent layers composited)
+ *   unresolved: why color/background are only a guess ('var() color', 'var() background',
+ *   'background image') or null
+ *   truncated: true when the selector budget ran out before every rule was matched
+ */
+export function computeStyles($, cssTexts, options = {}) {
+  const { declared, truncated } = collectDeclarations($, cssTexts, options);
+  const computed = new Map();
+
+  const rootStyle = {
+    color: '#000000',
+    background: '#ffffff',
+    backgroundColor: null,
+    fontSizePx: DEFAULT_FONT_SIZE,
+    rootFontSizePx: DEFAULT_FONT_SIZE,
+    fontWeight: 400,
+    colorUnresolved: false,
+    backgroundUnresolved: null,
+    hidden: false
+  };
+
+  const walk = (el, parentStyle) => {
+    const tag = el.name;
+    if (UA_HIDDEN_TAGS.has(tag)) return;
+
+    const decl = resolveDeclarations(declared.get(el), el.attribs && el.attribs.style);
+    if (decl.display === 'none' || (el.attribs && 'hidden' in el.attribs)) return;
+
+    const style = computeElementStyle(tag, decl, parentStyle);
+    style.unresolved = style.colorUnresolved ? 'var() color' : style.backgroundUnresolved;
+    if (tag === 'html') {
+      style.rootFontSizePx = style.fontSizePx;
+    }
+
+    // visibility is inherited, but children may opt back in
+    style.hidden = decl.visibility ? decl.visibility === 'hidden' : parentStyle.hidden;
+    if (!style.hidden) {
+      computed.set(el, style);
+    }
+
+    (el.children || []).forEach(child => {
+      if (child.type === 'tag') walk(child, style);
+    });
+  };
+
+  $.root().children().each((i, el) => {
+    if (el.type === 'tag') walk(el, rootStyle);
+  });
+
+  return { styles: computed, truncated };
+}
+
+/**
+ * Match every rule against the document and collect declarations per element
+ * @returns {Object} { declared: Map element -> declarations, truncated }
+ */
+function collectDeclarations($, cssTexts, options) {
+  const declared = new Map();
+  let order = 0;
+  let ruleCount = 0;
+  const maxSelectors = Math.max(1, Math.floor(MAX_SELECTOR_CHECKS / Math.max(1, $('*').length)));
+  let selectorCount = 0;
+  let truncated = false;
+
+  cssTexts.forEach(cssText => {
+    const { rules } = parseStylesheet(cssText, options);
+
+    rules.forEach(rule => {
+      if (ruleCount >= MAX_RULES || truncated) return;
+
+      const declarations = rule.declarations.filter(d => RELEVANT_PROPERTIES.has(d.property));
+      if (declarations.length === 0) return;
+      ruleCount++;
+
+      rule.selectors.forEach(selector => {
+        if (DYNAMIC_PSEUDO.test(selector) || truncated) return;
+        if (++selectorCount > maxSelectors) {
+          truncated = true;
+          return;
+        }
+
+        let matched;
+        try {
+          matched = $(selector);
+        } catch {
+          return; // Selector not supported by css-select
+        }
+
+        const specificity = calculateSpecificity(selector);
+        order++;
+
+        matched.each((i, el) => {
+          if (!declared.has(el)) declared.set(el, []);
+          declarations.forEach(d => {
+            declared.get(el).push({ ...d, specificity, order });
+          });
+        });
+      });
+    });
+  });
+
+  return { declared, truncated };
+}
+
+/**
+ * Pick the winning value per property for a single element
+ */
+function resolveDeclarations(entries = [], inlineStyle) {
+  const all = [...entries];
+
+  // Inline styles beat any selector
+  parseDeclarations(inlineStyle).forEach(d => {
+    all.push({ ...d, specificity: [Infinity, 0, 0], order: Infinity });
+  });
+
+  all.sort((a, b) => {
+    if (a.important !== b.important) return a.important ? 1 : -1;
+    for (let i = 0; i < 3; i++) {
+      if (a.specificity[i] !== b.specificity[i]) return a.specificity[i] - b.specificity[i];
+    }
+    return a.order - b.order;
+  });
+
+  // Later entries win; expand shorthands as we go
+  const result = {};
+  all.forEach(({ property, value }) => {
+    const v = value.trim();
+    if (property === 'background') {
+      result['background-color'] = extractBackgroundColor(v);
+      result['background-image'] = BACKGROUND_IMAGE.test(v) ? v : 'none';
+    } else if (property === 'font') {
+      const parsed = parseFontShorthand(v);
+      if (parsed.size) result['font-size'] = parsed.size;
+      result['font-weight'] = parsed.weight || 'normal';
+    } else {
+      result[property] = v;
+    }
+  });
+
+  return {
+    color: result.color,
+    backgroundColor: result['background-color'],
+    backgroundImage: result['background-image'],
+    fontSize: result['font-size'],
+    fontWeight: result['font-weight'],
+    display: result.display && result.display.toLowerCase(),
+    visibility: result.visibility && result.visibility.toLowerCase()
+  };
+}
+
+/**
+ * Apply UA defaults and inheritance to declared values
+ */
+function computeElementStyle(tag, decl, parent) {
+  const style = { rootFontSizePx: parent.rootFontSizePx };
+
+  // color (inherited; var(), inherit, currentColor fall back to parent)
+  // Custom properties aren't resolved, so a var() color (and what inherits it) is only a guess
+  const color = parseColor(decl.color);
+  if (color) {
+    style.color = toHex(color);
+    style.colorUnresolved = false;
+  } else if (tag === 'a' && !decl.color) {
+    style.color = UA_LINK_COLOR;
+    style.colorUnresolved = false;
+  } else {
+    style.color = parent.color;
+    style.colorUnresolved = /var\(/i.test(decl.color || '') || parent.colorUnresolved;
+  }
+
+  // background-color (not inherited; effective background comes from ancestors)
+  const bgValue = decl.backgroundColor && decl.backgroundColor.trim().toLowerCase();
+  const bg = bgValue === 'currentcolor' ? parseColor(style.color) : parseColor(bgValue);
+  if (bg && bg.a > 0) {
+    // Translucent layers are painted over whatever is behind them
+    style.backgroundColor = toHex(bg);
+    style.background = toHex(compositeOver(bg, parseColor(parent.background)));
+  } else {
+    style.backgroundColor = null;
+    style.background = parent.background;
+  }
+
+  // Images, gradients and var() backgrounds aren't painted here: text over them (or over a
+  // translucent layer on top of them) has no known background; an opaque color covers them
+  const image = decl.backgroundImage && decl.backgroundImage.trim().toLowerCase();
+  if (image && image !== 'none') {
+    style.backgroundUnresolved = 'background image';
+  } else if (/var\(/.test(bgValue || '')) {
+    style.backgroundUnresolved = 'var() background';
+  } else if (bg && bg.a >= 1) {
+    style.backgroundUnresolved = null;
+  } else {
+    style.backgroundUnresolved = parent.backgroundUnresolved;
+  }
+
+  // font-size (inherited, relative units resolve against parent/root)
+  style.fontSizePx = resolveFontSize(
+    decl.fontSize || UA_FONT_SIZE[tag],
+    parent.fontSizePx,
+    parent.rootFontSizePx
+  );
+
+  // font-weight (inherited)
+  style.fontWeight = resolveFontWeight(
+    decl.fontWeight || (UA_BOLD_TAGS.has(tag) ? 'bold' : null),
+    parent.fontWeight
+  );
+
+  return style;
+}
+
+function resolveFontSize(value, parentPx, rootPx) {
+  if (!value) return parentPx;
+  const v = value.trim().toLowerCase();
+
+  if (FONT_SIZE_KEYWORDS[v]) return FONT_SIZE_KEYWORDS[v];
+  if (v === 'smaller') return round(parentPx / 1.2);
+  if (v === 'larger') return round(parentPx * 1.2);
+
+  const match = v.match(/^(-?[\d.]+)(px|em|rem|%|pt|vw)?$/);
+  if (!match) return parentPx; // calc(), clamp(), var() etc.
+
+  const num = parseFloat(match[1]);
+  switch (match[2]) {
+    case 'em': return round(num * parentPx);
+    case 'rem': return round(num * rootPx);
+    case '%': return round((num / 100) * parentPx);
+    case 'pt': return round(num * 4 / 3);
+    case 'vw': return round((num / 100) * DEFAULT_VIEWPORT_WIDTH);
+    default: return round(num);
+  }
+}
+
+function resolveFontWeight(value, parentWeight) {
+  if (!value) return parentWeight;
+  const v = value.trim().toLowerCase();
+
+  if (v === 'normal') return 400;
+  if (v === 'bold') return 700;
+  if (v === 'bolder') return parentWeight >= 600 ? 900 : 700;
+  if (v === 'lighter') return parentWeight >= 600 ? 400 : 100;
+
+  const num = parseInt(v, 10);
+  return isNaN(num) ? parentWeight : num;
+}
+
+/**
+ * Pull the color token out of a `background` shorthand
+ */
+function extractBackgroundColor(value) {
+  const tokens = splitTopLevel(value, ' ').map(t => t.trim()).filter(Boolean);
+  const color = tokens.find(t => parseColor(t) || t.toLowerCase() === 'currentcolor' || /^var\(/i.test(t));
+  return color || 'transparent';
+}
+
+/**
+ * Read size and weight from a `font` shorthand
+ */
+function parseFontShorthand(value) {
+  const result = {};
+  splitTopLevel(value, ' ').forEach(token => {
+    const t = token.trim().toLowerCase();
+    const sizeToken = t.split('/')[0];
+    if (!result.size && (/^[\d.]+(px|em|rem|%|pt|vw)$/.test(sizeToken) || FONT_SIZE_KEYWORDS[sizeToken])) {
+      result.size = sizeToken;
+    } else if (!result.size && /^(bold|bolder|lighter|[1-9]00)$/.test(t)) {
+      result.weight = t;
+    }
+  });
+  return result;
+}
+
+/**
+ * Walk a block of CSS, collecting style rules and following @media/@supports
+ */
+function parseBlock(text, rules, imports, viewportWidth) {
+  let i = 0;
+
+  while (i < text.length) {
+    const next = findNext(text, i, ['{', ';']);
+    if (next === -1) break;
+
+    const prelude = text.slice(i, next).trim();
+
+    // Statement at-rules (@import, @charset, ...)
+    if (text[next] === ';') {
+      const importMatch = prelude.match(/^@import\s+(?:url\()?\s*['"]?([^'")\s]+)['"]?\s*\)?\s*(.*)$/i);
+      if (importMatch && matchesMedia(importMatch[2], viewportWidth)) {
+        imports.push(importMatch[1]);
+      }
+      i = next + 1;
+      continue;
+    }
+
+    const end = findClosingBrace(text, next);
+    const body = text.slice(next + 1, end);
+    i = end + 1;
+
+    if (prelude.startsWith('@')) {
+      const atName = prelude.match(/^@([\w-]+)/)[1].toLowerCase();
+      const condition = prelude.slice(atName.length + 1);
+
+      if (atName === 'media' && matchesMedia(condition, viewportWidth)) {
+        parseBlock(body, rules, imports, viewportWidth);
+      } else if (atName === 'supports' || atName === 'layer' || atName === 'container') {
+        parseBlock(body, rules, imports, viewportWidth);
+      }
+      // @font-face, @keyframes, @page etc. are irrelevant
+      continue;
+    }
+
+    if (!prelude) continue;
+
+    rules.push({
+      selectors: splitTopLevel(prelude, ',').map(s => s.trim()).filter(Boolean),
+      declarations: parseDeclarations(body)
+    });
+  }
+}
+
+/**
+ * Index of the first of `chars` outside strings, or -1
+ */
+function findNext(text, start, chars) {
+  let quote = null;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (chars.includes(ch)) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Index of the brace closing the one at `open` (or end of text)
+ */
+function findClosingBrace(text, open) {
+  let depth = 0;
+  let quote = null;
+  for (let i = open; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '{') {
+      depth++;
+    } else if (ch === '}') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return text.length;
+}
+
+/**
+ * Split on a separator, ignoring separators inside (), [] and strings
+ */
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '(' || ch === '[') {
+      depth++;
+    } else if (ch === ')' || ch === ']') {
+      depth--;
+    } else if (depth === 0 && (separator === ' ' ? /\s/.test(ch) : ch === separator)) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  parts.push(current);
+
+  return parts;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,184 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Per-locale CTA verb & placeholder dictionaries
+ * Matching is word-based (accents and case ignored): "get" no longer matches
+ * "budget". Single words also match with the locale's prefixes/suffixes, phrases
+ * must appear as whole consecutive words. English and Indonesian are checked on
+ * every page, other locales when html[lang] names them (all when lang is unknown)
+ *
+ * Built-in lists are lib/locales/<locale>.json; projects extend them in the same format without forking:
+ * - AUDIT_DICTIONARY_DIR: folder of <locale>.json files, e.g. id.json:
+ *   { "action_verbs": ["pesan sekarang"], "placeholders": [], "prefixes": [], "suffixes": [] }
+ * - registerDictionary('id', { action_verbs: [...] }) at startup
+ */
+
+// Resolved from the project root (like other Next.js data folders), not from the bundled module
+const BUILT_IN_DIR = path.join(process.cwd(), 'lib', 'locales');
+
+const LOCALES = {};
+
+// Other codes for the same language (ISO 639-2, legacy "in"/"jw")
+const LOCALE_ALIASES = { in: 'id', ind: 'id', may: 'ms', msa: 'ms', zsm: 'ms', jw: 'jv', jav: 'jv', spa: 'es', ger: 'de', deu: 'de', eng: 'en' };
+
+// Locales checked together with the page language: English CTAs are common
+// everywhere, and Indonesian copy often mixes in Javanese/colloquial words
+const COMPANION_LOCALES = { id: ['jv'] };
+// Checked on every page whatever its lang: many Indonesian sites keep a template lang="en"
+const BASE_LOCALES = ['en', 'id'];
+
+let compiled = null;
+let loaded = false;
+
+/**
+ * Add words to a locale (creating it if needed)
+ * @param {string} locale - Language code, e.g. 'id' or 'pt'
+ * @param {Object} entries - { name?, action_verbs?, placeholders?, prefixes?, suffixes? }
+ */
+export function registerDictionary(locale, entries = {}) {
+  const code = resolveLocale(locale);
+  const target = LOCALES[code] || (LOCALES[code] = { name: entries.name || code, action_verbs: [], placeholders: [], prefixes: [], suffixes: [] });
+
+  ['action_verbs', 'placeholders', 'prefixes', 'suffixes'].forEach(key => {
+    if (!Array.isArray(entries[key])) return;
+    entries[key].forEach(word => {
+      if (typeof word === 'string' && word.trim() && !target[key].includes(word)) {
+        target[key].push(word);
+      }
+    });
+  });
+
+  compiled = null;
+}
+
+/**
+ * Detect action verbs in CTA text
+ * @param {string} text
+ * @param {string} lang - Page language (html[lang]); all locales when unknown
+ */
+export function hasActionVerb(text, lang = '') {
+  return matchesDictionary(text, lang, 'action_verbs');
+}
+
+/**
+ * Check for common placeholder text
+ * @param {string} text
+ * @param {string} lang - Page language (html[lang]); all locales when unknown
+ */
+export function hasPlaceholderText(text, lang = '') {
+  return matchesDictionary(text, lang, 'placeholders');
+}
+
+function matchesDictionary(text, lang, key) {
+  const tokens = tokenize(text || '');
+  if (tokens.length === 0) return false;
+
+  const dictionaries = getCompiled();
+  return localesFor(lang).some(code => {
+    const { words, phrases } = dictionaries[code][key];
+    return tokens.some(token => words.has(token)) ||
+      phrases.some(phrase => containsSequence(tokens, phrase));
+  });
+}
+
+function localesFor(lang) {
+  loadDictionaries();
+  const code = resolveLocale(lang);
+  if (!LOCALES[code]) return Object.keys(LOCALES);
+  return [...new Set([code, ...(COMPANION_LOCALES[code] || []), ...BASE_LOCALES])];
+}
+
+function resolveLocale(lang) {
+  const primary = (lang || '').toLowerCase().split(/[-_]/)[0];
+  return LOCALE_ALIASES[primary] || primary;
+}
+
+/**
+ * Expand every single-word entry with its affixes into a lookup set;
+ * multi-word entries stay as token sequences
+ */
+function getCompiled() {
+  loadDictionaries();
+  if (compiled) return compiled;
+
+  compiled = {};
+  Object.entries(LOCALES).forEach(([code, dictionary]) => {
+    const prefixes = ['', ...dictionary.prefixes.map(normalize)];
+    const suffixes = ['', ...dictionary.suffixes.map(normalize)];
+
+    compiled[code] = {};
+    ['action_verbs', 'placeholders'].forEach(key => {
+      const words = new Set();
+      const phrases = [];
+
+      dictionary[key].forEach(entry => {
+        const tokens = tokenize(entry);
+        if (tokens.length === 1) {
+          prefixes.forEach(prefix => suffixes.forEach(suffix => {
+            words.add(prefix + tokens[0] + suffix);
+            // Doubled final consonant before a vowel suffix: "shop" -> "shopping", "get" -> "getting"
+            if (/^[aeiou]/.test(suffix) && /[^aeiou][aeiou][b-df-hj-np-tvz]$/.test(tokens[0])) {
+              words.add(prefix + tokens[0] + tokens[0].slice(-1) + suffix);
+            }
+          }));
+        } else if (tokens.length > 1) {
+          phrases.push(tokens);
+        }
+      });
+
+      compiled[code][key] = { words, phrases };
+    });
+  });
+
+  return compiled;
+}
+
+/**
+ * Load the built-in dictionaries, then merge AUDIT_DICTIONARY_DIR (once per process)
+ */
+function loadDictionaries() {
+  if (loaded) return;
+  loaded = true;
+
+  loadDictionaryDir(BUILT_IN_DIR);
+  if (process.env.AUDIT_DICTIONARY_DIR) {
+    loadDictionaryDir(process.env.AUDIT_DICTIONARY_DIR);
+  }
+}
+
+/**
+ * Register every <locale>.json file of a folder
+ */
+function loadDictionaryDir(dir) {
+  try {
+    fs.readdirSync(dir)
+      .filter(file => file.endsWith('.json'))
+      .forEach(file => {
+        try {
+          const entries = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+          registerDictionary(path.basename(file, '.json'), entries);
+        } catch (error) {
+          console.log(`⚠️  Dictionary ${file} not loaded:`, error.message);
+        }
+      });
+  } catch (error) {
+    console.log(`⚠️  Dictionary folder not readable (${dir}):`, error.message);
+  }
+}
+
+function containsSequence(tokens, phrase) {
+  for (let i = 0; i <= tokens.length - phrase.length; i++) {
+    if (phrase.every((word, j) => tokens[i + j] === word)) return true;
+  }
+  return false;
+}
+
+function tokenize(text) {
+  return normalize(text).match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// Lowercase without diacritics: "Regístrate" -> "registrate", "Überschrift" -> "uberschrift"
+function normalize(text) {
+  return text.toLowerCase().normalize('NFD').replace(/\p{M}/gu, '');
+}
@@ -0,0 +1,297 @@
+import { locateElement } from './crawler.js';
+
+/**
+ * Form UX analysis
+ * Extracts every user-facing field with the attributes that matter for usability
+ * (type, autocomplete, required marking, placeholder, grouping, password handling)
+ * and checks them against common form-design guidelines
+ */
+
+// Inputs the user never types into
+const NON_FIELD_TYPES = ['hidden', 'submit', 'button', 'reset', 'image'];
+
+// Fields where purpose (email, phone, name...) can be guessed and autofilled
+const TEXT_LIKE_TYPES = ['text', 'email', 'tel', 'url', 'number', 'search', 'password', 'textarea'];
+
+// Forms longer than this lose users (Baymard: average checkout has ~12, ideal 7-8)
+const MAX_COMFORTABLE_FIELDS = 8;
+
+// Penalty per finding; each check counts at most MAX_PENALIZED_PER_CHECK times
+const SEVERITY_PENALTY = { major: 10, minor: 5 };
+const MAX_PENALIZED_PER_CHECK = 3;
+
+// What a field is for, guessed from name/id/label/placeholder
+// type: the input type it should use; autocomplete: the token browsers need to autofill
+const FIELD_KINDS = [
+  { kind: 'email', pattern: /e-?mail|surel/, type: 'email', autocomplete: 'email' },
+  { kind: 'phone', pattern: /phone|telep?h?on|\btel\b|\bhp\b|handphone|whats?app|\bwa\b|mobile|ponsel/, type: 'tel', autocomplete: 'tel' },
+  { kind: 'website', pattern: /website|\burl\b|situs web/, type: 'url', autocomplete: 'url' },
+  { kind: 'username', pattern: /user.?name|login/, type: null, autocomplete: 'username' },
+  { kind: 'given-name', pattern: /first.?name|given.?name|nama depan/, type: null, autocomplete: 'given-name' },
+  { kind: 'family-name', pattern: /last.?name|surname|family.?name|nama belakang/, type: null, autocomplete: 'family-name' },
+  { kind: 'organization', pattern: /company|organi[sz]ation|perusahaan|instansi/, type: null, autocomplete: 'organization' },
+  { kind: 'card-number', pattern: /card.?number|cc.?num|nomor kartu/, type: null, autocomplete: 'cc-number' },
+  { kind: 'name', pattern: /full.?name|\bname\b|\bnama\b/, type: null, autocomplete: 'name' },
+  { kind: 'postal-code', pattern: /zip|postal|post.?code|kode.?pos/, type: null, autocomplete: 'postal-code' },
+  { kind: 'address', pattern: /address|alamat|street/, type: null, autocomplete: 'street-address' },
+  { kind: 'city', pattern: /\bcity\b|\bkota\b/, type: null, autocomplete: 'address-level2' },
+  { kind: 'quantity', pattern: /\bqty\b|quantity|jumlah|\bage\b|umur|usia/, type: 'number', autocomplete: null }
+];
+
+// Autofill field names from the HTML spec (section/shipping/billing prefixes are stripped)
+const AUTOCOMPLETE_TOKENS = new Set([
+  'on', 'name', 'honorific-prefix', 'given-name', 'additional-name', 'family-name', 'honorific-suffix',
+  'nickname', 'email', 'username', 'new-password', 'current-password', 'one-time-code',
+  'organization-title', 'organization', 'street-address', 'address-line1', 'address-line2',
+  'address-line3', 'address-level4', 'address-level3', 'address-level2', 'address-level1',
+  'country', 'country-name', 'postal-code', 'cc-name', 'cc-given-name', 'cc-additional-name',
+  'cc-family-name', 'cc-number', 'cc-exp', 'cc-exp-month', 'cc-exp-year', 'cc-csc', 'cc-type',
+  'transaction-currency', 'transaction-amount', 'language', 'bday', 'bday-day', 'bday-month',
+  'bday-year', 'sex', 'url', 'photo', 'tel', 'tel-country-code', 'tel-national',
+  'tel-area-code', 'tel-local', 'tel-extension', 'impp', 'webauthn'
+]);
+
+const REQUIRED_MARKER = /\*|wajib|required|harus diisi/i;
+const OPTIONAL_MARKER = /opsional|optional|tidak wajib/i;
+const PASSWORD_TOGGLE = /\b(show|hide|tampilkan|sembunyikan|lihat|toggle|reveal|eye)\b/i;
+const GENERIC_SUBMIT_TEXT = /^(submit|send|ok|go|enter|kirim|proses|click here|klik( di)? ?sini)?$/i;
+
+/**
+ * Extract forms with usability-relevant attributes per field
+ * Keeps the { id, inputs: [{ type, name, label, hasLabel }] } shape used by the scorer
+ */
+export function extractForms($) {
+  return $('form').map((i, formEl) => {
+    const $form = $(formEl);
+    const formId = $form.attr('id') || `form_${i}`;
+
+    const inputs = $form.find('input, textarea, select')
+      .filter((j, el) => !NON_FIELD_TYPES.includes(($(el).attr('type') || '').toLowerCase()))
+      .map((j, el) => extractField($, $form, el))
+      .get();
+
+    const $submit = $form.find('button:not([type="button"]):not([type="reset"]), input[type="submit"], input[type="image"]').first();
+
+    return {
+      id: formId,
+      action: $form.attr('action') || '',
+      method: ($form.attr('method') || 'get').toLowerCase(),
+      inputs,
+      field_count: inputs.length,
+      submit: $submit.length > 0 ? {
+        text: ($submit.text().trim() || $submit.attr('value') || $submit.attr('aria-label') || $submit.attr('alt') || '').replace(/\s+/g, ' ')
+      } : null,
+      groups: extractChoiceGroups($, $form),
+      marks_optional: inputs.some(input => OPTIONAL_MARKER.test(input.label)),
+      has_password_toggle: hasPasswordToggle($, $form),
+      locator: locateElement($, formEl)
+    };
+  }).get();
+}
+
+function extractField($, $form, el) {
+  const $el = $(el);
+  const id = $el.attr('id') || '';
+  const $label = labelFor($, id);
+  const $wrappingLabel = $el.closest('label');
+  const label = ($wrappingLabel.text() || $label.text() || '').trim().replace(/\s+/g, ' ');
+  const ariaLabel = $el.attr('aria-label') || '';
+  const type = el.name === 'input' ? ($el.attr('type') || 'text').toLowerCase() : el.name;
+  const $fieldset = $el.closest('fieldset');
+
+  return {
+    type,
+    name: $el.attr('name') || '',
+    label,
+    hasLabel: $wrappingLabel.length > 0 || $label.length > 0 ||
+      ariaLabel.trim().length > 0 || Boolean($el.attr('aria-labelledby')),
+    id,
+    placeholder: $el.attr('placeholder') || '',
+    autocomplete: ($el.attr('autocomplete') || '').trim().toLowerCase(),
+    required: $el.is('[required]') || $el.attr('aria-required') === 'true',
+    // Required marker may sit in a child like <span class="required">*</span>
+    required_marked: REQUIRED_MARKER.test(label) ||
+      ($wrappingLabel.add($label).find('[class*="required"], abbr[title]').length > 0),
+    blocks_paste: /return\s+false|preventDefault/.test($el.attr('onpaste') || ''),
+    in_fieldset: $fieldset.length > 0 && $fieldset.children('legend').length > 0,
+    selector: describeField(describeForm($form), el, $el),
+    locator: locateElement($, el)
+  };
+}
+
+/**
+ * Radio/checkbox sets sharing a name, and whether they are grouped with a legend
+ */
+function extractChoiceGroups($, $form) {
+  const groups = {};
+
+  $form.find('input[type="radio"], input[type="checkbox"]').each((i, el) => {
+    const name = $(el).attr('name');
+    if (!name) return;
+
+    const $group = $(el).closest('fieldset, [role="radiogroup"], [role="group"]');
+    const labelled = $group.is('fieldset')
+      ? $group.children('legend').length > 0
+      : Boolean($group.attr('aria-label') || $group.attr('aria-labelledby'));
+
+    groups[name] = groups[name] || { name, type: $(el).attr('type'), count: 0, grouped: true };
+    groups[name].count++;
+    groups[name].grouped = groups[name].grouped && $group.length > 0 && labelled;
+  });
+
+  return Object.values(groups).filter(group => group.count > 1);
+}
+
+function hasPasswordToggle($, $form) {
+  return $form.find('button, [role="button"], input[type="checkbox"], span, i, svg').toArray().some(el => {
+    const $el = $(el);
+    const hint = [
+      $el.text(),
+      $el.attr('aria-label'),
+      $el.attr('title'),
+      $el.attr('class'),
+      $el.attr('id'),
+      $el.is('input') ? labelFor($, $el.attr('id')).text() : ''
+    ].join(' ');
+    return PASSWORD_TOGGLE.test(hint);
+  });
+}
+
+// Attribute filter instead of a selector: ids may contain characters that break CSS selectors
+function labelFor($, id) {
+  return id ? $('label').filter((i, label) => $(label).attr('for') === id) : $([]);
+}
+
+function describeForm($form) {
+  return $form.attr('id') ? `form#${$form.attr('id')}` : 'form';
+}
+
+function describeField(formSelector, el, $el) {
+  const type = $el.attr('type');
+  const name = $el.attr('name');
+  return `${formSelector} ${el.name}${type ? `[type="${type}"]` : ''}${name ? `[name="${name}"]` : ''}`;
+}
+
+/**
+ * Check extracted forms against form-usability guidelines
+ * @returns {Object|null} { score, form_count, field_count, findings, check_counts, forms } or null without forms
+ */
+export function analyzeForms(forms) {
+  const userForms = forms.filter(form => form.field_count > 0);
+  if (userForms.length === 0) return null;
+
+  const findings = [];
+  const add = (form, field, check, severity, evidence) => {
+    const locator = field ? field.locator : form.locator;
+    findings.push({ form: form.id, field: field ? field.selector : null, check, severity, evidence, locators: locator ? [locator] : [] });
+  };
+
+  userForms.forEach(form => {
+    if (form.field_count > MAX_COMFORTABLE_FIELDS) {
+      add(form, null, 'too_many_fields', 'minor', `${form.field_count} fields (aim for ${MAX_COMFORTABLE_FIELDS} or fewer)`);
+    }
+
+    // Submit button wording
+    if (!form.submit) {
+      add(form, null, 'no_submit_button', 'major', 'No submit button found');
+    } else if (GENERIC_SUBMIT_TEXT.test(form.submit.text)) {
+      add(form, null, 'vague_submit', 'minor', `Submit button says "${form.submit.text || '(empty)'}"`);
+    }
+
+    // Radio/checkbox groups need a shared question
+    form.groups.filter(group => !group.grouped).forEach(group => {
+      add(form, null, 'ungrouped_options', 'minor', `${group.count} ${group.type} inputs named "${group.name}" without fieldset/legend`);
+    });
+
+    form.inputs.forEach(field => {
+      const name = fieldName(field);
+      const kind = guessFieldKind(field);
+
+      if (!field.hasLabel && field.placeholder) {
+        add(form, field, 'placeholder_as_label', 'major', `${name}: placeholder "${field.placeholder}" is the only label`);
+      }
+
+      if (kind && kind.type && field.type === 'text') {
+        add(form, field, 'input_type', 'major', `${name}: type="${field.type}" should be type="${kind.type}" (mobile keyboard & validation)`);
+      }
+
+      const autocompleteIssue = checkAutocomplete(field, kind);
+      if (autocompleteIssue) {
+        add(form, field, 'autocomplete', 'minor', `${name}: ${autocompleteIssue}`);
+      }
+
+      if (field.required && !field.required_marked && !form.marks_optional) {
+        add(form, field, 'required_not_marked', 'minor', `${name}: required but not marked in the label`);
+      } else if (!field.required && field.required_marked) {
+        add(form, field, 'required_not_enforced', 'minor', `${name}: marked required but has no required attribute`);
+      }
+
+      if (field.blocks_paste) {
+        add(form, field, 'paste_blocked', 'major', `${name}: onpaste blocks pasting${field.type === 'password' ? ' (breaks password managers)' : ''}`);
+      }
+
+      if (field.type === 'password' && !form.has_password_toggle) {
+        add(form, field, 'password_no_toggle', 'minor', `${name}: no show/hide password control`);
+      }
+    });
+  });
+
+  // Count each check a limited number of times so one long form can't zero the score
+  const checkCounts = {};
+  findings.forEach(finding => {
+    checkCounts[finding.check] = (checkCounts[finding.check] || 0) + 1;
+  });
+
+  const penalty = Object.entries(checkCounts).reduce((sum, [check, count]) => {
+    const severity = findings.find(f => f.check === check).severity;
+    return sum + SEVERITY_PENALTY[severity] * Math.min(count, MAX_PENALIZED_PER_CHECK);
+  }, 0);
+
+  return {
+    score: Math.max(0, 100 - penalty),
+    form_count: userForms.length,
+    field_count: userForms.reduce((sum, form) => sum + form.field_count, 0),
+    findings,
+    check_counts: checkCounts,
+    forms: userForms.map(form => ({
+      id: form.id,
+      field_count: form.field_count,
+      submit_text: form.submit ? form.submit.text : null,
+      findings: findings.filter(f => f.form === form.id).length
+    }))
+  };
+}
+
+function guessFieldKind(field) {
+  if (!TEXT_LIKE_TYPES.includes(field.type)) return null;
+  
+  const hint = `${field.name} ${field.id} ${field.label} ${field.placeholder}`.toLowerCase().replace(/[_-]/g, ' ');
+  return FIELD_KINDS.find(kind => kind.pattern.test(hint)) || null;
+}
+
+/**
+ * Missing, disabled or invalid autocomplete on fields browsers could autofill
+ */
+function checkAutocomplete(field, kind) {
+  const expected = field.type === 'password' ? 'current-password or new-password' : (kind && kind.autocomplete);
+  if (!expected) return null;
+
+  if (!field.autocomplete) {
+    return `missing autocomplete="${expected}"`;
+  }
+
+  if (field.autocomplete === 'off') {
+    return `autocomplete="off" blocks autofill (use "${expected}")`;
+  }
+
+  const token = field.autocomplete.split(/\s+/).pop();
+  if (!AUTOCOMPLETE_TOKENS.has(token)) {
+    return `autocomplete="${field.autocomplete}" is not a valid token (use "${expected}")`;
+  }
+
+  return null;
+}
+
+function fieldName(field) {
+  return field.label ? `"${field.label.substring(0, 40)}"` : field.selector;
+}
@@ -1,27 +1,29 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import { 
   getAnalyzerPrompt, 
   getStorytellerPrompt, 
   getRecommenderPrompt,
   parseJSONResponse 
 } from './prompts.js';
-
-// Initialize Gemini
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+import { HEAVY_PAGE_BYTES, LONG_REDIRECT_CHAIN, WCAG_LEVELS } from './scorer.js';
+import { MAX_JARGON_PCT, MAX_PASSIVE_PCT } from './readability.js';
+import { collectLocators } from './rules.js';
+import { generateText, getLLMConfig } from './llm.js';
 
 /**
  * Main orchestrator: Runs all 3 AI "brains" sequentially
  */
 export async function runAIAnalysis(crawledData, scoringResult) {
-  const { scores, flags, details } = scoringResult;
+  const { scores, profile, flags, details, ledger } = scoringResult;
   
   try {
     // Brain 1: ANALYZER - Identify issues
     console.log('🧠 Running Analyzer...');
     const analysisData = {
       scores,
+      profile,
       flags,
       details,
+      ledger,
       crawledData
     };
     
@@ -33,17 +35,20 @@ export async function runAIAnalysis(crawledData, scoringResult) {
       scores,
       issues: analysis.issues,
       strengths: analysis.strengths,
+      performance: details.performance,
       crawledData
     };
     
-    const narrative = await callStoryteller(storyData);
+    const story = await callStoryteller(storyData);
     
     // Brain 3: RECOMMENDER - Generate solutions
     console.log('💡 Running Recommender...');
     const recData = {
       issues: analysis.issues,
       scores,
+      profile,
       details,
+      ledger,
       crawledData
     };
     
@@ -54,8 +59,11 @@ export async function runAIAnalysis(crawledData, scoringResult) {
         issues: analysis.issues,
         strengths: analysis.strengths
       },
-      narrative,
+      narrative: story.narrative,
       recommendations: recommendations.recommendations,
+      // Some brain answered from the rule-based fallback (model unavailable or invalid JSON)
+      fallback: Boolean(analysis.fallback || story.fallback || recommendations.fallback),
+      llm: getLLMConfig(),
       success: true
     };
     
@@ -71,13 +79,10 @@ export async function runAIAnalysis(crawledData, scoringResult) {
  * Output: { issues: [], strengths: [] }
  */
 async function callAnalyzer(data) {
-  const model = genAI.getGenerativeModel({ model: 'gemini-pro' });
   const prompt = getAnalyzerPrompt(data);
   
   try {
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text();
+    const text = await generateText('analyzer', prompt);
     
     // Parse JSON response
     const parsed = parseJSONResponse(text);
@@ -96,31 +101,28 @@ async function callAnalyzer(data) {
     console.error('Analyzer error:', error);
     
     // Fallback: Generate basic issues from flags
-    return generateFallbackAnalysis(data);
+    return { ...generateFallbackAnalysis(data), fallback: true };
   }
 }
 
 /**
  * Brain 2: STORYTELLER
  * Input: scores, issues, strengths
- * Output: narrative string
+ * Output: { narrative: string, fallback? }
  */
 async function callStoryteller(data) {
-  const model = genAI.getGenerativeModel({ model: 'gemini-pro' });
   const prompt = getStorytellerPrompt(data);
   
   try {
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text();
+    const text = await generateText('storyteller', prompt);
     
-    return text.trim();
+    return { narrative: text.trim() };
     
   } catch (error) {
     console.error('Storyteller error:', error);
     
     // Fallback narrative
-    return generateFallbackNarrative(data);
+    return { narrative: generateFallbackNarrative(data), fallback: true };
   }
 }
 
@@ -130,13 +132,10 @@ async function callStoryteller(data) {
  * Output: { recommendations: [] }
  */
 async function callRecommender(data) {
-  const model = genAI.getGenerativeModel({ model: 'gemini-pro' });
   const prompt = getRecommenderPrompt(data);
   
   try {
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text();
+    const text = await generateText('recommender', prompt);
     
     // Parse JSON response
     const parsed = parseJSONResponse(text);
@@ -166,7 +165,7 @@ async function callRecommender(data) {
     console.error('Recommender error:', error);
     
     // Fallback recommendations
-    return generateFallbackRecommendations(data);
+    return { ...generateFallbackRecommendations(data), fallback: true };
   }
 }
 
@@ -174,9 +173,10 @@ async function callRecommender(data) {
  * FALLBACK: Generate basic analysis from flags and scores
  */
 function generateFallbackAnalysis(data) {
-  const { flags, scores, details } = data;
+  const { flags, scores, details, ledger = {} } = data;
   const issues = [];
   const strengths = [];
+  const locate = (ruleId) => ruleLocators(ledger, ruleId);
   
   // CONTENT ISSUES
   if (flags.no_h1 || scores.content < 70) {
@@ -212,19 +212,76 @@ function generateFallbackAnalysis(data) {
         category: 'content',
         severity: 'major',
         description: 'Terdeteksi teks placeholder (lorem ipsum), website belum production-ready',
-        evidence: 'Placeholder text found'
+        evidence: 'Placeholder text found',
+        locators: locate('content.placeholder')
+      });
+    }
+  }
+  
+  // READABILITY ISSUES (hardest paragraphs quoted as evidence)
+  if (details.readability) {
+    const readability = details.readability;
+    const hardest = readability.hardest_paragraphs[0];
+    
+    if (flags.hard_to_read) {
+      issues.push({
+        category: 'content',
+        severity: 'major',
+        description: 'Teks sulit dibaca: kalimat terlalu panjang atau kata terlalu rumit untuk pembaca umum',
+        evidence: `Grade ${readability.grade} (target ≤ ${readability.target_grade}), ${readability.avg_sentence_length} words/sentence` +
+          (hardest ? `; hardest: "${hardest.text}" (grade ${hardest.grade})` : ''),
+        locators: locate('content.readability_grade')
+      });
+    }
+    
+    if (flags.passive_voice_heavy) {
+      issues.push({
+        category: 'content',
+        severity: 'minor',
+        description: 'Terlalu banyak kalimat pasif sehingga pesan terasa kurang langsung',
+        evidence: `${readability.passive_pct}% of sentences use passive voice`
+      });
+    }
+    
+    if (flags.jargon_heavy) {
+      issues.push({
+        category: 'content',
+        severity: 'minor',
+        description: 'Banyak jargon atau istilah bisnis yang sulit dipahami pengunjung awam',
+        evidence: `${readability.jargon_pct}% jargon: ${readability.jargon_terms.join(', ')}`
       });
     }
   }
   
   // LAYOUT ISSUES
-  if (flags.multiple_h1 || scores.layout < 70) {
+  if (flags.multiple_h1 || flags.heading_level_skipped || flags.misused_headings || scores.layout < 70) {
     if (flags.multiple_h1) {
       issues.push({
         category: 'layout',
         severity: 'major',
         description: 'Terdapat lebih dari satu H1, dapat membingungkan struktur halaman',
-        evidence: 'Multiple H1 detected'
+        evidence: 'Multiple H1 detected',
+        locators: locate('layout.single_h1')
+      });
+    }
+    
+    if (flags.heading_level_skipped) {
+      issues.push({
+        category: 'layout',
+        severity: 'minor',
+        description: 'Struktur heading melompati level (misalnya H2 langsung ke H4), membingungkan pengguna screen reader',
+        evidence: headingEvidence(details.layout, v => v.type === 'skipped_level'),
+        locators: locate('layout.hierarchy')
+      });
+    }
+    
+    if (flags.misused_headings) {
+      issues.push({
+        category: 'layout',
+        severity: 'minor',
+        description: 'Beberapa heading kosong, terlalu panjang, atau hanya dipakai untuk styling',
+        evidence: headingEvidence(details.layout, v => v.type !== 'skipped_level'),
+        locators: locate('layout.misused_headings')
       });
     }
     
@@ -233,7 +290,8 @@ function generateFallbackAnalysis(data) {
         category: 'layout',
         severity: 'minor',
         description: 'Terlalu banyak CTA yang bersaing, dapat membingungkan user',
-        evidence: '>5 CTAs detected'
+        evidence: '>5 CTAs detected',
+        locators: locate('layout.cta_density')
       });
     }
     
@@ -261,19 +319,54 @@ function generateFallbackAnalysis(data) {
         category: 'cta',
         severity: 'major',
         description: 'CTA tidak cukup jelas atau tidak mudah ditemukan',
-        evidence: `CTA score: ${scores.cta}/100`
+        evidence: `CTA score: ${scores.cta}/100`,
+        locators: locate('cta.mostly_quality')
       });
     }
   }
   
+  // FORM USABILITY ISSUES (one issue per failed check, with field evidence)
+  if (details.forms) {
+    const formIssues = [
+      { check: 'placeholder_as_label', description: 'Field form hanya memakai placeholder sebagai label, teks hilang saat user mulai mengetik' },
+      { check: 'input_type', description: 'Tipe input tidak sesuai (email/telepon/angka), keyboard mobile dan validasi browser tidak membantu' },
+      { check: 'paste_blocked', description: 'Form memblokir paste sehingga password manager dan copy-paste tidak bisa dipakai' },
+      { check: 'no_submit_button', description: 'Form tidak punya tombol submit yang jelas' },
+      { check: 'autocomplete', description: 'Atribut autocomplete tidak ada atau salah, browser tidak bisa mengisi otomatis' },
+      { check: 'required_not_marked', description: 'Field wajib tidak ditandai, user baru tahu saat submit gagal' },
+      { check: 'required_not_enforced', description: 'Field ditandai wajib (*) tetapi tidak divalidasi sebagai required' },
+      { check: 'ungrouped_options', description: 'Pilihan radio/checkbox tidak dikelompokkan dengan fieldset & legend' },
+      { check: 'vague_submit', description: 'Teks tombol submit terlalu umum, tidak menjelaskan apa yang terjadi' },
+      { check: 'password_no_toggle', description: 'Field password tanpa tombol tampilkan/sembunyikan' },
+      { check: 'too_many_fields', description: 'Form terlalu panjang sehingga user cenderung berhenti mengisi' }
+    ];
+    
+    formIssues.forEach(({ check, description }) => {
+      const matches = details.forms.findings.filter(f => f.check === check);
+      if (matches.length === 0) return;
+      
+      issues.push({
+        category: 'cta',
+        severity: matches[0].severity,
+        description,
+        evidence: matches.slice(0, 3).map(f => f.evidence).join('; ') +
+          (matches.length > 3 ? ` (+${matches.length - 3} more)` : ''),
+        locators: collectLocators(matches.flatMap(f => f.locators || []))
+      });
+    });
+  }
+  
   // ACCESSIBILITY ISSUES
   if (flags.low_contrast || flags.missing_alt_text || flags.small_font || scores.accessibility < 70) {
     if (flags.low_contrast) {
+      const level = details.accessibility.wcag_level || 'AA';
+      const thresholds = WCAG_LEVELS[level];
       issues.push({
         category: 'accessibility',
         severity: 'major',
-        description: 'Kontras warna teks kurang memenuhi standar aksesibilitas WCAG',
-        evidence: 'Color contrast below 4.5:1 ratio'
+        description: `Kontras warna teks kurang memenuhi standar aksesibilitas WCAG ${level}`,
+        evidence: `${details.accessibility.low_contrast_count} element(s) below ${thresholds.normal}:1 (normal text) / ${thresholds.large}:1 (large text)`,
+        locators: locate('accessibility.contrast')
       });
     }
     
@@ -282,7 +375,8 @@ function generateFallbackAnalysis(data) {
         category: 'accessibility',
         severity: 'major',
         description: 'Sebagian besar gambar tidak memiliki teks alternatif (alt text)',
-        evidence: '>50% images missing alt text'
+        evidence: '>50% images missing alt text',
+        locators: locate('accessibility.alt_text')
       });
     }
     
@@ -296,6 +390,253 @@ function generateFallbackAnalysis(data) {
     }
   }
   
+  // Lighthouse accessibility failures our own checks don't cover (the rest are merged into them)
+  (details.accessibility.findings || [])
+    .filter(finding => finding.source === 'lighthouse')
+    .slice(0, 5)
+    .forEach(finding => {
+      issues.push({
+        category: 'accessibility',
+        severity: finding.severity,
+        description: `Audit aksesibilitas Lighthouse gagal: ${finding.title}`,
+        evidence: finding.evidence,
+        locators: finding.locators
+      });
+    });
+  
+  // MOBILE ISSUES
+  if (flags.no_viewport) {
+    issues.push({
+      category: 'mobile',
+      severity: 'critical',
+      description: 'Tidak ada meta viewport, halaman ditampilkan sebagai versi desktop yang diperkecil di ponsel',
+      evidence: 'No <meta name="viewport"> tag'
+    });
+  } else if (details.mobile.viewport_fixed_width !== null) {
+    issues.push({
+      category: 'mobile',
+      severity: 'major',
+      description: 'Meta viewport memakai lebar tetap, bukan width=device-width',
+      evidence: `viewport: ${details.mobile.viewport_content}`,
+      locators: locate('mobile.viewport')
+    });
+  }
+  
+  if (flags.zoom_disabled) {
+    issues.push({
+      category: 'mobile',
+      severity: 'major',
+      description: 'Meta viewport mematikan pinch-zoom sehingga user low-vision tidak bisa memperbesar teks',
+      evidence: `viewport: ${details.mobile.viewport_content}`,
+      locators: locate('mobile.viewport')
+    });
+  }
+  
+  if (details.mobile.fixed_width_count > 0) {
+    const rules = details.mobile.fixed_width_rules;
+    issues.push({
+      category: 'mobile',
+      severity: 'major',
+      description: 'Layout memakai lebar tetap yang lebih besar dari layar ponsel sehingga muncul scroll horizontal',
+      evidence: rules.slice(0, 3).map(r => `${r.selector} { ${r.declaration} }`).join('; ') +
+        (details.mobile.fixed_width_count > 3 ? ` (+${details.mobile.fixed_width_count - 3} more)` : ''),
+      locators: locate('mobile.fixed_width')
+    });
+  }
+  
+  if (flags.non_responsive_images) {
+    issues.push({
+      category: 'mobile',
+      severity: 'minor',
+      description: 'Gambar konten tidak responsif (tanpa srcset/picture atau max-width: 100%)',
+      evidence: `${details.mobile.non_responsive_image_count}/${details.mobile.content_images} images: ${details.mobile.non_responsive_images.slice(0, 3).join(', ')}`,
+      locators: locate('mobile.responsive_images')
+    });
+  }
+  
+  if (flags.tiny_fonts) {
+    issues.push({
+      category: 'mobile',
+      severity: 'minor',
+      description: 'Ada teks dengan ukuran font di bawah 12px yang sulit dibaca di ponsel',
+      evidence: details.mobile.tiny_fonts.slice(0, 3).map(f => `${f.element} (${f.font_size_px}px)`).join(', '),
+      locators: locate('mobile.tiny_fonts')
+    });
+  }
+  
+  if (details.mobile.small_tap_target_count > 0) {
+    issues.push({
+      category: 'mobile',
+      severity: 'minor',
+      description: 'Tombol atau link terlalu kecil untuk disentuh dengan jari (di bawah 24px)',
+      evidence: details.mobile.small_tap_targets.slice(0, 3).map(t => `${t.element} (${t.size})`).join(', '),
+      locators: locate('mobile.tap_targets')
+    });
+  }
+  
+  // IMAGE ISSUES (one issue per failed check, with per-image evidence)
+  if (details.images) {
+    const imageIssues = [
+      { check: 'heavy_hero', description: 'Gambar hero terlalu berat sehingga konten utama lambat tampil (LCP)' },
+      { check: 'missing_dimensions', description: 'Gambar tanpa atribut width/height membuat layout bergeser saat dimuat (CLS)' },
+      { check: 'missing_lazy_loading', description: 'Gambar di bawah layar pertama dimuat langsung tanpa lazy-loading' },
+      { check: 'lazy_hero', description: 'Gambar hero memakai loading="lazy" sehingga tampil lebih lambat' },
+      { check: 'legacy_format', description: 'Gambar masih memakai format lama (JPEG/PNG/GIF) tanpa alternatif WebP/AVIF' },
+      { check: 'heavy_image', description: 'Beberapa gambar berukuran sangat besar dan memperlambat halaman' }
+    ];
+    
+    imageIssues.forEach(({ check, description }) => {
+      const matches = details.images.findings.filter(f => f.check === check);
+      if (matches.length === 0) return;
+      
+      issues.push({
+        category: 'performance',
+        severity: matches.some(f => f.severity === 'major') ? 'major' : 'minor',
+        description,
+        evidence: matches.slice(0, 3).map(f => f.evidence).join('; ') +
+          (matches.length > 3 ? ` (+${matches.length - 3} more)` : ''),
+        locators: collectLocators(matches.flatMap(f => f.locators || []))
+      });
+    });
+  }
+  
+  // PERFORMANCE ISSUES (one issue per failed lab metric, measured or estimated)
+  if (ledger.performance) {
+    const performanceIssues = {
+      'performance.lcp': 'Konten utama lambat tampil di layar (Largest Contentful Paint)',
+      'performance.tbt': 'JavaScript berat membuat halaman lambat merespons input (Total Blocking Time)',
+      'performance.cls': 'Tata letak bergeser saat halaman dimuat (Cumulative Layout Shift)',
+      'performance.fcp': 'Konten pertama lambat muncul di layar (First Contentful Paint)',
+      'performance.speed_index': 'Isi halaman lambat terisi secara visual (Speed Index)'
+    };
+    // Estimated metrics say so in their evidence
+    ledger.performance.rules.filter(rule => !rule.passed).forEach(rule => {
+      issues.push({
+        category: 'performance',
+        severity: rule.points === 0 ? 'major' : 'minor',
+        description: performanceIssues[rule.id] || rule.title,
+        evidence: rule.evidence,
+        locators: rule.locators
+      });
+    });
+    
+    // Core Web Vitals verdict; field data means real visitors are affected
+    const failedVitals = Object.entries(details.performance.core_web_vitals).filter(([, verdict]) => verdict && !verdict.passed);
+    if (failedVitals.length > 0) {
+      issues.push({
+        category: 'performance',
+        severity: failedVitals.some(([, verdict]) => verdict.source === 'field') ? 'major' : 'minor',
+        description: 'Halaman tidak lolos penilaian Core Web Vitals Google (LCP, INP, CLS)',
+        evidence: failedVitals.map(([device, verdict]) => `${device}: ${describeVitalsVerdict(verdict)}`).join('; ')
+      });
+    }
+  }
+  
+  // SECURITY ISSUES (needs response headers, so crawled URLs only)
+  if (details.security) {
+    const security = details.security;
+    
+    if (flags.not_https) {
+      issues.push({
+        category: 'security',
+        severity: 'critical',
+        description: 'Halaman tidak dilayani lewat HTTPS sehingga browser menandainya "Not secure"',
+        evidence: `Final URL: ${details.response.final_url}`
+      });
+    }
+    
+    if (flags.mixed_content) {
+      issues.push({
+        category: 'security',
+        severity: security.mixed_content_active_count > 0 ? 'major' : 'minor',
+        description: 'Halaman HTTPS memuat resource lewat HTTP (mixed content)',
+        evidence: `${security.mixed_content_count} resource(s), ${security.mixed_content_active_count} active: ${security.mixed_content.slice(0, 3).join('; ')}`,
+        locators: locate('security.mixed_content')
+      });
+    }
+    
+    if (flags.missing_csp) {
+      issues.push({
+        category: 'security',
+        severity: 'major',
+        description: 'Tidak ada Content-Security-Policy untuk membatasi script berbahaya (XSS)',
+        evidence: security.csp_report_only
+          ? 'Only Content-Security-Policy-Report-Only is set'
+          : 'Content-Security-Policy header missing'
+      });
+    } else if (security.csp_allows_inline_scripts) {
+      issues.push({
+        category: 'security',
+        severity: 'minor',
+        description: 'Content-Security-Policy masih mengizinkan inline script',
+        evidence: "script-src/default-src allows 'unsafe-inline' without nonce/hash"
+      });
+    }
+    
+    if (flags.clickjacking_unprotected) {
+      issues.push({
+        category: 'security',
+        severity: 'major',
+        description: 'Halaman bisa di-embed dalam iframe situs lain (rawan clickjacking)',
+        evidence: 'No X-Frame-Options and no CSP frame-ancestors'
+      });
+    }
+    
+    if (flags.missing_hsts) {
+      issues.push({
+        category: 'security',
+        severity: 'minor',
+        description: 'HSTS belum aktif, koneksi pertama masih bisa diturunkan ke HTTP',
+        evidence: 'Strict-Transport-Security header missing'
+      });
+    }
+    
+    const missingPolicies = [
+      flags.missing_referrer_policy && 'Referrer-Policy',
+      flags.missing_permissions_policy && 'Permissions-Policy'
+    ].filter(Boolean);
+    
+    if (missingPolicies.length > 0) {
+      issues.push({
+        category: 'security',
+        severity: 'minor',
+        description: 'Header privasi browser belum diatur',
+        evidence: `Missing: ${missingPolicies.join(', ')}`
+      });
+    }
+  }
+  
+  // RESPONSE ISSUES (redirects only exist for crawled URLs)
+  if (flags.https_downgrade) {
+    const downgrade = details.response.https_downgrades[0];
+    issues.push({
+      category: 'general',
+      severity: 'critical',
+      description: 'Redirect menurunkan koneksi dari HTTPS ke HTTP sehingga data user tidak terenkripsi',
+      evidence: `${downgrade.from} -> ${downgrade.to}`
+    });
+  }
+  
+  if (flags.long_redirect_chain) {
+    issues.push({
+      category: 'general',
+      severity: 'minor',
+      description: 'Rantai redirect terlalu panjang sehingga halaman lebih lambat terbuka',
+      evidence: `${details.response.redirect_count} redirects: ${details.response.redirect_chain.join(' -> ')} -> ${details.response.final_url}`
+    });
+  }
+  
+  // PROJECT HOUSE RULES (lib/plugins.js)
+  (details.plugins || []).forEach(finding => {
+    issues.push({
+      category: finding.category,
+      severity: finding.severity,
+      description: finding.description,
+      evidence: finding.evidence,
+      locators: finding.locators
+    });
+  });
+  
   // GENERAL LOW SCORE ISSUES
   if (scores.content < 50) {
     issues.push({
@@ -353,6 +694,27 @@ function generateFallbackAnalysis(data) {
     });
   }
   
+  if (scores.mobile >= 80) {
+    strengths.push({
+      category: 'mobile',
+      description: 'Halaman sudah siap mobile: viewport, layout, dan gambar menyesuaikan layar ponsel'
+    });
+  }
+  
+  if (scores.performance >= 80 && !details.performance.estimated) {
+    strengths.push({
+      category: 'performance',
+      description: 'Halaman dimuat cepat dan stabil menurut Core Web Vitals dari PageSpeed'
+    });
+  }
+  
+  if (scores.security >= 80) {
+    strengths.push({
+      category: 'security',
+      description: 'HTTPS dan security headers sudah dikonfigurasi dengan baik'
+    });
+  }
+  
   // Always have at least one strength
   if (strengths.length === 0) {
     const highestScore = Math.max(scores.content, scores.layout, scores.cta, scores.accessibility);
@@ -364,9 +726,52 @@ function generateFallbackAnalysis(data) {
     }
   }
   
+  // Issues without specific elements (missing tags, headers, scores) get an empty list
+  issues.forEach(issue => {
+    issue.locators = issue.locators || [];
+  });
+  
   return { issues, strengths };
 }
 
+/**
+ * Offending elements ({ selector, snippet, line }) of a scoring rule from the ledger
+ */
+function ruleLocators(ledger, ruleId) {
+  const entry = Object.values(ledger)
+    .filter(Boolean)
+    .flatMap(categoryLedger => categoryLedger.rules)
+    .find(rule => rule.id === ruleId);
+  return entry ? entry.locators || [] : [];
+}
+
+/**
+ * First few heading violations as a one-line evidence string
+ */
+function headingEvidence(layoutDetails, predicate) {
+  return (layoutDetails.heading_violations || [])
+    .filter(predicate)
+    .slice(0, 3)
+    .map(v => v.evidence)
+    .join('; ');
+}
+
+/**
+ * "field data (this URL), failing LCP 3.2 s, CLS 0.31"
+ */
+function describeVitalsVerdict(verdict) {
+  const source = verdict.source === 'field'
+    ? `field data (${verdict.scope === 'origin' ? 'whole site' : 'this URL'})`
+    : verdict.source === 'estimate' ? 'estimated offline' : 'lab data';
+  const failing = verdict.failing.map(metric => {
+    const { value, proxy } = verdict.metrics[metric];
+    const label = (proxy || metric).toUpperCase();
+    if (metric === 'cls') return `${label} ${value.toFixed(2)}`;
+    return `${label} ${value < 1000 ? `${Math.round(value)} ms` : `${(value / 1000).toFixed(1)} s`}`;
+  });
+  return `${source}, failing ${failing.join(', ')}`;
+}
+
 /**
  * FALLBACK: Generate basic narrative
  */
@@ -407,7 +812,15 @@ function generateFallbackNarrative(data) {
   if (scores.accessibility < 70) {
     categoryAnalysis.push(`♿ **Accessibility (${scores.accessibility}/100)**: Standar aksesibilitas belum terpenuhi dengan baik`);
   }
-  
+
+  if (scores.mobile < 70) {
+    categoryAnalysis.push(`📱 **Mobile (${scores.mobile}/100)**: Tampilan belum optimal di layar ponsel`);
+  }
+
+  if (scores.performance < 70) {
+    categoryAnalysis.push(`⚡ **Performance (${scores.performance}/100${data.performance?.estimated ? ', perkiraan' : ''})**: Halaman lambat dimuat${scores.performance < 50 ? ', pengunjung bisa pergi sebelum konten tampil' : ''}`);
+  }
+
   if (categoryAnalysis.length > 0) {
     narrative += 'Area yang memerlukan perhatian:\n' + categoryAnalysis.join('\n') + '\n\n';
   }
@@ -445,7 +858,7 @@ function generateFallbackNarrative(data) {
  * FALLBACK: Generate basic recommendations
  */
 function generateFallbackRecommendations(data) {
-  const { issues, scores, details } = data;
+  const { issues, scores, details, ledger = {} } = data;
   const recommendations = [];
   
   // Group issues by category for better recommendations
@@ -453,7 +866,10 @@ function generateFallbackRecommendations(data) {
     content: issues.filter(i => i.category === 'content'),
     layout: issues.filter(i => i.category === 'layout'),
     cta: issues.filter(i => i.category === 'cta'),
-    accessibility: issues.filter(i => i.category === 'accessibility')
+    accessibility: issues.filter(i => i.category === 'accessibility'),
+    mobile: issues.filter(i => i.category === 'mobile'),
+    performance: issues.filter(i => i.category === 'performance'),
+    security: issues.filter(i => i.category === 'security')
   };
   
   // CONTENT RECOMMENDATIONS
@@ -481,6 +897,22 @@ function generateFallbackRecommendations(data) {
     }
   }
   
+  // READABILITY RECOMMENDATIONS
+  const readability = details.readability;
+  if (readability && (readability.grade > readability.target_grade + 2 ||
+    readability.passive_pct > MAX_PASSIVE_PCT || readability.jargon_pct > MAX_JARGON_PCT)) {
+    const indonesian = readability.language === 'id';
+    
+    recommendations.push({
+      title: 'Sederhanakan Bahasa Konten',
+      description: `Pecah kalimat panjang (target ${indonesian ? '≤ 20' : '≤ 25'} kata per kalimat), gunakan kalimat aktif${readability.jargon_terms.length > 0 ? `, dan ganti istilah seperti "${readability.jargon_terms.slice(0, 3).join('", "')}" dengan kata sehari-hari` : ''}. Mulai dari paragraf tersulit yang ditampilkan di hasil audit.`,
+      category: 'content',
+      impact: 'medium',
+      effort: 'medium',
+      priority: 0
+    });
+  }
+  
   // LAYOUT RECOMMENDATIONS
   if (issuesByCategory.layout.length > 0 || scores.layout < 70) {
     if (details.layout && details.layout.multiple_h1) {
@@ -494,6 +926,17 @@ function generateFallbackRecommendations(data) {
       });
     }
     
+    if (details.layout && (details.layout.skipped_heading_levels > 0 || details.layout.misused_headings > 0)) {
+      recommendations.push({
+        title: 'Rapikan Struktur Heading',
+        description: 'Gunakan heading berurutan (H1 → H2 → H3) tanpa melompati level, hapus heading kosong, dan ganti heading yang hanya dipakai untuk styling dengan teks biasa + CSS.',
+        category: 'layout',
+        impact: 'medium',
+        effort: 'low',
+        priority: 1
+      });
+    }
+    
     if (scores.layout < 60) {
       recommendations.push({
         title: 'Tingkatkan Hierarki Visual',
@@ -531,12 +974,63 @@ function generateFallbackRecommendations(data) {
     }
   }
   
+  // FORM RECOMMENDATIONS
+  if (details.forms && details.forms.findings.length > 0) {
+    const counts = details.forms.check_counts;
+    
+    if (counts.placeholder_as_label || counts.required_not_marked || counts.required_not_enforced) {
+      recommendations.push({
+        title: 'Gunakan Label yang Selalu Terlihat',
+        description: 'Beri setiap field <label> yang tetap tampil (bukan hanya placeholder) dan tandai field wajib dengan * yang konsisten dengan atribut required.',
+        category: 'cta',
+        impact: 'high',
+        effort: 'low',
+        priority: 2
+      });
+    }
+    
+    if (counts.input_type || counts.autocomplete) {
+      recommendations.push({
+        title: 'Pakai Tipe Input & Autocomplete yang Tepat',
+        description: 'Gunakan type="email", type="tel", type="number" dan atribut autocomplete (email, tel, name, street-address, dll.) agar keyboard mobile sesuai dan browser bisa mengisi otomatis.',
+        category: 'cta',
+        impact: 'medium',
+        effort: 'low',
+        priority: 1
+      });
+    }
+    
+    if (counts.paste_blocked || counts.password_no_toggle) {
+      recommendations.push({
+        title: 'Permudah Pengisian Password',
+        description: 'Hapus handler onpaste yang memblokir paste dan tambahkan tombol tampilkan/sembunyikan password supaya password manager dan user mobile tidak kesulitan.',
+        category: 'cta',
+        impact: 'medium',
+        effort: 'low',
+        priority: 1
+      });
+    }
+    
+    if (counts.vague_submit || counts.no_submit_button || counts.too_many_fields || counts.ungrouped_options) {
+      recommendations.push({
+        title: 'Sederhanakan Form & Perjelas Tombol Submit',
+        description: 'Kurangi field yang tidak wajib, kelompokkan pilihan dengan fieldset/legend, dan ganti teks tombol "Submit"/"Kirim" dengan aksi spesifik seperti "Kirim Pesan" atau "Buat Akun".',
+        category: 'cta',
+        impact: 'medium',
+        effort: 'medium',
+        priority: 0
+      });
+    }
+  }
+  
   // ACCESSIBILITY RECOMMENDATIONS
   if (issuesByCategory.accessibility.length > 0 || scores.accessibility < 70) {
     if (details.accessibility && details.accessibility.low_contrast_count > 0) {
+      const level = details.accessibility.wcag_level || 'AA';
+      const thresholds = WCAG_LEVELS[level];
       recommendations.push({
         title: 'Perbaiki Kontras Warna',
-        description: 'Pastikan rasio kontras antara teks dan background minimal 4.5:1 untuk teks normal dan 3:1 untuk teks besar (sesuai WCAG AA).',
+        description: `Pastikan rasio kontras antara teks dan background minimal ${thresholds.normal}:1 untuk teks normal dan ${thresholds.large}:1 untuk teks besar (sesuai WCAG ${level}).`,
         category: 'accessibility',
         impact: 'high',
         effort: 'medium',
@@ -567,6 +1061,284 @@ function generateFallbackRecommendations(data) {
     }
   }
   
+  // MOBILE RECOMMENDATIONS
+  if (details.mobile && (issuesByCategory.mobile.length > 0 || scores.mobile < 70)) {
+    const mobile = details.mobile;
+    
+    if (!mobile.viewport_present || mobile.viewport_fixed_width !== null || mobile.zoom_disabled) {
+      recommendations.push({
+        title: 'Perbaiki Meta Viewport',
+        description: 'Gunakan <meta name="viewport" content="width=device-width, initial-scale=1"> tanpa user-scalable=no atau maximum-scale agar halaman menyesuaikan lebar layar dan tetap bisa di-zoom.',
+        category: 'mobile',
+        impact: 'high',
+        effort: 'low',
+        priority: 2
+      });
+    }
+    
+    if (mobile.fixed_width_count > 0 || mobile.media_queries === 0) {
+      recommendations.push({
+        title: 'Buat Layout Responsif',
+        description: `Ganti lebar tetap (px) dengan max-width, persentase, flexbox atau grid, lalu tambahkan media query untuk layar kecil${mobile.fixed_width_rules.length > 0 ? `, mulai dari ${mobile.fixed_width_rules[0].selector}` : ''}.`,
+        category: 'mobile',
+        impact: 'high',
+        effort: 'medium',
+        priority: 1
+      });
+    }
+    
+    if (mobile.non_responsive_image_count > 0) {
+      recommendations.push({
+        title: 'Gunakan Gambar Responsif',
+        description: 'Tambahkan srcset dan sizes (atau elemen <picture>) pada gambar konten, serta CSS img { max-width: 100%; height: auto; } agar gambar tidak melebihi layar.',
+        category: 'mobile',
+        impact: 'medium',
+        effort: 'low',
+        priority: 1
+      });
+    }
+    
+    if (mobile.tiny_font_count > 0 || mobile.small_tap_target_count > 0) {
+      recommendations.push({
+        title: 'Perbesar Teks & Area Sentuh',
+        description: 'Gunakan font minimal 12px (idealnya 16px untuk body) dan ukuran tombol/link minimal 24x24px (disarankan 44x44px) agar nyaman dipakai di layar sentuh.',
+        category: 'mobile',
+        impact: 'medium',
+        effort: 'low',
+        priority: 1
+      });
+    }
+  }
+  
+  // IMAGE RECOMMENDATIONS
+  if (details.images && issuesByCategory.performance.length > 0) {
+    const checks = details.images.check_counts;
+    
+    if (checks.heavy_hero || checks.heavy_image) {
+      recommendations.push({
+        title: 'Kompres & Perkecil Gambar Besar',
+        description: `Kompres gambar${details.images.hero ? ` (mulai dari hero ${details.images.hero.src})` : ''} dan sediakan beberapa ukuran lewat srcset/sizes agar ponsel tidak mengunduh file resolusi desktop. Targetkan gambar hero di bawah 200 KB.`,
+        category: 'performance',
+        impact: 'high',
+        effort: 'low',
+        priority: 2
+      });
+    }
+    
+    if (checks.missing_dimensions) {
+      recommendations.push({
+        title: 'Tambahkan width & height pada Gambar',
+        description: `Isi atribut width dan height (atau CSS aspect-ratio) pada ${checks.missing_dimensions} gambar agar browser menyiapkan ruang sebelum gambar dimuat dan layout tidak bergeser.`,
+        category: 'performance',
+        impact: 'medium',
+        effort: 'low',
+        priority: 1
+      });
+    }
+    
+    if (checks.missing_lazy_loading || checks.lazy_hero) {
+      recommendations.push({
+        title: 'Atur Lazy-Loading Gambar',
+        description: 'Tambahkan loading="lazy" pada gambar di bawah layar pertama, tetapi jangan pada gambar hero; beri hero fetchpriority="high" agar tampil secepat mungkin.',
+        category: 'performance',
+        impact: 'medium',
+        effort: 'low',
+        priority: 1
+      });
+    }
+    
+    if (checks.legacy_format) {
+      recommendations.push({
+        title: 'Gunakan Format WebP/AVIF',
+        description: 'Konversi JPEG/PNG ke WebP atau AVIF (biasanya 25-50% lebih kecil) dan sajikan lewat <picture> dengan fallback format lama.',
+        category: 'performance',
+        impact: 'medium',
+        effort: 'medium',
+        priority: 0
+      });
+    }
+  }
+  
+  // PERFORMANCE RECOMMENDATIONS (failed lab metrics & opportunities, measured or estimated)
+  const slowRules = new Set((ledger.performance?.rules || []).filter(rule => !rule.passed).map(rule => rule.id));
+  
+  if (slowRules.has('performance.lcp')) {
+    recommendations.push({
+      title: 'Percepat Tampilan Konten Utama (LCP)',
+      description: 'Preload gambar hero atau font utama, kecilkan ukurannya, dan percepat respons server agar elemen terbesar di layar pertama tampil dalam 2,5 detik.',
+      category: 'performance',
+      impact: 'high',
+      effort: 'medium',
+      priority: 1
+    });
+  }
+  
+  if (slowRules.has('performance.tbt')) {
+    recommendations.push({
+      title: 'Pangkas JavaScript yang Memblokir',
+      description: 'Pecah bundle JavaScript (code splitting), tunda script pihak ketiga seperti chat, analytics, dan iklan sampai halaman interaktif, dan hapus kode yang tidak dipakai.',
+      category: 'performance',
+      impact: 'high',
+      effort: 'high',
+      priority: 0
+    });
+  }
+  
+  if (slowRules.has('performance.cls')) {
+    recommendations.push({
+      title: 'Stabilkan Tata Letak Saat Dimuat (CLS)',
+      description: 'Beri width/height atau aspect-ratio pada gambar, video, dan iframe, sisakan ruang untuk banner atau iklan, dan pakai font fallback dengan ukuran yang mirip.',
+      category: 'performance',
+      impact: 'medium',
+      effort: 'low',
+      priority: 1
+    });
+  }
+  
+  // INP only comes from field data (or a timespan run); TBT covers the lab side
+  const slowInteraction = Object.values(details.performance.core_web_vitals)
+    .some(verdict => verdict && verdict.metrics.inp && !verdict.metrics.inp.proxy && verdict.metrics.inp.rating !== 'good');
+  
+  if (slowInteraction) {
+    recommendations.push({
+      title: 'Percepat Respons Interaksi (INP)',
+      description: 'Pengunjung nyata menunggu terlalu lama setelah klik atau mengetik. Pecah event handler yang berat, tunda pekerjaan non-visual dengan setTimeout/requestIdleCallback, dan kurangi script pihak ketiga agar respons tampil dalam 200 ms.',
+      category: 'performance',
+      impact: 'high',
+      effort: 'medium',
+      priority: 1
+    });
+  }
+  
+  // Lighthouse diagnostics without a time saving (e.g. font-display) count too
+  const opportunities = new Set([
+    ...(details.performance.opportunities || []).map(opportunity => opportunity.id),
+    ...(details.performance.audits?.performance || []).map(audit => audit.id)
+  ]);
+  
+  if (opportunities.has('render-blocking-resources')) {
+    recommendations.push({
+      title: 'Hilangkan Resource yang Memblokir Render',
+      description: `Tambahkan defer/async pada ${details.performance.blocking_scripts} script di <head>, inline CSS kritis untuk layar pertama, dan muat ${details.performance.blocking_stylesheets} stylesheet lainnya tanpa menahan render.`,
+      category: 'performance',
+      impact: 'high',
+      effort: 'medium',
+      priority: 1
+    });
+  }
+  
+  if (opportunities.has('uses-text-compression')) {
+    recommendations.push({
+      title: 'Aktifkan Kompresi gzip/Brotli',
+      description: 'Nyalakan kompresi gzip atau Brotli untuk HTML, CSS, dan JavaScript di server/CDN; ukuran transfer teks biasanya turun sekitar 70%.',
+      category: 'performance',
+      impact: 'medium',
+      effort: 'low',
+      priority: 1
+    });
+  }
+  
+  if (opportunities.has('font-display')) {
+    recommendations.push({
+      title: 'Tampilkan Teks Saat Font Dimuat',
+      description: 'Tambahkan font-display: swap (atau optional) di setiap @font-face dan preload file font utama agar teks tidak hilang selama web font diunduh.',
+      category: 'performance',
+      impact: 'medium',
+      effort: 'low',
+      priority: 1
+    });
+  }
+  
+  if (details.performance.page_weight_bytes > HEAVY_PAGE_BYTES) {
+    recommendations.push({
+      title: 'Kurangi Berat Halaman',
+      description: `Halaman ini sedikitnya ${Math.round(details.performance.page_weight_bytes / 1024)} KB dengan ${details.performance.request_count} request. Kompres gambar, pecah bundle JavaScript, dan hapus script pihak ketiga yang tidak perlu.`,
+      category: 'performance',
+      impact: 'medium',
+      effort: 'medium',
+      priority: 0
+    });
+  }
+  
+  // RESPONSE RECOMMENDATIONS
+  if (details.response && details.response.https_downgrades.length > 0) {
+    recommendations.push({
+      title: 'Pastikan Semua Redirect Tetap di HTTPS',
+      description: 'Ubah target redirect agar selalu memakai https:// dan aktifkan HSTS supaya browser tidak pernah turun ke HTTP.',
+      category: 'general',
+      impact: 'high',
+      effort: 'low',
+      priority: 2
+    });
+  }
+  
+  if (details.response && details.response.redirect_count >= LONG_REDIRECT_CHAIN) {
+    recommendations.push({
+      title: 'Persingkat Rantai Redirect',
+      description: `Arahkan link dan redirect langsung ke ${details.response.final_url} agar user tidak melewati ${details.response.redirect_count} redirect sebelum halaman dimuat.`,
+      category: 'general',
+      impact: 'medium',
+      effort: 'low',
+      priority: 1
+    });
+  }
+  
+  // SECURITY RECOMMENDATIONS (only when response headers were captured)
+  if (details.security && (issuesByCategory.security.length > 0 || scores.security < 70)) {
+    const security = details.security;
+    
+    if (!security.is_https) {
+      recommendations.push({
+        title: 'Aktifkan HTTPS di Seluruh Situs',
+        description: 'Pasang sertifikat TLS (misalnya gratis dari Let\'s Encrypt) dan redirect semua request HTTP ke HTTPS agar data user terenkripsi dan browser tidak menampilkan peringatan "Not secure".',
+        category: 'security',
+        impact: 'high',
+        effort: 'medium',
+        priority: 1
+      });
+    }
+    
+    if (security.mixed_content_count > 0) {
+      recommendations.push({
+        title: 'Hilangkan Mixed Content',
+        description: `Ganti ${security.mixed_content_count} referensi http:// di tag img/script/link menjadi https:// atau URL relatif. Script dan stylesheet lewat HTTP diblokir browser di halaman HTTPS.`,
+        category: 'security',
+        impact: security.mixed_content_active_count > 0 ? 'high' : 'medium',
+        effort: 'low',
+        priority: security.mixed_content_active_count > 0 ? 2 : 1
+      });
+    }
+    
+    if (!security.csp_enforced || security.csp_allows_inline_scripts) {
+      recommendations.push({
+        title: 'Terapkan Content-Security-Policy',
+        description: 'Tambahkan header Content-Security-Policy yang membatasi sumber script (gunakan nonce/hash, hindari \'unsafe-inline\'). Mulai dengan Content-Security-Policy-Report-Only untuk menguji tanpa merusak halaman.',
+        category: 'security',
+        impact: 'high',
+        effort: 'medium',
+        priority: 1
+      });
+    }
+    
+    const missingHeaders = [
+      security.is_https && !security.hsts_present && 'Strict-Transport-Security',
+      !security.clickjacking_protected && 'X-Frame-Options (atau CSP frame-ancestors)',
+      !security.referrer_policy && 'Referrer-Policy',
+      !security.permissions_policy && 'Permissions-Policy'
+    ].filter(Boolean);
+    
+    if (missingHeaders.length > 0) {
+      recommendations.push({
+        title: 'Lengkapi Security Headers',
+        description: `Tambahkan header berikut di server/CDN: ${missingHeaders.join(', ')}. Contoh: "Strict-Transport-Security: max-age=31536000; includeSubDomains", "X-Frame-Options: SAMEORIGIN", "Referrer-Policy: strict-origin-when-cross-origin".`,
+        category: 'security',
+        impact: 'medium',
+        effort: 'low',
+        priority: 1
+      });
+    }
+  }
+  
   // GENERAL RECOMMENDATIONS based on low scores
   if (scores.content < 50 && recommendations.filter(r => r.category === 'content').length === 0) {
     recommendations.push({
@@ -590,6 +1362,13 @@ function generateFallbackRecommendations(data) {
     });
   }
   
+  // PROJECT HOUSE RULE RECOMMENDATIONS
+  (details.plugins || []).forEach(finding => {
+    if (finding.recommendation) {
+      recommendations.push(finding.recommendation);
+    }
+  });
+  
   // Always add at least one general recommendation
   if (recommendations.length === 0) {
     recommendations.push({
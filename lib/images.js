@@ -0,0 +1,256 @@
+import { describeElement, locateElement, USER_AGENT } from './crawler.js';
+import { safeFetch } from './network.js';
+
+/**
+ * Image optimization checks from markup alone
+ * Dimensions (layout shift), lazy-loading, formats and, when HEAD requests
+ * are allowed, transfer size - so image problems surface without PageSpeed
+ */
+
+// The first few images in document order are assumed to render above the fold
+const ABOVE_FOLD_IMAGES = 3;
+// Hero images above this hurt LCP on a typical mobile connection
+const HEAVY_HERO_BYTES = 200 * 1024;
+const HEAVY_IMAGE_BYTES = 500 * 1024;
+// Without byte sizes, a hero declared wider than this is likely a full-resolution original
+const OVERSIZED_HERO_WIDTH = 2000;
+// Tiny legacy-format files (icons, sprites) gain nothing from conversion
+const MIN_CONVERTIBLE_BYTES = 10 * 1024;
+const MAX_SIZE_CHECKS = 12;
+
+const LEGACY_FORMATS = ['jpeg', 'png', 'gif', 'bmp', 'tiff'];
+const MODERN_FORMATS = ['webp', 'avif', 'jxl'];
+
+const EXTENSION_FORMATS = {
+  jpg: 'jpeg', jpeg: 'jpeg', jfif: 'jpeg', png: 'png', gif: 'gif', webp: 'webp',
+  avif: 'avif', jxl: 'jxl', svg: 'svg', bmp: 'bmp', tif: 'tiff', tiff: 'tiff', ico: 'ico'
+};
+
+/**
+ * Extract every <img> with the attributes that matter for loading performance
+ * Keeps the { src, alt } shape used by the scorer
+ */
+export function extractImages($, baseUrl) {
+  let contentIndex = 0;
+
+  const images = $('img').map((i, el) => {
+    const $el = $(el);
+    const src = $el.attr('src') || '';
+    const url = resolveImageURL(src, baseUrl);
+    const width = parseDimension($el.attr('width'));
+    const height = parseDimension($el.attr('height'));
+    const style = ($el.attr('style') || '').toLowerCase();
+    const $picture = $el.parent('picture');
+    const inChrome = $el.closest('header, nav, footer').length > 0;
+    const isIcon = (width !== null && width < 100) || (height !== null && height < 100);
+
+    // Logos & icons in the page chrome don't count towards the "first images" window
+    const aboveFold = inChrome || contentIndex < ABOVE_FOLD_IMAGES;
+    if (!inChrome && !isIcon) contentIndex++;
+
+    return {
+      src,
+      url,
+      alt: $el.attr('alt') || '',
+      width,
+      height,
+      // Inline width + height or aspect-ratio reserve space just like the attributes
+      has_dimensions: (width !== null && height !== null) ||
+        /aspect-ratio\s*:/.test(style) || (/(^|;)\s*width\s*:/.test(style) && /(^|;)\s*height\s*:/.test(style)),
+      loading: ($el.attr('loading') || '').toLowerCase() || null,
+      // lazysizes & similar libraries swap data-src in with JavaScript
+      js_lazy: Boolean($el.attr('data-src') || $el.attr('data-srcset')) || /\blazy/i.test($el.attr('class') || ''),
+      decoding: ($el.attr('decoding') || '').toLowerCase() || null,
+      fetchpriority: ($el.attr('fetchpriority') || '').toLowerCase() || null,
+      srcset: $el.attr('srcset') || '',
+      sizes: $el.attr('sizes') || '',
+      in_picture: $picture.length > 0,
+      source_formats: $picture.children('source').map((j, source) => formatFromMime($(source).attr('type')) ||
+        formatFromURL(($(source).attr('srcset') || '').trim().split(/[\s,]/)[0])).get().filter(Boolean),
+      format: src.startsWith('data:') ? formatFromMime(src.slice(5).split(/[;,]/)[0]) : formatFromURL(url || src),
+      above_fold: aboveFold,
+      hero: false,
+      in_chrome: inChrome,
+      is_icon: isIcon,
+      bytes: src.startsWith('data:') ? dataURIBytes(src) : null,
+      content_type: null,
+      selector: describeElement(el),
+      locator: locateElement($, el)
+    };
+  }).get();
+
+  // Hero: the first sizeable above-the-fold image outside header/nav, usually the LCP element
+  const hero = images.find(img => img.above_fold && !img.in_chrome && !img.is_icon && img.format !== 'svg');
+  if (hero) hero.hero = true;
+
+  return images;
+}
+
+/**
+ * Look up transfer sizes with HEAD requests (first MAX_SIZE_CHECKS images)
+ * Failures and missing Content-Length leave bytes at null
+ * @returns {Promise<Array>} Images with bytes & content_type filled in
+ */
+export async function fetchImageSizes(images) {
+  const urls = [...new Set(images.map(img => img.url).filter(url => url && /^https?:/.test(url)))]
+    .slice(0, MAX_SIZE_CHECKS);
+
+  const sizes = {};
+  await Promise.all(urls.map(async (url) => {
+    sizes[url] = await fetchImageSize(url);
+  }));
+
+  return images.map(img => {
+    const size = sizes[img.url];
+    if (!size) return img;
+    return {
+      ...img,
+      bytes: size.bytes,
+      content_type: size.contentType,
+      format: formatFromMime(size.contentType) || img.format
+    };
+  });
+}
+
+async function fetchImageSize(url) {
+  try {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 4000);
+
+    const response = await safeFetch(url, {
+      method: 'HEAD',
+      signal: controller.signal,
+      headers: {
+        'User-Agent': USER_AGENT
+      }
+    });
+
+    clearTimeout(timeoutId);
+
+    if (!response.ok) return null;
+
+    const length = parseInt(response.headers.get('content-length'), 10);
+    return {
+      bytes: isNaN(length) ? null : length,
+      contentType: (response.headers.get('content-type') || '').split(';')[0].trim() || null
+    };
+  } catch (error) {
+    console.log(`⚠️  Image size not checked (${url}):`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Image optimization findings with per-image evidence
+ * @returns {Object|null} null when the page has no images
+ */
+export function analyzeImages(images = []) {
+  if (images.length === 0) return null;
+
+  const findings = [];
+  const add = (image, check, severity, evidence) => {
+    findings.push({ image: image.src || image.selector, check, severity, evidence, locators: image.locator ? [image.locator] : [] });
+  };
+
+  images.forEach(image => {
+    const name = shortName(image);
+
+    // Missing width/height lets the page jump when the image arrives (CLS)
+    if (!image.has_dimensions) {
+      add(image, 'missing_dimensions', image.above_fold ? 'major' : 'minor',
+        `${name}: no width/height${image.above_fold ? ' (above the fold)' : ''}`);
+    }
+
+    if (!image.above_fold && image.loading !== 'lazy' && !image.js_lazy) {
+      add(image, 'missing_lazy_loading', 'minor', `${name}: below the fold without loading="lazy"`);
+    }
+
+    if (image.hero && image.loading === 'lazy') {
+      add(image, 'lazy_hero', 'minor', `${name}: hero image is lazy-loaded, which delays LCP`);
+    }
+
+    const hasModernSource = image.source_formats.some(format => MODERN_FORMATS.includes(format));
+    if (LEGACY_FORMATS.includes(image.format) && !hasModernSource && !image.is_icon &&
+      (image.bytes === null || image.bytes >= MIN_CONVERTIBLE_BYTES)) {
+      add(image, 'legacy_format', 'minor', `${name}: ${image.format.toUpperCase()} without a WebP/AVIF alternative`);
+    }
+
+    if (image.hero && image.bytes !== null && image.bytes > HEAVY_HERO_BYTES) {
+      add(image, 'heavy_hero', 'major', `${name}: hero image is ${formatBytes(image.bytes)} (budget ${formatBytes(HEAVY_HERO_BYTES)})`);
+    } else if (image.hero && image.bytes === null && image.width > OVERSIZED_HERO_WIDTH && !image.srcset) {
+      add(image, 'heavy_hero', 'major', `${name}: hero image is ${image.width}px wide with no srcset`);
+    } else if (!image.hero && image.bytes !== null && image.bytes > HEAVY_IMAGE_BYTES) {
+      add(image, 'heavy_image', 'minor', `${name}: ${formatBytes(image.bytes)}`);
+    }
+  });
+
+  const checkCounts = {};
+  findings.forEach(f => {
+    checkCounts[f.check] = (checkCounts[f.check] || 0) + 1;
+  });
+
+  const sized = images.filter(img => img.bytes !== null);
+  const hero = images.find(img => img.hero);
+
+  return {
+    image_count: images.length,
+    with_dimensions: images.filter(img => img.has_dimensions).length,
+    lazy_loaded: images.filter(img => img.loading === 'lazy' || img.js_lazy).length,
+    modern_format: images.filter(img => MODERN_FORMATS.includes(img.format) || img.source_formats.some(f => MODERN_FORMATS.includes(f))).length,
+    sizes_checked: sized.length,
+    total_bytes: sized.reduce((sum, img) => sum + img.bytes, 0),
+    hero: hero ? { src: hero.src, format: hero.format, bytes: hero.bytes, width: hero.width, loading: hero.loading } : null,
+    findings,
+    check_counts: checkCounts
+  };
+}
+
+/**
+ * 1536 -> "1.5 KB"
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024 * 10) / 10} KB`;
+  return `${Math.round(bytes / 1024 / 1024 * 10) / 10} MB`;
+}
+
+function resolveImageURL(src, baseUrl) {
+  if (!src || src.startsWith('data:')) return null;
+  try {
+    return new URL(src, baseUrl || undefined).toString();
+  } catch {
+    return null;
+  }
+}
+
+function parseDimension(value) {
+  const number = parseInt(value, 10);
+  return isNaN(number) ? null : number;
+}
+
+function formatFromURL(url) {
+  if (!url) return null;
+  const path = url.split(/[?#]/)[0];
+  const extension = (path.match(/\.([a-z0-9]+)$/i) || [])[1];
+  return extension ? EXTENSION_FORMATS[extension.toLowerCase()] || null : null;
+}
+
+function formatFromMime(mime) {
+  const match = (mime || '').toLowerCase().match(/^image\/(?:x-)?([\w.+-]+)/);
+  if (!match) return null;
+  const subtype = match[1].replace('+xml', '').replace('pjpeg', 'jpeg');
+  return EXTENSION_FORMATS[subtype] || subtype;
+}
+
+function dataURIBytes(src) {
+  const comma = src.indexOf(',');
+  if (comma === -1) return null;
+  const payload = src.slice(comma + 1);
+  return /;base64$/i.test(src.slice(0, comma)) ? Math.floor(payload.length * 3 / 4) : payload.length;
+}
+
+function shortName(image) {
+  if (!image.src || image.src.startsWith('data:')) return image.selector;
+  const file = image.src.split(/[?#]/)[0].split('/').pop();
+  return file || image.src;
+}
@@ -0,0 +1,241 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+/**
+ * LLM providers behind the three AI brains (lib/gemini.js)
+ * A provider turns a prompt into text: { generate({ prompt, model, brain }) -> Promise<string> }
+ *
+ * Config:
+ * - LLM_PROVIDER: 'gemini' (default, GEMINI_API_KEY), 'openai' (any OpenAI-compatible
+ *   /chat/completions endpoint: OpenAI, Ollama, LM Studio, vLLM...) or 'mock' (no network)
+ * - LLM_MODEL: model for every brain; LLM_MODEL_ANALYZER / _STORYTELLER / _RECOMMENDER override one brain
+ * - LLM_BASE_URL, LLM_API_KEY: OpenAI-compatible endpoint (e.g. http://localhost:11434/v1 for Ollama, no key)
+ * - LLM_MODE: 'record' saves every response to LLM_RECORDINGS_DIR, 'replay' answers only
+ *   from those files (offline development; a missing recording fails like an unavailable model)
+ * Other providers plug in with registerProvider('anthropic', () => ({ generate }))
+ */
+
+export const BRAINS = ['analyzer', 'storyteller', 'recommender'];
+
+const DEFAULT_MODELS = {
+  gemini: 'gemini-pro',
+  openai: 'gpt-4o-mini',
+  mock: 'mock'
+};
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_RECORDINGS_DIR = '.cache/llm-recordings';
+// Local models on a laptop can take a while for the longer prompts
+const REQUEST_TIMEOUT_MS = 120000;
+
+const PROVIDERS = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  mock: createMockProvider
+};
+
+const instances = {};
+
+/**
+ * Add or replace a provider
+ * @param {string} name - value of LLM_PROVIDER that selects it
+ * @param {Function} factory - () => { generate({ prompt, model, brain }) -> Promise<string> }
+ */
+export function registerProvider(name, factory) {
+  PROVIDERS[name] = factory;
+  delete instances[name];
+}
+
+/**
+ * Run one brain's prompt through the configured provider (and record/replay mode)
+ * Throws when the provider is unknown or fails; the brains fall back to rule-based output
+ * @param {string} brain - 'analyzer' | 'storyteller' | 'recommender'
+ * @returns {Promise<string>} raw model text
+ */
+export async function generateText(brain, prompt) {
+  const config = getLLMConfig();
+  const model = config.models[brain];
+
+  if (config.mode === 'replay') {
+    return readRecording(brain, model, prompt);
+  }
+
+  const text = await getProvider(config.provider).generate({ prompt, model, brain });
+
+  if (config.mode === 'record') {
+    writeRecording(config, brain, model, prompt, text);
+  }
+  return text;
+}
+
+/**
+ * Current provider, model per brain and mode (part of the AI cache key and the audit metadata)
+ * @returns {Object} { provider, models: { analyzer, storyteller, recommender }, mode: 'live' | 'record' | 'replay' }
+ */
+export function getLLMConfig() {
+  const provider = (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+  const fallbackModel = process.env.LLM_MODEL || DEFAULT_MODELS[provider] || null;
+  const mode = ['record', 'replay'].includes(process.env.LLM_MODE) ? process.env.LLM_MODE : 'live';
+
+  return {
+    provider,
+    models: Object.fromEntries(BRAINS.map(brain => [brain, process.env[`LLM_MODEL_${brain.toUpperCase()}`] || fallbackModel])),
+    mode
+  };
+}
+
+function getProvider(name) {
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}" (available: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  if (!instances[name]) {
+    instances[name] = PROVIDERS[name]();
+  }
+  return instances[name];
+}
+
+/**
+ * Google Gemini; the client is created on first use so a missing key only fails the AI step
+ */
+function createGeminiProvider() {
+  let client = null;
+
+  return {
+    generate: async ({ prompt, model }) => {
+      if (!process.env.GEMINI_API_KEY) {
+        throw new Error('GEMINI_API_KEY is not set');
+      }
+      client = client || new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+
+      const result = await client.getGenerativeModel({ model }).generateContent(prompt);
+      const response = await result.response;
+      return response.text();
+    }
+  };
+}
+
+/**
+ * OpenAI-compatible chat completions (OpenAI, Ollama, LM Studio, vLLM, OpenRouter...)
+ * The endpoint comes from server config, not from users, so it may be local
+ */
+function createOpenAIProvider() {
+  const baseUrl = (process.env.LLM_BASE_URL || DEFAULT_OPENAI_BASE_URL).replace(/\/+$/, '');
+
+  return {
+    generate: async ({ prompt, model }) => {
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+      try {
+        const response = await fetch(`${baseUrl}/chat/completions`, {
+          method: 'POST',
+          signal: controller.signal,
+          headers: {
+            'Content-Type': 'application/json',
+            ...(process.env.LLM_API_KEY ? { Authorization: `Bearer ${process.env.LLM_API_KEY}` } : {})
+          },
+          body: JSON.stringify({
+            model,
+            messages: [{ role: 'user', content: prompt }],
+            temperature: 0.2
+          })
+        });
+
+        if (!response.ok) {
+          throw new Error(`LLM API error: ${response.status} ${(await response.text()).slice(0, 200)}`);
+        }
+
+        const data = await response.json();
+        const text = data.choices?.[0]?.message?.content;
+        if (typeof text !== 'string') {
+          throw new Error('LLM API returned no message content');
+        }
+        return text;
+      } finally {
+        clearTimeout(timeoutId);
+      }
+    }
+  };
+}
+
+/**
+ * Deterministic answers shaped like each brain's real output, for tests and UI work
+ * without a key: the same prompt always gets the same response
+ */
+function createMockProvider() {
+  return {
+    generate: async ({ prompt, brain }) => {
+      const id = hashPrompt(prompt).slice(0, 8);
+      const url = (prompt.match(/- URL: (\S+)/) || [])[1] || 'halaman ini';
+
+      if (brain === 'analyzer') {
+        return JSON.stringify({
+          issues: [{
+            category: 'content',
+            severity: 'minor',
+            description: `Contoh temuan dari mock provider untuk ${url}`,
+            evidence: `mock ${id}`
+          }],
+          strengths: [{ category: 'layout', description: 'Contoh kekuatan dari mock provider' }]
+        });
+      }
+
+      if (brain === 'recommender') {
+        return JSON.stringify({
+          recommendations: [{
+            title: 'Contoh Rekomendasi Mock',
+            description: `Rekomendasi tetap dari mock provider (${id}).`,
+            category: 'content',
+            impact: 'medium',
+            effort: 'low',
+            priority: 1
+          }]
+        });
+      }
+
+      return `Ini narasi dari mock provider untuk ${url} (${id}). Jalankan dengan LLM_PROVIDER=gemini atau openai untuk analisis sungguhan.`;
+    }
+  };
+}
+
+/**
+ * One JSON file per brain + model + prompt: { brain, provider, model, prompt_hash, recorded_at, response }
+ */
+function recordingFile(brain, model, prompt) {
+  const dir = path.resolve(process.env.LLM_RECORDINGS_DIR || DEFAULT_RECORDINGS_DIR);
+  return path.join(dir, `${brain}-${hashPrompt(`${model}\n${prompt}`).slice(0, 16)}.json`);
+}
+
+function readRecording(brain, model, prompt) {
+  const file = recordingFile(brain, model, prompt);
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8')).response;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`No recorded ${brain} response for this prompt (${path.basename(file)}); run once with LLM_MODE=record`);
+    }
+    throw error;
+  }
+}
+
+function writeRecording(config, brain, model, prompt, text) {
+  const file = recordingFile(brain, model, prompt);
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({
+      brain,
+      provider: config.provider,
+      model,
+      prompt_hash: hashPrompt(prompt),
+      recorded_at: new Date().toISOString(),
+      response: text
+    }, null, 2));
+  } catch (error) {
+    console.log(`⚠️  LLM response not recorded (${file}):`, error.message);
+  }
+}
+
+function hashPrompt(prompt) {
+  return crypto.createHash('sha256').update(prompt).digest('hex');
+}
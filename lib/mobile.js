@@ -0,0 +1,193 @@
+import { matchesMedia, parseDeclarations, parseStylesheet } from './css.js';
+import { describeElement, locateElement } from './crawler.js';
+
+/**
+ * Mobile-readiness signals from markup and CSS
+ * Viewport meta, width-based media queries, fixed-width layouts (evaluated
+ * at a phone viewport), responsive images, tiny inline fonts and small tap targets
+ */
+
+export const MOBILE_VIEWPORT_WIDTH = 375;
+
+// Anything this wide cannot fit a phone screen without horizontal scrolling
+const FIXED_WIDTH_THRESHOLD_PX = 480;
+// Lighthouse flags maximum-scale below 5 as blocking zoom
+const MIN_MAXIMUM_SCALE = 5;
+const TINY_FONT_PX = 12;
+// WCAG 2.2 target size (minimum), 2.5.8
+const MIN_TAP_TARGET_PX = 24;
+// Images narrower than this are icons/logos that don't need srcset
+const ICON_MAX_WIDTH_PX = 100;
+const MAX_EVIDENCE = 10;
+
+/**
+ * Collect mobile-readiness facts for scoring
+ * @param {Function} $ - Cheerio root
+ * @param {Array} cssSources - [{ css, media }] in document order
+ */
+export function extractMobileInfo($, cssSources) {
+  // Rules as a phone sees them: desktop-only stylesheets and @media blocks drop out
+  const phoneRules = cssSources
+    .filter(source => matchesMedia(source.media, MOBILE_VIEWPORT_WIDTH))
+    .flatMap(source => parseStylesheet(source.css, { viewportWidth: MOBILE_VIEWPORT_WIDTH }).rules);
+
+  return {
+    viewport: extractViewport($),
+    media_queries: countWidthMediaQueries(cssSources),
+    ...findFixedWidths($, phoneRules),
+    images: extractImageResponsiveness($, phoneRules),
+    tiny_fonts: findTinyInlineFonts($),
+    small_tap_targets: findSmallTapTargets($)
+  };
+}
+
+/**
+ * <meta name="viewport" content="width=device-width, initial-scale=1">
+ */
+function extractViewport($) {
+  const $meta = $('meta[name="viewport"]');
+  const content = $meta.attr('content');
+  if (content === undefined) {
+    return { present: false, content: null, device_width: false, fixed_width: null, zoom_disabled: false, locator: null };
+  }
+
+  const params = {};
+  content.split(/[,;]/).forEach(part => {
+    const [key, value = ''] = part.split('=').map(p => p.trim().toLowerCase());
+    if (key) params[key] = value;
+  });
+
+  const width = params.width || '';
+  const maximumScale = params['maximum-scale'] !== undefined ? parseFloat(params['maximum-scale']) : null;
+  const userScalable = params['user-scalable'];
+
+  return {
+    present: true,
+    content,
+    device_width: width === 'device-width',
+    fixed_width: /^\d+$/.test(width) ? parseInt(width, 10) : null,
+    zoom_disabled: userScalable === 'no' || userScalable === '0' ||
+      (maximumScale !== null && !isNaN(maximumScale) && maximumScale < MIN_MAXIMUM_SCALE),
+    locator: locateElement($, $meta.get(0))
+  };
+}
+
+/**
+ * @media rules (and <link media>) that react to viewport width
+ */
+function countWidthMediaQueries(cssSources) {
+  const widthQuery = /\b(min-|max-)?(device-)?width\s*[:<>=]/i;
+  let count = 0;
+
+  cssSources.forEach(({ css, media }) => {
+    if (media && widthQuery.test(media)) count++;
+    const queries = (css || '').match(/@media[^{]+\{/gi) || [];
+    count += queries.filter(query => widthQuery.test(query)).length;
+  });
+
+  return count;
+}
+
+/**
+ * width/min-width declarations wider than a phone, from the rules active at 375px
+ * plus inline styles
+ */
+function findFixedWidths($, phoneRules) {
+  const offenders = [];
+
+  phoneRules.forEach(rule => {
+    rule.declarations.filter(isFixedWidth).forEach(decl => {
+      offenders.push({ selector: rule.selectors.join(', '), declaration: `${decl.property}: ${decl.value}`, source: 'css', locator: null });
+    });
+  });
+
+  $('[style]').each((i, el) => {
+    parseDeclarations($(el).attr('style')).filter(isFixedWidth).forEach(decl => {
+      offenders.push({ selector: describeElement(el), declaration: `${decl.property}: ${decl.value}`, source: 'inline', locator: locateElement($, el) });
+    });
+  });
+
+  return {
+    fixed_width_count: offenders.length,
+    fixed_width_rules: offenders.slice(0, MAX_EVIDENCE)
+  };
+}
+
+function isFixedWidth(decl) {
+  if (decl.property !== 'width' && decl.property !== 'min-width') return false;
+  const match = decl.value.match(/^(\d+(?:\.\d+)?)px$/i);
+  return Boolean(match) && parseFloat(match[1]) > FIXED_WIDTH_THRESHOLD_PX;
+}
+
+/**
+ * Content images should use srcset/<picture> so phones don't download desktop files
+ */
+function extractImageResponsiveness($, phoneRules) {
+  const contentImages = $('img').filter((i, el) => {
+    const width = parseInt($(el).attr('width'), 10);
+    const src = $(el).attr('src') || '';
+    return !(width && width < ICON_MAX_WIDTH_PX) && !/\.svg(\?|$)/i.test(src) && !src.startsWith('data:');
+  }).toArray();
+
+  const nonResponsive = contentImages.filter(el => !$(el).attr('srcset') && $(el).closest('picture').length === 0);
+
+  // A global "img { max-width: 100% }" keeps images from overflowing even without srcset
+  const fluidRule = phoneRules.some(rule =>
+    rule.selectors.some(selector => /(^|[\s>])img$/i.test(selector)) &&
+    rule.declarations.some(decl => (decl.property === 'max-width' || decl.property === 'width') && decl.value === '100%')
+  );
+
+  return {
+    total: $('img').length,
+    content_images: contentImages.length,
+    responsive: contentImages.length - nonResponsive.length,
+    uses_picture: $('picture').length > 0,
+    fluid_rule: fluidRule,
+    non_responsive: nonResponsive.slice(0, MAX_EVIDENCE).map(el => $(el).attr('src') || describeElement(el)),
+    // Same order as non_responsive
+    non_responsive_locators: nonResponsive.slice(0, MAX_EVIDENCE).map(el => locateElement($, el))
+  };
+}
+
+/**
+ * Inline font-size below 12px is unreadable on phones without zooming
+ */
+function findTinyInlineFonts($) {
+  const tiny = [];
+
+  $('[style*="font-size"]').each((i, el) => {
+    const match = ($(el).attr('style') || '').match(/font-size\s*:\s*([\d.]+)(px|pt|rem|em)\b/i);
+    if (!match) return;
+
+    const value = parseFloat(match[1]);
+    const unit = match[2].toLowerCase();
+    const px = unit === 'pt' ? value * 4 / 3 : (unit === 'px' ? value : value * 16);
+
+    if (px < TINY_FONT_PX && $(el).text().trim().length > 0) {
+      tiny.push({ element: describeElement(el), font_size_px: Math.round(px * 10) / 10, locator: locateElement($, el) });
+    }
+  });
+
+  return tiny.slice(0, MAX_EVIDENCE);
+}
+
+/**
+ * Links/buttons sized below the 24px minimum target in inline styles
+ */
+function findSmallTapTargets($) {
+  const small = [];
+
+  $('a[style], button[style], [role="button"][style], input[style]').each((i, el) => {
+    const style = $(el).attr('style') || '';
+    const sizes = ['width', 'height'].map(property => {
+      const match = style.match(new RegExp(`(?:^|;)\\s*${property}\\s*:\\s*([\\d.]+)px`, 'i'));
+      return match ? parseFloat(match[1]) : null;
+    });
+
+    if (sizes.some(size => size !== null && size < MIN_TAP_TARGET_PX)) {
+      small.push({ element: describeElement(el), size: sizes.map(size => (size === null ? 'auto' : `${size}px`)).join(' x '), locator: locateElement($, el) });
+    }
+  });
+
+  return small.slice(0, MAX_EVIDENCE);
+}
@@ -0,0 +1,263 @@
+import dns from 'node:dns/promises';
+import { lookup as dnsLookup } from 'node:dns';
+import net from 'node:net';
+import { Agent, fetch } from 'undici';
+
+/**
+ * Outbound request safety (SSRF protection)
+ * Every fetch of a user-supplied URL goes through safeFetch: only http(s),
+ * hostnames must resolve to public addresses, and every redirect hop is re-checked.
+ * The connection itself resolves the host again through publicLookup, so a DNS
+ * rebinding answer between the check and the connect is refused too
+ *
+ * Internal staging hosts can be allowlisted with AUDIT_ALLOWED_HOSTS
+ * (comma-separated hostnames, "*.example.internal" wildcards or IP literals)
+ */
+
+const MAX_REDIRECTS = 5;
+
+// Ranges a public audit must never reach (RFC 6890 special-purpose + cloud metadata)
+const BLOCKED_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.88.99.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  // IPv4-compatible (deprecated, covers :: and ::1), IPv4-mapped and IPv4-translated
+  ['::', 96],
+  ['::ffff:0:0', 96],
+  ['::ffff:0:0:0', 96],
+  ['64:ff9b::', 96],
+  ['100::', 64],
+  ['2001:db8::', 32],
+  // 6to4 embeds an IPv4 address (2002:7f00:1:: is 127.0.0.1)
+  ['2002::', 16],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  // Deprecated site-local
+  ['fec0::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+// Connections only go to the addresses that pass the check (pinned at connect time)
+const publicAgent = new Agent({ connect: { lookup: publicLookup } });
+
+/**
+ * Check that a URL is safe to fetch from the server
+ * @returns {Promise<Object>} { ok: true, url } or { error, code: 'UNSAFE_URL' }
+ */
+export async function validatePublicURL(url) {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch {
+    return { error: 'Invalid URL format', code: 'UNSAFE_URL' };
+  }
+
+  if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') {
+    return { error: `Only http and https URLs can be audited (got ${urlObj.protocol})`, code: 'UNSAFE_URL' };
+  }
+
+  if (urlObj.username || urlObj.password) {
+    return { error: 'URLs with credentials are not allowed', code: 'UNSAFE_URL' };
+  }
+
+  // Brackets around IPv6 literals are part of URL syntax, not the address
+  const hostname = urlObj.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+  if (isAllowlistedHost(hostname)) {
+    return { ok: true, url: urlObj.toString() };
+  }
+
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [hostname];
+  } else {
+    try {
+      addresses = (await dns.lookup(hostname, { all: true })).map(entry => entry.address);
+    } catch {
+      return { error: `Could not resolve host "${hostname}"`, code: 'UNSAFE_URL' };
+    }
+  }
+
+  // Every resolved address must be public, otherwise a second A record could be used
+  const blocked = addresses.find(isPrivateAddress);
+  if (blocked) {
+    return { error: `Host "${hostname}" resolves to a private or reserved address (${blocked})`, code: 'UNSAFE_URL' };
+  }
+
+  return { ok: true, url: urlObj.toString() };
+}
+
+/**
+ * fetch() that validates the URL and follows redirects manually,
+ * validating each hop. Throws an Error with code 'UNSAFE_URL' when blocked
+ * @param {string} url
+ * @param {Object} options - fetch options (redirect is always handled here)
+ * @returns {Promise<Response>} Final response; response.url is the last hop
+ */
+export async function safeFetch(url, options = {}) {
+  const { response } = await fetchWithRedirects(url, options);
+  return response;
+}
+
+/**
+ * Same as safeFetch, but also reports every redirect hop
+ * @returns {Promise<Object>} { response, redirects: [{ url, status, location, time_ms }] }
+ */
+export async function fetchWithRedirects(url, options = {}) {
+  const redirects = [];
+  let currentUrl = url;
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    const check = await validatePublicURL(currentUrl);
+    if (check.error) {
+      const error = new Error(hop === 0 ? check.error : `Redirect blocked: ${check.error}`);
+      error.code = check.code;
+      throw error;
+    }
+
+    const startedAt = Date.now();
+    let response;
+    try {
+      response = await fetch(check.url, { ...options, redirect: 'manual', dispatcher: publicAgent });
+    } catch (error) {
+      // publicLookup refused the address the connection resolved to
+      if (error.cause?.code === 'UNSAFE_URL') {
+        const unsafe = new Error(hop === 0 ? error.cause.message : `Redirect blocked: ${error.cause.message}`);
+        unsafe.code = 'UNSAFE_URL';
+        throw unsafe;
+      }
+      throw error;
+    }
+    const location = response.headers.get('location');
+
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return { response, redirects };
+    }
+
+    // Drain the redirect body so the connection can be reused
+    await response.arrayBuffer().catch(() => null);
+    currentUrl = new URL(location, check.url).toString();
+
+    redirects.push({
+      url: check.url,
+      status: response.status,
+      location: currentUrl,
+      time_ms: Date.now() - startedAt
+    });
+  }
+
+  const error = new Error(`Too many redirects (>${MAX_REDIRECTS})`);
+  error.code = 'TOO_MANY_REDIRECTS';
+  throw error;
+}
+
+/**
+ * dns.lookup for outgoing connections: fails with code 'UNSAFE_URL' when the host
+ * resolves to a private or reserved address (unless allowlisted)
+ */
+function publicLookup(hostname, options, callback) {
+  dnsLookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    // { all: true } answers with [{ address, family }]
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    const blocked = addresses.find(isPrivateAddress);
+    if (blocked && !isAllowlistedHost(hostname.toLowerCase())) {
+      const unsafe = new Error(`Host "${hostname}" resolves to a private or reserved address (${blocked})`);
+      unsafe.code = 'UNSAFE_URL';
+      return callback(unsafe);
+    }
+
+    callback(null, address, family);
+  });
+}
+
+/**
+ * True for loopback, private, link-local, CGNAT, multicast and other reserved ranges
+ */
+export function isPrivateAddress(address) {
+  const type = net.isIP(address);
+  if (type === 0) return true;
+
+  if (type === 6) {
+    // IPv6 forms that embed an IPv4 address (::ffff:127.0.0.1, ::7f00:1, ::ffff:0:127.0.0.1)
+    // are also checked as IPv4
+    const embedded = toEmbeddedIPv4(address);
+    if (embedded && BLOCKED_RANGES.check(embedded, 'ipv4')) return true;
+    return BLOCKED_RANGES.check(address, 'ipv6');
+  }
+
+  return BLOCKED_RANGES.check(address, 'ipv4');
+}
+
+/**
+ * IPv4 address inside an IPv4-compatible (::a.b.c.d), IPv4-mapped (::ffff:a.b.c.d)
+ * or IPv4-translated (::ffff:0:a.b.c.d) IPv6 address, hex or dotted tail; null otherwise
+ */
+function toEmbeddedIPv4(address) {
+  const groups = expandIPv6(address);
+  if (!groups) return null;
+
+  const zeros = (count) => groups.slice(0, count).every(group => group === 0);
+  const isCompatible = zeros(6);
+  const isMapped = zeros(5) && groups[5] === 0xffff;
+  const isTranslated = zeros(4) && groups[4] === 0xffff && groups[5] === 0;
+  if (!isCompatible && !isMapped && !isTranslated) return null;
+
+  return [groups[6] >> 8, groups[6] & 255, groups[7] >> 8, groups[7] & 255].join('.');
+}
+
+/**
+ * Eight 16-bit groups of an IPv6 address (a dotted IPv4 tail counts as two)
+ */
+function expandIPv6(address) {
+  let text = address.toLowerCase().split('%')[0];
+
+  const dotted = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    if (!net.isIPv4(dotted[1])) return null;
+    const [a, b, c, d] = dotted[1].split('.').map(Number);
+    text = text.slice(0, -dotted[1].length) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const halves = text.split('::');
+  if (halves.length > 2) return null;
+
+  const parse = (part) => part ? part.split(':').map(group => parseInt(group, 16)) : [];
+  const head = parse(halves[0]);
+  const tail = halves.length === 2 ? parse(halves[1]) : [];
+  const missing = 8 - head.length - tail.length;
+  if (missing < 0 || (halves.length === 1 && missing !== 0)) return null;
+
+  const groups = [...head, ...new Array(missing).fill(0), ...tail];
+  return groups.some(group => isNaN(group) || group > 0xffff) ? null : groups;
+}
+
+function isAllowlistedHost(hostname) {
+  const allowed = (process.env.AUDIT_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(entry => entry.trim().toLowerCase())
+    .filter(Boolean);
+
+  return allowed.some(entry => {
+    if (entry.startsWith('*.')) {
+      return hostname.endsWith(entry.substring(1));
+    }
+    return hostname === entry;
+  });
+}
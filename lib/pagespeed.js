@@ -1,10 +1,65 @@
+import { summarizeResources } from './resources.js';
+
 /**
  * PageSpeed Insights API Integration
- * Get performance metrics from Google PageSpeed
+ * Get performance metrics from Google PageSpeed, or estimate them offline
  */
 
 const PAGESPEED_API_URL = 'https://www.googleapis.com/pagespeedonline/v5/runPagespeed';
 
+// Official thresholds [good, poor] (web.dev Core Web Vitals & Lighthouse): at or
+// below good is "good", above poor is "poor", in between "needs-improvement" (ms, CLS unitless)
+export const METRIC_THRESHOLDS = {
+  fcp: [1800, 3000],
+  lcp: [2500, 4000],
+  tbt: [200, 600],
+  cls: [0.1, 0.25],
+  si: [3400, 5800],
+  inp: [200, 500],
+  ttfb: [800, 1800]
+};
+
+// The three Core Web Vitals; a page passes when all of them are good at p75
+export const CORE_WEB_VITALS = ['lcp', 'inp', 'cls'];
+
+// CrUX metric keys in loadingExperience / originLoadingExperience
+const FIELD_METRICS = {
+  LARGEST_CONTENTFUL_PAINT_MS: 'lcp',
+  INTERACTION_TO_NEXT_PAINT: 'inp',
+  CUMULATIVE_LAYOUT_SHIFT_SCORE: 'cls',
+  FIRST_CONTENTFUL_PAINT_MS: 'fcp',
+  EXPERIMENTAL_TIME_TO_FIRST_BYTE: 'ttfb'
+};
+const CRUX_CATEGORIES = { FAST: 'good', AVERAGE: 'needs-improvement', SLOW: 'poor' };
+
+// Lighthouse category ids -> keys used in scores and audits
+const LIGHTHOUSE_CATEGORIES = { performance: 'performance', accessibility: 'accessibility', 'best-practices': 'bestPractices', seo: 'seo' };
+// Audits below this score fail (Lighthouse shows them orange or red)
+const AUDIT_PASS_SCORE = 0.9;
+// Audits without a pass/fail score (manual checks, not applicable, informative)
+const UNSCORED_DISPLAY_MODES = ['manual', 'notApplicable', 'informative', 'error'];
+// Rows kept per audit details table
+const MAX_AUDIT_ITEMS = 10;
+
+// Lighthouse performance score weights (v10+)
+const METRIC_WEIGHTS = { fcp: 0.10, si: 0.10, lcp: 0.25, tbt: 0.30, cls: 0.25 };
+
+// Offline estimate: Lighthouse's simulated mobile conditions (slow 4G, 4x slower CPU)
+const ESTIMATE_RTT_MS = 150;
+const ESTIMATE_BYTES_PER_MS = 1638.4 * 1024 / 8 / 1000;
+const ESTIMATE_SERVER_MS = 600;
+// Main-thread time per KB of JavaScript on the slowed-down CPU (parse, compile, run)
+const ESTIMATE_SCRIPT_MS_PER_KB = 2;
+// Tasks longer than this block input (Total Blocking Time counts the excess)
+const LONG_TASK_MS = 50;
+// Typical sizes for resources whose size we couldn't check
+const ASSUMED_BYTES = { script: 30 * 1024, stylesheet: 15 * 1024, font: 25 * 1024, image: 60 * 1024 };
+// Layout shift per image/iframe without reserved space, above / below the fold
+const SHIFT_ABOVE_FOLD = 0.1;
+const SHIFT_BELOW_FOLD = 0.02;
+// Opportunities saving less than this aren't worth listing
+const MIN_SAVINGS_MS = 50;
+
 /**
  * Fetch PageSpeed scores for a URL
  * @param {string} url - URL to analyze
@@ -44,7 +99,7 @@ export async function getPageSpeedScore(url, strategy = 'mobile') {
     const data = await response.json();
     
     // Extract relevant scores
-    return parsePageSpeedData(data);
+    return parsePageSpeedData(data, strategy);
     
   } catch (error) {
     console.error('PageSpeed fetch error:', error);
@@ -56,8 +111,10 @@ export async function getPageSpeedScore(url, strategy = 'mobile') {
 
 /**
  * Parse PageSpeed API response
+ * Lab metrics come with good / needs-improvement / poor ratings; CrUX field data
+ * (real Chrome users, p75) is kept when Google has enough traffic for the page or origin
  */
-function parsePageSpeedData(data) {
+function parsePageSpeedData(data, strategy) {
   const lighthouseResult = data.lighthouseResult;
   const categories = lighthouseResult.categories;
   
@@ -77,43 +134,357 @@ function parsePageSpeedData(data) {
     cls: audits['cumulative-layout-shift']?.numericValue || 0,
     tbt: audits['total-blocking-time']?.numericValue || 0,
     si: audits['speed-index']?.numericValue || 0,
+    // Only measured in timespan runs; field data usually has it
+    inp: audits['interaction-to-next-paint']?.numericValue ?? null,
   };
   
-  // Extract top opportunities (improvements)
-  const opportunities = [];
-  const opportunityAudits = [
-    'render-blocking-resources',
-    'unused-css-rules',
-    'unused-javascript',
-    'modern-image-formats',
-    'offscreen-images',
-    'unminified-css',
-    'unminified-javascript'
-  ];
+  const field = extractFieldData(data.loadingExperience, 'page') || extractFieldData(data.originLoadingExperience, 'origin');
   
-  opportunityAudits.forEach(auditId => {
-    const audit = audits[auditId];
-    if (audit && audit.score !== null && audit.score < 1) {
-      opportunities.push({
-        id: auditId,
-        title: audit.title,
-        description: audit.description,
-        savings: audit.numericValue || 0
-      });
-    }
-  });
+  // Every failing audit per category, with its details table
+  const failingAudits = extractFailingAudits(lighthouseResult);
   
-  // Sort by potential savings
-  opportunities.sort((a, b) => b.savings - a.savings);
+  // Opportunities: failing performance audits that save load time, biggest first
+  const opportunities = failingAudits.performance
+    .filter(audit => audit.savings_ms > 0)
+    .map(audit => ({
+      id: audit.id,
+      title: audit.title,
+      description: audit.description,
+      savings: audit.savings_ms
+    }))
+    .sort((a, b) => b.savings - a.savings);
   
   return {
     scores,
     metrics,
-    opportunities: opportunities.slice(0, 3), // Top 3 opportunities
-    strategy: data.analysisUTCTimestamp
+    ratings: rateMetrics(metrics),
+    field,
+    core_web_vitals: assessCoreWebVitals(metrics, field, 'lab'),
+    opportunities,
+    audits: failingAudits,
+    strategy,
+    analyzed_at: data.analysisUTCTimestamp
+  };
+}
+
+/**
+ * Failing Lighthouse audits grouped by category (metric audits are left out, they're in metrics)
+ * @returns {Object} { performance, accessibility, bestPractices, seo: [{ id, title, description, score,
+ *   weight, display_value, savings_ms, savings_bytes, headings: [{ key, label, type }], items: [row],
+ *   item_count, locators }] }, performance by savings, the rest by weight
+ */
+function extractFailingAudits(lighthouseResult) {
+  const audits = lighthouseResult.audits || {};
+  const grouped = {};
+  
+  Object.entries(LIGHTHOUSE_CATEGORIES).forEach(([categoryId, key]) => {
+    const refs = lighthouseResult.categories[categoryId]?.auditRefs || [];
+    grouped[key] = refs
+      .filter(ref => ref.group !== 'metrics' && isFailing(audits[ref.id]))
+      .map(ref => formatAudit(audits[ref.id], ref))
+      .sort((a, b) => (b.savings_ms - a.savings_ms) || (b.weight - a.weight) || (a.score - b.score));
+  });
+  
+  return grouped;
+}
+
+function isFailing(audit) {
+  return Boolean(audit) && !UNSCORED_DISPLAY_MODES.includes(audit.scoreDisplayMode) &&
+    typeof audit.score === 'number' && audit.score < AUDIT_PASS_SCORE;
+}
+
+function formatAudit(audit, ref) {
+  const details = audit.details || {};
+  // "list" details wrap several tables; show them as one
+  const tables = details.type === 'list' ? (details.items || []).filter(item => item.items) : [details];
+  const headings = (tables[0]?.headings || [])
+    .map(heading => ({ key: heading.key, label: heading.label || heading.text || heading.key, type: heading.valueType || heading.itemType || null }))
+    .filter(heading => heading.key);
+  const items = tables.flatMap(table => table.items || []);
+  
+  return {
+    id: ref.id,
+    title: audit.title,
+    description: audit.description,
+    score: audit.score,
+    weight: ref.weight || 0,
+    display_value: audit.displayValue || null,
+    savings_ms: Math.round(details.overallSavingsMs || 0),
+    savings_bytes: Math.round(details.overallSavingsBytes || 0),
+    headings,
+    items: items.slice(0, MAX_AUDIT_ITEMS)
+      .map(item => Object.fromEntries(headings.map(heading => [heading.key, auditValue(item[heading.key])]))),
+    item_count: items.length,
+    // Offending elements in the same shape as our own locators (Lighthouse has no source line)
+    locators: items
+      .flatMap(item => Object.values(item))
+      .filter(value => value && value.type === 'node' && value.selector)
+      .map(node => ({ selector: node.selector, snippet: node.snippet || '', line: null }))
+  };
+}
+
+/**
+ * Table cell as a plain value: nodes become their snippet, URLs their address
+ */
+function auditValue(value) {
+  if (!value || typeof value !== 'object') return value ?? null;
+  
+  switch (value.type) {
+    case 'node':
+      return value.snippet || value.selector || value.nodeLabel || '';
+    case 'source-location':
+      return `${value.url}:${value.line + 1}`;
+    case 'url':
+    case 'code':
+    case 'numeric':
+      return value.value;
+    case 'link':
+      return value.url || value.text;
+    default:
+      return value.value ?? value.text ?? '';
+  }
+}
+
+/**
+ * CrUX p75 values from loadingExperience (this URL) or originLoadingExperience (whole site)
+ * @returns {Object|null} { scope: 'page' | 'origin', overall: 'good' | 'needs-improvement' | 'poor' | null,
+ *   metrics: { lcp, inp, cls, fcp, ttfb: { p75, rating } } } or null without field data
+ */
+function extractFieldData(experience, scope) {
+  if (!experience || !experience.metrics) return null;
+  
+  const metrics = {};
+  Object.entries(FIELD_METRICS).forEach(([key, metric]) => {
+    const entry = experience.metrics[key];
+    if (!entry || typeof entry.percentile !== 'number') return;
+    // CrUX reports CLS multiplied by 100
+    const p75 = metric === 'cls' ? entry.percentile / 100 : entry.percentile;
+    metrics[metric] = { p75, rating: rateMetric(metric, p75) };
+  });
+  if (Object.keys(metrics).length === 0) return null;
+  
+  return {
+    // The page-level block falls back to origin data when the URL has too little traffic
+    scope: experience.origin_fallback ? 'origin' : scope,
+    overall: CRUX_CATEGORIES[experience.overall_category] || null,
+    metrics
+  };
+}
+
+/**
+ * Core Web Vitals verdict for one device
+ * Field data decides like Google Search Console does (all of LCP, INP & CLS good at p75,
+ * metrics without enough data are skipped); without it lab LCP & CLS are used,
+ * with TBT standing in for INP
+ * @param {string} labSource - 'lab' (Lighthouse) or 'estimate' (offline)
+ * @returns {Object} { passed, source: 'field' | 'lab' | 'estimate', scope, metrics: { lcp, inp, cls: { value, rating } }, failing: [metric] }
+ */
+export function assessCoreWebVitals(metrics, field, labSource = 'lab') {
+  const assessed = {};
+  
+  if (field) {
+    CORE_WEB_VITALS.forEach(metric => {
+      if (field.metrics[metric]) {
+        assessed[metric] = { value: field.metrics[metric].p75, rating: field.metrics[metric].rating };
+      }
+    });
+  }
+  
+  const fromField = Object.keys(assessed).length > 0;
+  if (!fromField) {
+    assessed.lcp = { value: metrics.lcp, rating: rateMetric('lcp', metrics.lcp) };
+    assessed.inp = metrics.inp !== null && metrics.inp !== undefined
+      ? { value: metrics.inp, rating: rateMetric('inp', metrics.inp) }
+      : { value: metrics.tbt, rating: rateMetric('tbt', metrics.tbt), proxy: 'tbt' };
+    assessed.cls = { value: metrics.cls, rating: rateMetric('cls', metrics.cls) };
+  }
+  
+  const failing = Object.keys(assessed).filter(metric => assessed[metric].rating !== 'good');
+  return {
+    passed: failing.length === 0,
+    source: fromField ? 'field' : labSource,
+    scope: fromField ? field.scope : null,
+    metrics: assessed,
+    failing
   };
 }
 
+/**
+ * 'good' | 'needs-improvement' | 'poor' against METRIC_THRESHOLDS, null without a value
+ */
+export function rateMetric(metric, value) {
+  if (value === null || value === undefined || !METRIC_THRESHOLDS[metric]) return null;
+  const [good, poor] = METRIC_THRESHOLDS[metric];
+  if (value <= good) return 'good';
+  return value <= poor ? 'needs-improvement' : 'poor';
+}
+
+function rateMetrics(metrics) {
+  return Object.fromEntries(Object.entries(metrics).map(([metric, value]) => [metric, rateMetric(metric, value)]));
+}
+
+/**
+ * Estimate PageSpeed results offline from the crawled page's own resources
+ * Same shape as parsePageSpeedData (mobile strategy) plus estimated: true and the
+ * model inputs, so reports work the same with or without the API
+ * Accessibility, best-practices & SEO are Lighthouse-only and stay null
+ */
+export function estimatePageSpeed(data) {
+  const summary = summarizeResources(data);
+  const items = (data.resources?.items || []).map(item => ({ ...item, size: sizeOf(item) }));
+  const images = data.images.filter(img => img.url).map(img => ({ ...img, size: sizeOf({ ...img, type: 'image' }) }));
+  const transfer = (bytes) => bytes / ESTIMATE_BYTES_PER_MS;
+  
+  // Document: connection setup (DNS, TCP, TLS), server time, HTML download
+  const serverMs = data.response ? data.response.timing.response_ms : ESTIMATE_SERVER_MS;
+  const documentMs = 3 * ESTIMATE_RTT_MS + serverMs + transfer(summary.html_bytes);
+  
+  // First paint waits for render-blocking CSS & scripts (downloaded in parallel) and running those scripts
+  const blocking = items.filter(item => item.blocking);
+  const blockingBytes = blocking.reduce((sum, item) => sum + item.size, 0);
+  const blockingScriptMs = blocking.filter(item => item.type === 'script')
+    .reduce((sum, item) => sum + scriptMs(item.size), 0);
+  const blockingMs = blocking.length > 0 ? ESTIMATE_RTT_MS + transfer(blockingBytes) + blockingScriptMs : 0;
+  
+  // Text hidden until its web font arrives (no font-display: swap/optional/fallback)
+  const hiddenFonts = items.filter(item => item.type === 'font' && item.hides_text);
+  const fontMs = hiddenFonts.length > 0 ? ESTIMATE_RTT_MS + transfer(hiddenFonts.reduce((sum, item) => sum + item.size, 0)) : 0;
+  
+  const fcp = documentMs + blockingMs + fontMs;
+  
+  // The hero image is usually the LCP element; above-the-fold images share the bandwidth
+  const hero = images.find(img => img.hero);
+  const heroLazy = hero && (hero.loading === 'lazy' || hero.js_lazy);
+  const aboveFoldBytes = images.filter(img => img.above_fold).reduce((sum, img) => sum + img.size, 0);
+  const lcp = hero
+    ? fcp + ESTIMATE_RTT_MS * (heroLazy ? 2 : 1) + transfer(aboveFoldBytes)
+    : fcp;
+  const si = fcp + (lcp - fcp) * 0.6;
+  
+  // Every script after the first paint runs as its own task (blocking ones already ran before it)
+  const scriptTasks = [
+    ...items.filter(item => item.type === 'script' && !item.blocking).map(item => scriptMs(item.size)),
+    scriptMs(summary.inline_script_bytes)
+  ];
+  const tbt = scriptTasks.reduce((sum, ms) => sum + Math.max(0, ms - LONG_TASK_MS), 0);
+  
+  // Images & iframes without reserved space push content down as they load
+  const unsized = data.images.filter(img => !img.has_dimensions);
+  const cls = Math.min(1,
+    unsized.filter(img => img.above_fold).length * SHIFT_ABOVE_FOLD +
+    unsized.filter(img => !img.above_fold).length * SHIFT_BELOW_FOLD +
+    items.filter(item => item.type === 'iframe' && !item.has_dimensions).length * SHIFT_BELOW_FOLD);
+  
+  const metrics = {
+    fcp: Math.round(fcp),
+    lcp: Math.round(lcp),
+    cls: Math.round(cls * 1000) / 1000,
+    tbt: Math.round(tbt),
+    si: Math.round(si),
+    inp: null
+  };
+  
+  const performance = Object.entries(METRIC_WEIGHTS)
+    .reduce((sum, [metric, weight]) => sum + metricScore(metrics[metric], METRIC_THRESHOLDS[metric]) * weight, 0);
+  
+  return {
+    scores: {
+      performance: Math.round(performance * 100),
+      accessibility: null,
+      bestPractices: null,
+      seo: null
+    },
+    metrics,
+    ratings: rateMetrics(metrics),
+    field: null,
+    core_web_vitals: assessCoreWebVitals(metrics, null, 'estimate'),
+    opportunities: estimateOpportunities(data, { items, images, blocking, blockingMs, hiddenFonts, fontMs }),
+    // Only Lighthouse runs real audits
+    audits: null,
+    strategy: 'mobile',
+    estimated: true,
+    estimate: {
+      network: `${ESTIMATE_RTT_MS} ms RTT, ${Math.round(ESTIMATE_BYTES_PER_MS * 8)} kbps (slow 4G)`,
+      cpu_slowdown: 4,
+      server_ms: serverMs,
+      ...summary,
+      // Typical sizes stood in for the unsized resources
+      assumed_bytes: ASSUMED_BYTES
+    }
+  };
+}
+
+/**
+ * Lighthouse-style opportunities with estimated savings (ms), biggest first
+ */
+function estimateOpportunities(data, { items, images, blocking, blockingMs, hiddenFonts, fontMs }) {
+  const transfer = (bytes) => Math.round(bytes / ESTIMATE_BYTES_PER_MS);
+  const opportunities = [];
+  const add = (id, title, description, savings) => {
+    if (savings >= MIN_SAVINGS_MS) opportunities.push({ id, title, description, savings: Math.round(savings) });
+  };
+  
+  add('render-blocking-resources', 'Eliminate render-blocking resources',
+    `${blocking.length} script(s)/stylesheet(s) in <head> delay the first paint. Inline critical CSS and defer non-critical JS/styles.`,
+    blockingMs);
+  
+  const offscreen = images.filter(img => !img.above_fold && img.loading !== 'lazy' && !img.js_lazy);
+  add('offscreen-images', 'Defer offscreen images',
+    `${offscreen.length} image(s) below the fold load with the page. Add loading="lazy" so they load when scrolled into view.`,
+    transfer(offscreen.reduce((sum, img) => sum + img.size, 0)));
+  
+  // WebP/AVIF are typically about a third smaller than JPEG/PNG
+  const legacy = images.filter(img => ['jpeg', 'png', 'gif', 'bmp'].includes(img.format) && img.source_formats.length === 0);
+  add('modern-image-formats', 'Serve images in next-gen formats',
+    `${legacy.length} JPEG/PNG/GIF image(s) without a WebP/AVIF alternative.`,
+    transfer(legacy.reduce((sum, img) => sum + img.size, 0) * 0.3));
+  
+  // gzip/Brotli shrink HTML, CSS & JS by about 70%
+  if (data.response && data.response.compression === 'none') {
+    const textBytes = data.response.body_bytes + items.filter(item => item.type === 'stylesheet' && item.blocking)
+      .reduce((sum, item) => sum + item.size, 0);
+    add('uses-text-compression', 'Enable text compression',
+      'The HTML is served without gzip or Brotli compression.',
+      transfer(textBytes * 0.7));
+  }
+  
+  add('font-display', 'Ensure text remains visible during webfont load',
+    `${hiddenFonts.length} web font(s) without font-display: swap keep text invisible until they load.`,
+    fontMs);
+  
+  return opportunities.sort((a, b) => b.savings - a.savings);
+}
+
+/**
+ * Lighthouse metric score (0-1): log-normal curve scoring 0.9 at the "good"
+ * threshold and 0.5 at the "poor" one
+ */
+function metricScore(value, [good, poor]) {
+  if (value <= 0) return 1;
+  // z-score of the 90th percentile
+  const sigma = (Math.log(poor) - Math.log(good)) / 1.2816;
+  const z = (Math.log(value) - Math.log(poor)) / sigma;
+  return Math.max(0, Math.min(1, 0.5 * (1 - erf(z / Math.SQRT2))));
+}
+
+/**
+ * Error function (Abramowitz & Stegun 7.1.26, error < 1.5e-7)
+ */
+function erf(x) {
+  const sign = x < 0 ? -1 : 1;
+  const t = 1 / (1 + 0.3275911 * Math.abs(x));
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  return sign * (1 - poly * Math.exp(-x * x));
+}
+
+function scriptMs(bytes) {
+  return bytes / 1024 * ESTIMATE_SCRIPT_MS_PER_KB;
+}
+
+function sizeOf(item) {
+  return item.bytes !== null && item.bytes !== undefined ? item.bytes : (ASSUMED_BYTES[item.type] || 0);
+}
+
 /**
  * Get combined score (mobile + desktop average)
  */
@@ -149,6 +520,11 @@ export async function getCombinedPageSpeedScore(url) {
       desktop,
       average: avgScores,
       overallScore,
+      // Pass/fail per device (field data when Google has it)
+      core_web_vitals: {
+        mobile: mobile?.core_web_vitals || null,
+        desktop: desktop?.core_web_vitals || null
+      },
       hasBothResults: mobile && desktop
     };
     
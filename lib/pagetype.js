@@ -0,0 +1,147 @@
+/**
+ * Page type detection for picking a scoring profile
+ * Reads structured data (JSON-LD, microdata, Open Graph) and page structure
+ * (prices, cart buttons, pricing tables, article markup, lead forms)
+ */
+
+// Below this many signal points the page is scored with the default profile
+const MIN_DETECTION_SCORE = 3;
+const HIGH_CONFIDENCE_SCORE = 5;
+
+const PRICE_PATTERN = /(?:rp\.?\s?\d[\d.,]*|[$€£]\s?\d[\d.,]*|\d[\d.,]*\s?(?:usd|eur|idr|€))/gi;
+const BILLING_PERIOD_PATTERN = /(?:\/\s?(?:mo|month|bln|bulan|yr|year|thn|tahun)\b|per\s+(?:month|year|bulan|tahun|user|pengguna)|\bbilled\s+(?:monthly|annually|yearly)|\bditagih\s+(?:bulanan|tahunan))/gi;
+const CART_PATTERN = /add to (?:cart|bag|basket)|buy now|tambah(?:kan)? ke (?:keranjang|troli)|masukkan? keranjang|\+\s?keranjang|beli sekarang|in den warenkorb|añadir al carrito/i;
+const PRICING_SECTION_SELECTOR = '[class*="pricing"], [id*="pricing"], [class*="price-table"], [class*="plans"], [id*="plans"], [class*="harga"], [id*="harga"], [class*="paket"], [id*="paket"]';
+const PRICING_PATH = /\/(?:pricing|prices|plans|harga|paket|tarif|preise|precios)(?:\/|$|\.)/i;
+
+const ARTICLE_SCHEMA_TYPES = ['Article', 'BlogPosting', 'NewsArticle', 'TechArticle', 'Report', 'ScholarlyArticle'];
+const PRODUCT_SCHEMA_TYPES = ['Product', 'ProductGroup', 'IndividualProduct'];
+
+/**
+ * Structural hints about what kind of page this is
+ * Returns: { og_type, schema_types, article_elements, published_time, price_mentions,
+ *   billing_periods, cart_buttons, pricing_sections }
+ */
+export function extractPageSignals($) {
+  const bodyText = $('body').text().replace(/\s+/g, ' ');
+  const actionTexts = $('button, a, input[type="submit"], [role="button"]')
+    .map((i, el) => $(el).text().trim() || $(el).attr('value') || $(el).attr('aria-label') || '').get();
+
+  return {
+    og_type: ($('meta[property="og:type"]').attr('content') || '').trim().toLowerCase() || null,
+    schema_types: extractSchemaTypes($),
+    article_elements: $('article').length,
+    published_time: Boolean($('meta[property="article:published_time"]').attr('content') || $('time[datetime]').length > 0),
+    price_mentions: (bodyText.match(PRICE_PATTERN) || []).length,
+    billing_periods: (bodyText.match(BILLING_PERIOD_PATTERN) || []).length,
+    cart_buttons: actionTexts.filter(text => CART_PATTERN.test(text)).length,
+    pricing_sections: $(PRICING_SECTION_SELECTOR).length
+  };
+}
+
+/**
+ * Guess the page type from crawled data
+ * @returns {Object} { type: profile id ('default' when unsure), confidence: 'high' | 'medium' | 'low',
+ *   score, signals: [evidence], candidates: { [type]: score } }
+ */
+export function detectPageType(data) {
+  const signals = data.page_signals || {};
+  const schemaTypes = signals.schema_types || [];
+  const candidates = { product: [], article: [], pricing: [], lead_gen: [], landing: [] };
+  const add = (type, points, evidence) => candidates[type].push({ points, evidence });
+
+  // E-commerce product
+  const productSchema = schemaTypes.find(type => PRODUCT_SCHEMA_TYPES.includes(type));
+  if (productSchema) add('product', 3, `schema.org ${productSchema}`);
+  if (signals.og_type === 'product' || signals.og_type === 'og:product') add('product', 3, `og:type ${signals.og_type}`);
+  if (signals.cart_buttons > 0) add('product', 2, `${signals.cart_buttons} add-to-cart button(s)`);
+  if (signals.price_mentions > 0 && signals.price_mentions <= 4 && signals.billing_periods === 0) {
+    add('product', 1, `${signals.price_mentions} price(s) without billing period`);
+  }
+
+  // Article / blog post
+  const articleSchema = schemaTypes.find(type => ARTICLE_SCHEMA_TYPES.includes(type));
+  if (articleSchema) add('article', 3, `schema.org ${articleSchema}`);
+  if (signals.og_type === 'article') add('article', 3, 'og:type article');
+  if (signals.published_time) add('article', 2, 'publish date (article:published_time or <time datetime>)');
+  if (signals.article_elements === 1) add('article', 1, 'single <article> element');
+  if (data.paragraphs.length >= 8) add('article', 1, `${data.paragraphs.length} paragraphs`);
+
+  // SaaS pricing
+  if (signals.billing_periods >= 2) add('pricing', 3, `${signals.billing_periods} billing periods (/month, per tahun...)`);
+  if (signals.pricing_sections > 0) add('pricing', 2, `${signals.pricing_sections} pricing/plan section(s)`);
+  if (PRICING_PATH.test(safePathname(data.url))) add('pricing', 2, `URL path ${safePathname(data.url)}`);
+  if (signals.price_mentions >= 3) add('pricing', 1, `${signals.price_mentions} prices`);
+
+  // Form / lead generation: a real form is the main thing on a short page
+  const leadForm = (data.forms || []).find(form => form.field_count >= 3 &&
+    form.inputs.some(input => ['email', 'tel'].includes(input.type) || /e-?mail|phone|telepon|whatsapp|hp/i.test(input.name)));
+  if (leadForm) add('lead_gen', 3, `form ${leadForm.id} with ${leadForm.field_count} fields incl. contact details`);
+  if (leadForm && data.paragraphs.length <= 8) add('lead_gen', 1, `short page (${data.paragraphs.length} paragraphs)`);
+  if (leadForm && data.links.length <= 15) add('lead_gen', 1, `few exits (${data.links.length} links)`);
+
+  // Landing page: a focused page with a button CTA and little navigation
+  if (data.buttons.length >= 1 && data.buttons.length <= 6) add('landing', 1, `${data.buttons.length} button CTA(s)`);
+  if (data.links.length > 0 && data.links.length <= 25) add('landing', 1, `few links (${data.links.length})`);
+  if (data.paragraphs.length >= 2 && data.paragraphs.length <= 12) add('landing', 1, `short copy (${data.paragraphs.length} paragraphs)`);
+
+  const scores = Object.fromEntries(Object.entries(candidates)
+    .map(([type, hits]) => [type, hits.reduce((sum, hit) => sum + hit.points, 0)]));
+
+  // Ties go to the more specific type (object order above)
+  const [bestType, bestScore] = Object.entries(scores)
+    .reduce((best, entry) => entry[1] > best[1] ? entry : best, ['default', 0]);
+
+  if (bestScore < MIN_DETECTION_SCORE) {
+    return { type: 'default', confidence: 'low', score: bestScore, signals: [], candidates: scores };
+  }
+
+  return {
+    type: bestType,
+    confidence: bestScore >= HIGH_CONFIDENCE_SCORE ? 'high' : 'medium',
+    score: bestScore,
+    signals: candidates[bestType].map(hit => hit.evidence),
+    candidates: scores
+  };
+}
+
+/**
+ * schema.org types from JSON-LD (@type, @graph) and microdata itemtype
+ */
+function extractSchemaTypes($) {
+  const types = new Set();
+
+  const collect = (node) => {
+    if (Array.isArray(node)) return node.forEach(collect);
+    if (!node || typeof node !== 'object') return;
+    [].concat(node['@type'] || []).forEach(type => {
+      if (typeof type === 'string') types.add(type.split(/[/:]/).pop());
+    });
+    if (node['@graph']) collect(node['@graph']);
+    if (node.mainEntity) collect(node.mainEntity);
+  };
+
+  $('script[type="application/ld+json"]').each((i, el) => {
+    try {
+      collect(JSON.parse($(el).contents().text()));
+    } catch {
+      // Broken JSON-LD is common; the other signals still apply
+    }
+  });
+
+  $('[itemtype]').each((i, el) => {
+    ($(el).attr('itemtype') || '').split(/\s+/).forEach(type => {
+      if (type) types.add(type.split('/').pop());
+    });
+  });
+
+  return [...types];
+}
+
+function safePathname(url) {
+  try {
+    return new URL(url).pathname;
+  } catch {
+    return '';
+  }
+}
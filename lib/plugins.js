@@ -0,0 +1,247 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { registerRules } from './rules.js';
+import { getProfile } from './profiles.js';
+
+/**
+ * Project rule plugins: house rules on top of the built-in checks
+ *
+ * export default {
+ *   name: 'agency',
+ *   // Optional new categories, scored 0-100 from their rules and weighted into the total
+ *   categories: { local: { title: 'Bisnis Lokal', weight: 0.10 } },
+ *   // Optional: extra facts from the parsed DOM, stored as data.plugins.agency
+ *   extract: ($, data) => ({ telLinks: $('a[href^="tel:"]').length }),
+ *   rules: [{
+ *     id: 'agency.tel_link',
+ *     category: 'cta',                     // built-in or plugin category
+ *     title: 'Nomor telepon bisa diklik',
+ *     points: 10,
+ *     check: ({ data, facts, details }) => ({ passed: facts.telLinks > 0, evidence: '...' }),  // null = not applicable
+ *     // check may also return locators: [locateElement($, el)] collected in extract (lib/crawler.js)
+ *     flag: 'phone_not_tel_link',         // raised when the rule fails, seen by the Analyzer
+ *     issue: { severity: 'major', description: '...' },  // fallback issue when AI is unavailable
+ *     recommendation: { title, description, impact, effort }  // optional fallback recommendation
+ *   }]
+ * }
+ *
+ * Built-in category points already add up to 100, so a plugin rule there deducts
+ * its points when it fails; rules in a plugin category award points instead
+ *
+ * Register with registerPlugin(plugin) at startup, or drop .js/.mjs files in AUDIT_PLUGINS_DIR
+ */
+
+const DEFAULT_RULE_POINTS = 10;
+const SEVERITIES = ['critical', 'major', 'minor'];
+const PRIORITY_VALUES = { high: 3, medium: 2, low: 1 };
+
+const PLUGINS = [];
+const PLUGIN_RULES = {};
+const PLUGIN_CATEGORIES = {};
+
+let loading = null;
+
+/**
+ * Add a plugin's categories, extractor and rules
+ * @returns {Object} { name } or { error }
+ */
+export function registerPlugin(plugin) {
+  const error = validatePlugin(plugin);
+  if (error) return { error: `Plugin ${plugin?.name || '(unnamed)'}: ${error}` };
+
+  Object.entries(plugin.categories || {}).forEach(([id, category]) => {
+    PLUGIN_CATEGORIES[id] = { title: category.title || id, weight: category.weight ?? 0.10, plugin: plugin.name };
+  });
+
+  plugin.rules.forEach(rule => {
+    const builtIn = isBuiltInCategory(rule.category);
+    const points = rule.points ?? DEFAULT_RULE_POINTS;
+
+    PLUGIN_RULES[rule.id] = {
+      plugin: plugin.name,
+      flag: rule.flag || null,
+      severity: SEVERITIES.includes(rule.issue?.severity) ? rule.issue.severity : 'minor',
+      description: rule.issue?.description || rule.title,
+      recommendation: rule.recommendation || null
+    };
+
+    registerRules(rule.category, [{
+      id: rule.id,
+      title: rule.title,
+      penalty: builtIn,
+      evaluate: (context) => {
+        const result = runCheck(plugin, rule, context);
+        if (!result) return null;
+
+        const passed = Boolean(result.passed);
+        if (builtIn) {
+          return { points: passed ? 0 : -points, possible: 0, passed, evidence: result.evidence, locators: result.locators };
+        }
+        return {
+          points: passed ? points : Math.max(0, Math.min(points, result.points ?? 0)),
+          possible: points,
+          passed,
+          evidence: result.evidence,
+          locators: result.locators
+        };
+      }
+    }]);
+  });
+
+  const existing = PLUGINS.findIndex(p => p.name === plugin.name);
+  if (existing === -1) {
+    PLUGINS.push(plugin);
+  } else {
+    PLUGINS[existing] = plugin;
+  }
+
+  return { name: plugin.name };
+}
+
+/**
+ * Import every .js/.mjs plugin in AUDIT_PLUGINS_DIR (once per process)
+ * Must finish before pages are parsed, since extractors run in parseHTML
+ */
+export function loadPlugins() {
+  if (!loading) {
+    loading = importPluginDir(process.env.AUDIT_PLUGINS_DIR);
+  }
+  return loading;
+}
+
+/**
+ * Run plugin extractors on a parsed page
+ * @returns {Object} { [pluginName]: facts }
+ */
+export function runPluginExtractors($, data) {
+  const facts = {};
+
+  PLUGINS.filter(plugin => typeof plugin.extract === 'function').forEach(plugin => {
+    try {
+      facts[plugin.name] = plugin.extract($, data);
+    } catch (error) {
+      console.log(`⚠️  Plugin ${plugin.name} extract failed:`, error.message);
+      facts[plugin.name] = null;
+    }
+  });
+
+  return facts;
+}
+
+/**
+ * Categories added by plugins: { [id]: { title, weight, plugin } }
+ */
+export function getPluginCategories() {
+  return { ...PLUGIN_CATEGORIES };
+}
+
+/**
+ * Plugin rule outcomes from a scoring ledger
+ * @param {Object} ledger - { [category]: runRules() ledger | null }
+ * @returns {Object} { flags: { [flag]: boolean }, findings: [failed rule with issue text] }
+ */
+export function collectPluginResults(ledger) {
+  const flags = {};
+  const findings = [];
+
+  Object.values(ledger).filter(Boolean).forEach(categoryLedger => {
+    categoryLedger.rules.forEach(entry => {
+      const rule = PLUGIN_RULES[entry.id];
+      if (!rule) return;
+
+      if (rule.flag) {
+        flags[rule.flag] = flags[rule.flag] || !entry.passed;
+      }
+      if (entry.passed) return;
+
+      findings.push({
+        plugin: rule.plugin,
+        rule: entry.id,
+        category: entry.category,
+        title: entry.title,
+        flag: rule.flag,
+        severity: rule.severity,
+        description: rule.description,
+        evidence: entry.evidence,
+        locators: entry.locators,
+        recommendation: rule.recommendation ? formatRecommendation(rule.recommendation, entry.category) : null
+      });
+    });
+  });
+
+  return { flags, findings };
+}
+
+function runCheck(plugin, rule, context) {
+  try {
+    return rule.check({
+      data: context.data,
+      facts: context.data.plugins?.[plugin.name] ?? null,
+      details: context.details
+    });
+  } catch (error) {
+    console.log(`⚠️  Plugin rule ${rule.id} failed:`, error.message);
+    return null;
+  }
+}
+
+function formatRecommendation(recommendation, category) {
+  const impact = PRIORITY_VALUES[recommendation.impact] ? recommendation.impact : 'medium';
+  const effort = PRIORITY_VALUES[recommendation.effort] ? recommendation.effort : 'medium';
+
+  return {
+    title: recommendation.title,
+    description: recommendation.description || '',
+    category,
+    impact,
+    effort,
+    priority: PRIORITY_VALUES[impact] - PRIORITY_VALUES[effort]
+  };
+}
+
+function validatePlugin(plugin) {
+  if (!plugin || typeof plugin.name !== 'string' || !plugin.name) return 'name is required';
+  if (!Array.isArray(plugin.rules)) return 'rules must be an array';
+
+  const categories = plugin.categories || {};
+  const clash = Object.keys(categories).find(isBuiltInCategory);
+  if (clash) return `category "${clash}" is built in`;
+
+  for (const rule of plugin.rules) {
+    if (!rule.id || typeof rule.check !== 'function') return `rule ${rule.id || '(no id)'} needs an id and check()`;
+    if (!isBuiltInCategory(rule.category) && !categories[rule.category] && !PLUGIN_CATEGORIES[rule.category]) {
+      return `rule ${rule.id} uses unknown category "${rule.category}"`;
+    }
+  }
+
+  return null;
+}
+
+function isBuiltInCategory(category) {
+  return category in getProfile('default').weights;
+}
+
+async function importPluginDir(dir) {
+  if (!dir) return;
+
+  let files;
+  try {
+    files = fs.readdirSync(dir).filter(file => /\.m?js$/.test(file)).sort();
+  } catch (error) {
+    console.log(`⚠️  AUDIT_PLUGINS_DIR not readable (${dir}):`, error.message);
+    return;
+  }
+
+  for (const file of files) {
+    try {
+      const module = await import(/* webpackIgnore: true */ pathToFileURL(path.resolve(dir, file)).href);
+      const result = registerPlugin(module.default || module.plugin);
+      if (result.error) {
+        console.log(`⚠️  ${result.error}`);
+      }
+    } catch (error) {
+      console.log(`⚠️  Plugin ${file} not loaded:`, error.message);
+    }
+  }
+}
@@ -0,0 +1,299 @@
+import fs from 'node:fs';
+
+/**
+ * Scoring profiles per page type
+ * A profile is plain data: relative category weights plus the points (and a few
+ * count ranges) each category function awards. Profiles only list what differs
+ * from the default profile, which holds the original scoring numbers
+ *
+ * Projects can add or tune profiles without editing source:
+ * - AUDIT_PROFILES_FILE: JSON file of { "<id>": { name, extends?, weights?, points? } }
+ * - registerProfile('checkout', { extends: 'product', weights: { security: 0.2 } })
+ */
+
+const DEFAULT_PROFILE = {
+  name: 'Umum',
+  description: 'Bobot standar untuk halaman apa pun',
+  // Relative (they add up to 1 here); the total is normalized over the categories a page actually has
+  weights: {
+    content: 0.20,
+    layout: 0.15,
+    cta: 0.20,
+    accessibility: 0.15,
+    mobile: 0.10,
+    security: 0.05,
+    performance: 0.15
+  },
+  points: {
+    content: {
+      h1: 20,
+      h1_length: 10,
+      h1_length_partial: 5,
+      h1_action: 10,
+      meta_description: 10,
+      meta_description_length: 5,
+      text_ratio: 10,
+      text_ratio_partial: 5,
+      placeholder_penalty: 10,
+      paragraphs: 10,
+      paragraphs_partial: 5,
+      ideal_paragraphs: [2, 10],
+      max_paragraphs: 20,
+      title: 10,
+      title_length: 5,
+      readability_grade: 6,
+      readability_grade_near: 4,
+      readability_grade_far: 2,
+      passive_voice: 2,
+      jargon: 2,
+      readability_not_measured: 5
+    },
+    layout: {
+      single_h1: 15,
+      multiple_h1: 5,
+      subheadings: 15,
+      hierarchy: 5,
+      misused_heading_penalty: 2,
+      max_misused_heading_penalty: 10,
+      cta_density: 15,
+      cta_density_partial: 10,
+      cta_clutter_penalty: 10,
+      ideal_ctas: [1, 3],
+      max_ctas: 5,
+      content_blocks: 10,
+      min_content_blocks: 3,
+      forms: 10,
+      max_forms: 2,
+      images: 20,
+      images_many: 10,
+      max_images: 10
+    },
+    cta: {
+      presence: 20,
+      quality: 15,
+      mostly_quality: 15,
+      competition: 30,
+      competition_partial: 15,
+      competition_penalty: 10,
+      ideal_ctas: [1, 3],
+      max_ctas: 5,
+      buttons: 20,
+      links_only: 10,
+      // Share of the CTA score taken by form usability when the page has forms
+      form_usability_weight: 0.2
+    },
+    accessibility: {
+      contrast: 60,
+      contrast_partial: 40,
+      contrast_low: 20,
+      contrast_not_measured: 30,
+      alt_text: 20,
+      alt_text_partial: 10,
+      no_images: 10,
+      font_size: 10,
+      font_size_partial: 5,
+      form_labels: 10,
+      form_labels_partial: 5,
+      no_forms: 5
+    },
+    mobile: {
+      viewport: 30,
+      viewport_zoom_disabled: 20,
+      viewport_not_device_width: 10,
+      media_queries: 20,
+      media_queries_partial: 12,
+      no_fixed_width: 20,
+      fixed_width_partial: 10,
+      responsive_images: 15,
+      no_tiny_fonts: 10,
+      tiny_fonts_partial: 5,
+      tap_targets: 5
+    },
+    security: {
+      https: 30,
+      hsts: 15,
+      hsts_short: 8,
+      csp: 20,
+      csp_inline: 12,
+      csp_report_only: 5,
+      clickjacking: 10,
+      referrer_policy: 10,
+      referrer_policy_weak: 5,
+      permissions_policy: 5,
+      no_mixed_content: 10,
+      passive_mixed_content: 5
+    },
+    performance: {
+      // Lab metrics (PageSpeed or the offline estimate), Lighthouse's own weights; partial = "needs improvement"
+      lcp: 25,
+      lcp_partial: 12,
+      tbt: 30,
+      tbt_partial: 15,
+      cls: 25,
+      cls_partial: 12,
+      fcp: 10,
+      fcp_partial: 5,
+      speed_index: 10,
+      speed_index_partial: 5,
+      // Share of the performance weight an offline estimate keeps in the total
+      estimated_weight: 0.5
+    }
+  }
+};
+
+// Overrides on top of DEFAULT_PROFILE
+const PROFILE_OVERRIDES = {
+  landing: {
+    name: 'Landing Page',
+    description: 'Satu tujuan konversi: CTA dan tampilan mobile paling berat',
+    weights: { content: 0.15, layout: 0.15, cta: 0.25, accessibility: 0.10, mobile: 0.15, security: 0.05, performance: 0.15 }
+  },
+  product: {
+    name: 'Produk E-commerce',
+    description: 'Halaman produk: galeri gambar, beberapa aksi (keranjang, wishlist, varian), kecepatan muat dan kepercayaan saat checkout',
+    weights: { content: 0.15, layout: 0.10, cta: 0.20, accessibility: 0.10, mobile: 0.15, security: 0.10, performance: 0.20 },
+    points: {
+      content: { ideal_paragraphs: [1, 12], max_paragraphs: 30 },
+      layout: { ideal_ctas: [1, 6], max_ctas: 10, max_images: 30 },
+      cta: { ideal_ctas: [1, 5], max_ctas: 10 }
+    }
+  },
+  article: {
+    name: 'Artikel / Blog',
+    description: 'Konten panjang: keterbacaan paling berat, CTA tidak wajib',
+    weights: { content: 0.35, layout: 0.15, cta: 0.05, accessibility: 0.15, mobile: 0.10, security: 0.05, performance: 0.15 },
+    points: {
+      // Headlines don't need an action verb; those points move to readability
+      content: {
+        h1: 24,
+        h1_action: 0,
+        ideal_paragraphs: [4, 80],
+        max_paragraphs: 200,
+        readability_grade: 10,
+        readability_grade_near: 7,
+        readability_grade_far: 3,
+        passive_voice: 3,
+        jargon: 3,
+        readability_not_measured: 8
+      },
+      layout: {
+        ideal_ctas: [0, 6],
+        max_ctas: 12,
+        content_blocks: 20,
+        min_content_blocks: 5,
+        forms: 0,
+        max_images: 20
+      },
+      cta: { ideal_ctas: [0, 4], max_ctas: 8 }
+    }
+  },
+  lead_gen: {
+    name: 'Form / Lead Generation',
+    description: 'Halaman yang tujuannya mengisi form: usability & label form paling berat',
+    weights: { content: 0.15, layout: 0.10, cta: 0.30, accessibility: 0.15, mobile: 0.10, security: 0.10, performance: 0.10 },
+    points: {
+      cta: { form_usability_weight: 0.4 },
+      accessibility: { contrast: 50, contrast_partial: 35, contrast_low: 15, contrast_not_measured: 25, form_labels: 20, form_labels_partial: 10 }
+    }
+  },
+  pricing: {
+    name: 'Harga SaaS',
+    description: 'Tabel paket: satu CTA per paket wajar, konten singkat',
+    weights: { content: 0.20, layout: 0.20, cta: 0.25, accessibility: 0.10, mobile: 0.10, security: 0.05, performance: 0.10 },
+    points: {
+      content: { ideal_paragraphs: [1, 15], max_paragraphs: 30 },
+      layout: { ideal_ctas: [2, 8], max_ctas: 12 },
+      cta: { ideal_ctas: [2, 6], max_ctas: 10 }
+    }
+  }
+};
+
+const PROFILES = {
+  default: DEFAULT_PROFILE,
+  ...Object.fromEntries(Object.entries(PROFILE_OVERRIDES).map(([id, overrides]) => [id, mergeProfile(DEFAULT_PROFILE, overrides)]))
+};
+
+let customLoaded = false;
+
+/**
+ * Add or replace a profile
+ * @param {string} id - e.g. 'checkout'
+ * @param {Object} profile - { name?, description?, extends?: profile id (default 'default'), weights?, points? }
+ * @returns {Object} { id } or { error }
+ */
+export function registerProfile(id, profile = {}) {
+  if (!/^[a-z][a-z0-9_-]*$/.test(id || '') || id === 'auto') {
+    return { error: `Invalid profile id "${id}"` };
+  }
+
+  const base = getOwnProfile(profile.extends || 'default');
+  if (!base) {
+    return { error: `Profile "${id}" extends unknown profile "${profile.extends}"` };
+  }
+
+  PROFILES[id] = mergeProfile(base, { name: id, ...profile });
+  return { id };
+}
+
+/**
+ * Profile by id, or null when unknown
+ * @returns {Object|null} { id, name, description, weights, points }
+ */
+export function getProfile(id) {
+  loadCustomProfiles();
+  const profile = getOwnProfile(id);
+  return profile ? { id, ...profile } : null;
+}
+
+/**
+ * Profiles for pickers: [{ id, name, description }]
+ */
+export function listProfiles() {
+  loadCustomProfiles();
+  return Object.entries(PROFILES).map(([id, profile]) => ({ id, name: profile.name, description: profile.description || '' }));
+}
+
+// Ids come from request bodies: "toString" or "constructor" must not resolve to Object.prototype members
+function getOwnProfile(id) {
+  return Object.hasOwn(PROFILES, id) ? PROFILES[id] : null;
+}
+
+/**
+ * Merge overrides into a base profile; points merge per category
+ */
+function mergeProfile(base, overrides) {
+  const points = {};
+  Object.keys(base.points).forEach(category => {
+    points[category] = { ...base.points[category], ...(overrides.points?.[category] || {}) };
+  });
+
+  return {
+    name: overrides.name || base.name,
+    description: overrides.description ?? base.description,
+    weights: { ...base.weights, ...(overrides.weights || {}) },
+    points
+  };
+}
+
+/**
+ * Register profiles from AUDIT_PROFILES_FILE (once per process)
+ */
+function loadCustomProfiles() {
+  if (customLoaded) return;
+  customLoaded = true;
+
+  const file = process.env.AUDIT_PROFILES_FILE;
+  if (!file) return;
+
+  try {
+    const profiles = JSON.parse(fs.readFileSync(file, 'utf8'));
+    Object.entries(profiles).forEach(([id, profile]) => {
+      const result = registerProfile(id, profile);
+      if (result.error) {
+        console.log(`⚠️  Profile not loaded: ${result.error}`);
+      }
+    });
+  } catch (error) {
+    console.log(`⚠️  AUDIT_PROFILES_FILE not readable (${file}):`, error.message);
+  }
+}
@@ -7,7 +7,12 @@
  * ANALYZER: Identify issues from scores and flags
  */
 export function getAnalyzerPrompt(data) {
-  const { scores, flags, details, crawledData } = data;
+  const { scores, profile, flags, details, ledger = {}, crawledData } = data;
+  
+  // Per-element contrast results and merged findings get their own sections below
+  const { contrast_results: contrastResults = [], findings: accessibilityFindings = [], ...accessibilityDetails } = details.accessibility;
+  const wcagLevel = details.accessibility.wcag_level || 'AA';
+  const contrastFailures = contrastResults.filter(r => !r.passes_target);
   
   return `You are a UX Analysis Expert. Analyze this website audit data and identify specific issues.
 
@@ -15,12 +20,16 @@ export function getAnalyzerPrompt(data) {
 - URL: ${crawledData.url}
 - Title: ${crawledData.title}
 - H1: ${crawledData.headings.h1[0] || 'None'}
+- ${describeProfile(profile)}
 
 ## Scores (0-100):
 - Content Clarity: ${scores.content}
 - Layout & Hierarchy: ${scores.layout}
 - Actionability/CTA: ${scores.cta}
 - Accessibility (WCAG-lite): ${scores.accessibility}
+- Mobile Readiness: ${scores.mobile}
+- Security & HTTPS: ${scores.security ?? 'N/A (uploaded HTML, no response headers)'}
+- Performance: ${scores.performance}${details.performance.estimated ? ' (ESTIMATED offline, PageSpeed not available)' : ''}
 - TOTAL: ${scores.total}
 
 ## Detected Flags:
@@ -30,20 +39,87 @@ ${Object.entries(flags).filter(([k, v]) => v).map(([k, v]) => `- ${k}: ${v}`).jo
 Content: ${JSON.stringify(details.content, null, 2)}
 Layout: ${JSON.stringify(details.layout, null, 2)}
 CTA: ${JSON.stringify(details.cta, null, 2)}
-Accessibility: ${JSON.stringify(details.accessibility, null, 2)}
+Accessibility: ${JSON.stringify(accessibilityDetails, null, 2)}
+Security: ${details.security ? JSON.stringify(details.security, null, 2) : 'N/A'}
+
+## Color Contrast (target: WCAG ${wcagLevel}):
+Thresholds: ${wcagLevel === 'AAA' ? '7:1 normal text, 4.5:1 large text' : '4.5:1 normal text, 3:1 large text'}
+${contrastFailures.length > 0
+  ? contrastFailures.slice(0, 10).map(r => `- ${r.element} "${r.text}": ${r.ratio}:1 (${r.size_class} text, ${r.fg} on ${r.bg}) - passes ${r.level === 'fail' ? 'no level' : r.level}`).join('\n')
+  : `- All ${contrastResults.length} checked elements pass WCAG ${wcagLevel}`}
+
+## Accessibility Findings (our checks merged with Lighthouse, no duplicates):
+${accessibilityFindings.length > 0
+  ? accessibilityFindings.slice(0, 15).map(f => `- [${f.severity}] ${f.title} (${SOURCE_LABELS[f.source]}): ${f.evidence}`).join('\n')
+  : '- No failed accessibility checks'}
+
+## Readability:
+${details.readability
+  ? `- Language: ${details.readability.language === 'id' ? 'Indonesian' : 'English'} (${details.readability.language_source === 'html_lang' ? 'from html lang' : 'detected from text'})
+- Grade level: ${details.readability.grade} (target ≤ ${details.readability.target_grade}), ${details.readability.avg_sentence_length} words/sentence, ${details.readability.long_sentence_pct}% long sentences
+- Passive voice: ${details.readability.passive_pct}% of sentences, jargon: ${details.readability.jargon_pct}% of words${details.readability.jargon_terms.length > 0 ? ` (${details.readability.jargon_terms.join(', ')})` : ''}
+${details.readability.hardest_paragraphs.map(p => `- Hard paragraph (grade ${p.grade}, ${p.reason}): "${p.text}"`).join('\n')}`
+  : '- Not measured (too little copy, or language is not Indonesian/English)'}
+
+## Form Usability:
+${details.forms
+  ? `Score: ${details.forms.score}/100 (${details.forms.form_count} form(s), ${details.forms.field_count} field(s))
+${details.forms.findings.length > 0
+    ? details.forms.findings.slice(0, 10).map(f => `- [${f.severity}] ${f.check}: ${f.evidence}`).join('\n')
+    : '- No form usability problems found'}`
+  : '- No forms on this page'}
 
+## Mobile Readiness (static check at a 375px phone viewport):
+- Viewport meta: ${details.mobile.viewport_present ? `"${details.mobile.viewport_content}"` : 'missing'}${details.mobile.zoom_disabled ? ' (blocks pinch-zoom)' : ''}
+- Width-based media queries: ${details.mobile.media_queries}
+- Fixed widths wider than the phone: ${details.mobile.fixed_width_count}${details.mobile.fixed_width_rules.length > 0 ? ` (${details.mobile.fixed_width_rules.slice(0, 5).map(r => `${r.selector} { ${r.declaration} }`).join('; ')})` : ''}
+- Content images without srcset/<picture>: ${details.mobile.non_responsive_image_count}/${details.mobile.content_images}${details.mobile.fluid_image_rule ? ' (img max-width: 100% is set)' : ''}
+- Inline font sizes below 12px: ${details.mobile.tiny_font_count}${details.mobile.tiny_fonts.length > 0 ? ` (${details.mobile.tiny_fonts.slice(0, 5).map(f => `${f.element} ${f.font_size_px}px`).join(', ')})` : ''}
+- Tap targets smaller than 24px: ${details.mobile.small_tap_target_count}
+
+## Images:
+${details.images
+  ? `- ${details.images.image_count} image(s): ${details.images.with_dimensions} with width/height, ${details.images.lazy_loaded} lazy-loaded, ${details.images.modern_format} WebP/AVIF
+- Hero image: ${details.images.hero ? `${details.images.hero.src} (${details.images.hero.format || 'unknown format'}${details.images.hero.bytes !== null ? `, ${Math.round(details.images.hero.bytes / 1024)} KB` : ''})` : 'none detected'}
+- Byte sizes checked: ${details.images.sizes_checked}${details.images.sizes_checked > 0 ? ` (${Math.round(details.images.total_bytes / 1024)} KB total)` : ''}
+${details.images.findings.length > 0
+    ? details.images.findings.slice(0, 10).map(f => `- [${f.severity}] ${f.check}: ${f.evidence}`).join('\n')
+    : '- No image optimization problems found'}`
+  : '- No images on this page'}
+
+## Performance:
+${describePerformance(details.performance, ledger.performance)}
+${details.performance.audits ? `
+## Lighthouse Audits (failing, ${details.performance.strategy}):
+${describeLighthouseAudits(details.performance.audits)}
+` : ''}
+## Response & Redirects:
+${details.response
+  ? `- Final URL: ${details.response.final_url}
+- Redirects: ${details.response.redirect_count}${details.response.redirect_chain.length > 0 ? ` (${details.response.redirect_chain.join(' -> ')})` : ''}
+- HTTPS downgrades: ${details.response.https_downgrades.length > 0 ? details.response.https_downgrades.map(d => `${d.from} -> ${d.to}`).join(', ') : 'none'}
+- Server response time: ${details.response.response_ms}ms`
+  : '- Not available (audited from uploaded HTML)'}
+${details.plugins && details.plugins.length > 0 ? `
+## Project House Rules (failed):
+${details.plugins.map(f => `- [${f.severity}] ${f.category} / ${f.title}: ${f.description} (${f.evidence})`).join('\n')}
+` : ''}
 ## Your Task:
 Identify 5-10 specific UX issues based on:
 1. Low scores (below 70)
 2. Active flags
 3. Missing elements or poor practices
+4. A failed Core Web Vitals verdict (cite the device, the source and the failing metrics)${details.plugins && details.plugins.length > 0 ? `
+5. Failed project house rules (report each one, using its category)` : ''}
 
 For each issue, provide:
-- category: "content" | "layout" | "cta" | "accessibility"
+- category: "content" | "layout" | "cta" | "accessibility" | "mobile" | "performance" | "security" (or a house-rule category)
 - severity: "critical" | "major" | "minor"
 - description: Brief, specific problem (1 sentence)
 - evidence: What data shows this (reference scores/flags)
 
+When judging contrast, use the WCAG ${wcagLevel} target above (not a fixed 4.5:1).
+
 Also identify 2-3 strengths/good practices.
 
 Return ONLY valid JSON (no markdown, no explanation):
@@ -81,6 +157,8 @@ export function getStorytellerPrompt(data) {
 - Layout: ${scores.layout}/100
 - CTA: ${scores.cta}/100
 - Accessibility: ${scores.accessibility}/100
+- Mobile: ${scores.mobile}/100${scores.security !== null && scores.security !== undefined ? `\n- Security: ${scores.security}/100` : ''}
+- Performance: ${scores.performance}/100${data.performance?.estimated ? ' (estimated, no PageSpeed measurement; say so if you mention speed)' : ''}
 
 ## Issues Found:
 ${issues.map(i => `- [${i.severity}] ${i.description}`).join('\n')}
@@ -105,13 +183,14 @@ Return ONLY the narrative text (no JSON, no markdown formatting):`;
  * RECOMMENDER: Generate prioritized recommendations
  */
 export function getRecommenderPrompt(data) {
-  const { issues, scores, details, crawledData } = data;
+  const { issues, scores, profile, details, ledger = {}, crawledData } = data;
   
   return `You are a UX Solutions Architect. Create actionable recommendations to fix identified issues.
 
 ## Website Context:
 - URL: ${crawledData.url}
 - Current Score: ${scores.total}/100
+- ${describeProfile(profile)}
 
 ## Issues to Address:
 ${issues.map((i, idx) => `${idx + 1}. [${i.severity}] ${i.category}: ${i.description}`).join('\n')}
@@ -122,7 +201,16 @@ ${issues.map((i, idx) => `${idx + 1}. [${i.severity}] ${i.category}: ${i.descrip
 - Images with alt: ${details.accessibility.images_with_alt}/${details.accessibility.total_images}
 - Font size: ${details.accessibility.body_font_size}px
 - Form inputs with labels: ${details.accessibility.inputs_with_labels}/${details.accessibility.total_inputs}
+- Viewport meta: ${details.mobile.viewport_present ? details.mobile.viewport_content : 'missing'}, media queries: ${details.mobile.media_queries}, fixed-width rules: ${details.mobile.fixed_width_count}${details.security ? `
+- HTTPS: ${details.security.is_https ? 'yes' : 'no'}, HSTS: ${details.security.hsts_present ? 'yes' : 'no'}, CSP: ${details.security.csp_enforced ? 'yes' : 'no'}, clickjacking protection: ${details.security.clickjacking_protected ? 'yes' : 'no'}
+- Mixed content references: ${details.security.mixed_content_count}` : ''}
 
+## Performance Findings (score ${scores.performance}/100):
+${describePerformance(details.performance, ledger.performance)}
+${details.performance.audits ? `
+## Lighthouse Audits (failing, ${details.performance.strategy}):
+${describeLighthouseAudits(details.performance.audits)}
+` : ''}
 ## Your Task:
 Generate 5-8 prioritized recommendations. For each:
 - title: Clear action to take (4-8 words)
@@ -136,6 +224,7 @@ Focus on:
 1. Critical/major issues first
 2. Quick wins (high impact, low effort)
 3. Specific, actionable advice (not generic "improve UX")
+4. When Core Web Vitals fail, target the failing metric and cite the verdict (device, field or lab data)
 
 Return ONLY valid JSON (no markdown):
 {
@@ -184,3 +273,91 @@ export function parseJSONResponse(text) {
     throw new Error('AI returned invalid JSON format');
   }
 }
+
+/**
+ * Performance source, metrics or estimate facts, and the failed performance rules
+ */
+function describePerformance(performance, performanceLedger) {
+  const kb = (bytes) => `${Math.round(bytes / 1024)} KB`;
+  const lines = [
+    performance.estimated
+      ? `- Source: ESTIMATE modelled offline from the page's own resources on slow 4G mobile (PageSpeed not available); treat numbers as approximate, estimated score ${performance.lighthouse_score}`
+      : `- Source: PageSpeed Insights lab data (${performance.strategy}), Lighthouse performance ${performance.lighthouse_score}`,
+    `- LCP ${Math.round(performance.metrics.lcp)}ms (${performance.ratings.lcp}), TBT ${Math.round(performance.metrics.tbt)}ms (${performance.ratings.tbt}), CLS ${performance.metrics.cls.toFixed(3)} (${performance.ratings.cls}), FCP ${Math.round(performance.metrics.fcp)}ms (${performance.ratings.fcp}), Speed Index ${Math.round(performance.metrics.si)}ms (${performance.ratings.si})${performance.metrics.inp !== null ? `, INP ${Math.round(performance.metrics.inp)}ms (${performance.ratings.inp})` : ''}`,
+    performance.field
+      ? `- Field data (CrUX p75, real Chrome users, ${performance.field.scope === 'origin' ? 'whole site' : 'this URL'}): ${Object.entries(performance.field.metrics).map(([metric, value]) => `${metric.toUpperCase()} ${formatFieldValue(metric, value.p75)} (${value.rating})`).join(', ')}`
+      : '- Field data (CrUX): not available',
+    ...['mobile', 'desktop']
+      .filter(device => performance.core_web_vitals[device])
+      .map(device => `- Core Web Vitals (${device}): ${describeCoreWebVitals(performance.core_web_vitals[device])}`),
+    `- Known page weight: ${kb(performance.page_weight_bytes)} (HTML ${kb(performance.html_bytes)}, JS ${kb(performance.script_bytes)}, CSS ${kb(performance.stylesheet_bytes)}, fonts ${kb(performance.font_bytes)}, images ${kb(performance.image_bytes)}; ${performance.unsized} resource(s) unsized)`,
+    `- Requests: ${performance.request_count} (${performance.scripts} scripts, ${performance.stylesheets} stylesheets, ${performance.fonts} fonts, ${performance.images} images, ${performance.iframes} iframes)`,
+    `- Render-blocking in <head>: ${performance.blocking_scripts} script(s), ${performance.blocking_stylesheets} stylesheet(s)`
+  ];
+  
+  (performance.opportunities || []).slice(0, 5).forEach(opportunity => {
+    lines.push(`- Opportunity: ${opportunity.title} (~${Math.round(opportunity.savings)}ms): ${opportunity.description}`);
+  });
+  
+  const failed = (performanceLedger?.rules || []).filter(rule => !rule.passed);
+  lines.push(...(failed.length > 0
+    ? failed.map(rule => `- Failed: ${rule.title} (${rule.evidence})`)
+    : ['- All performance checks passed']));
+  
+  return lines.join('\n');
+}
+
+const SOURCE_LABELS = { audit: 'our check', lighthouse: 'Lighthouse', both: 'our check + Lighthouse' };
+
+// Failing audits listed per Lighthouse category
+const MAX_PROMPT_AUDITS = 8;
+
+/**
+ * Failing Lighthouse audits per category; accessibility ones are already in the merged findings
+ */
+function describeLighthouseAudits(audits) {
+  const categories = { performance: 'Performance diagnostics', bestPractices: 'Best practices', seo: 'SEO' };
+  return Object.entries(categories).map(([key, label]) => {
+    const failing = audits[key] || [];
+    if (failing.length === 0) return `${label}: all audits pass`;
+    return `${label}:\n` + failing.slice(0, MAX_PROMPT_AUDITS).map(audit => {
+      const facts = [
+        audit.display_value,
+        audit.savings_ms > 0 ? `~${audit.savings_ms}ms` : null,
+        audit.savings_bytes > 0 ? `~${Math.round(audit.savings_bytes / 1024)} KB` : null,
+        audit.item_count > 0 ? `${audit.item_count} item(s)${audit.items.length > 0 && audit.headings.length > 0 ? `, e.g. ${audit.items[0][audit.headings[0].key]}` : ''}` : null
+      ].filter(Boolean);
+      return `- ${audit.title} [${audit.id}]${facts.length > 0 ? ` (${facts.join('; ')})` : ''}`;
+    }).join('\n');
+  }).join('\n');
+}
+
+/**
+ * "FAILED from field data (this URL): LCP 3200ms poor; INP 150ms good; CLS 0.02 good"
+ */
+function describeCoreWebVitals(verdict) {
+  const source = verdict.source === 'field'
+    ? `field data (${verdict.scope === 'origin' ? 'whole site' : 'this URL'})`
+    : verdict.source === 'estimate' ? 'offline estimate, approximate' : 'lab data, TBT standing in for INP';
+  const metrics = Object.entries(verdict.metrics)
+    .map(([metric, value]) => `${(value.proxy || metric).toUpperCase()} ${formatFieldValue(value.proxy || metric, value.value)} ${value.rating}`);
+  
+  return `${verdict.passed ? 'PASSED' : 'FAILED'} from ${source}: ${metrics.join('; ')}`;
+}
+
+function formatFieldValue(metric, value) {
+  return metric === 'cls' ? value.toFixed(2) : `${Math.round(value)}ms`;
+}
+
+/**
+ * "Page type: Artikel / Blog (article, auto-detected: schema.org BlogPosting, ...)"
+ */
+function describeProfile(profile) {
+  if (!profile) return 'Page type: general';
+  
+  const detection = profile.detection;
+  const source = detection
+    ? `, auto-detected${detection.signals.length > 0 ? `: ${detection.signals.join('; ')}` : ' (no clear signals)'}`
+    : ', chosen by the user';
+  return `Page type / scoring profile: ${profile.name} (${profile.id}${source}). Judge issues against what this kind of page needs`;
+}
@@ -0,0 +1,217 @@
+/**
+ * Readability analysis for Indonesian and English copy
+ * Detects the language (html[lang], else stopword frequency), then measures
+ * sentence & word length, passive voice and jargon density and a
+ * Flesch-Kincaid style grade level, quoting the hardest paragraphs as evidence
+ */
+
+// Plain-language target for public web copy (roughly 13-14 year olds)
+export const TARGET_GRADE = 8;
+// % of sentences in passive voice / % of words that are jargon before copy reads as stiff
+export const MAX_PASSIVE_PCT = 20;
+export const MAX_JARGON_PCT = 2;
+
+// Below this there is too little copy for the statistics to mean anything
+const MIN_WORDS = 40;
+const MIN_PARAGRAPH_WORDS = 15;
+const LONG_SENTENCE_WORDS = { en: 25, id: 20 };
+const MAX_HARDEST_PARAGRAPHS = 3;
+
+// Flesch-Kincaid assumes English (~1.5 syllables/word); Indonesian words average
+// ~2.6 syllables, so syllable density is rescaled before applying the formula
+const AVERAGE_SYLLABLES = { en: 1.5, id: 2.6 };
+
+const STOPWORDS = {
+  en: new Set(['the', 'and', 'of', 'to', 'in', 'is', 'for', 'that', 'with', 'you', 'are', 'this', 'on', 'it', 'be', 'your', 'we', 'our', 'as', 'can', 'an', 'or', 'will', 'from']),
+  id: new Set(['yang', 'dan', 'di', 'ke', 'dari', 'untuk', 'dengan', 'ini', 'itu', 'tidak', 'adalah', 'pada', 'akan', 'dalam', 'juga', 'kami', 'anda', 'kita', 'bisa', 'atau', 'lebih', 'sudah', 'oleh', 'para'])
+};
+
+const JARGON = {
+  en: ['synergy', 'synergies', 'leverage', 'leveraged', 'leveraging', 'paradigm', 'utilize', 'utilise', 'utilized', 'utilization', 'holistic',
+    'scalable', 'robust', 'seamless', 'seamlessly', 'cutting-edge', 'best-of-breed', 'end-to-end', 'disruptive',
+    'ecosystem', 'bandwidth', 'actionable', 'deliverables', 'stakeholders', 'omnichannel', 'next-generation',
+    'mission-critical', 'value-add', 'world-class', 'best-in-class', 'empower', 'empowering', 'streamline', 'streamlined',
+    'operationalize', 'ideate', 'incentivize', 'turnkey', 'vertical', 'verticals'],
+  id: ['sinergi', 'bersinergi', 'paradigma', 'optimalisasi', 'implementasi', 'integrasi', 'terintegrasi', 'holistik',
+    'skalabilitas', 'ekosistem', 'akselerasi', 'transformasi', 'kolaboratif', 'komprehensif', 'revolusioner',
+    'mutakhir', 'terdepan', 'berbasis', 'leverage', 'seamless', 'end-to-end', 'omnichannel', 'stakeholder',
+    'pemangku', 'deliverable', 'aktualisasi', 'kapabilitas', 'fleksibilitas', 'efektivitas', 'efisiensi']
+};
+
+// Past participles that don't end in -ed
+const IRREGULAR_PARTICIPLES = new Set(['built', 'made', 'done', 'given', 'taken', 'seen', 'known', 'shown', 'sent',
+  'paid', 'held', 'kept', 'left', 'found', 'told', 'sold', 'brought', 'bought', 'caught', 'taught', 'thought',
+  'written', 'driven', 'chosen', 'grown', 'drawn', 'hidden', 'broken', 'spoken', 'stolen', 'worn', 'born', 'set', 'put']);
+// Only "to be": "get" + participle is mostly an imperative in CTA copy ("Get started", "Get connected")
+const BE_VERBS = /^(am|is|are|was|were|be|been|being)$/;
+
+// "di" + root reads as a passive verb (dibuat, dikirim) except for these words
+const ID_NON_PASSIVE = new Set(['dia', 'diri', 'dini', 'dinas', 'dinding', 'digital', 'diskon', 'diskusi', 'dimensi',
+  'dingin', 'dinamis', 'dinamika', 'diagram', 'dialog', 'diet', 'direktur', 'direksi', 'distribusi', 'divisi', 'dibanding',
+  'disiplin', 'diploma', 'diva', 'dimana', 'disini', 'disana', 'dirinya', 'diam']);
+
+const ABBREVIATIONS = /\b(mr|mrs|ms|dr|prof|st|vs|etc|e\.g|i\.e|no|jl|dll|dsb|dst|rp|pt|tbk|yth|a\.n|u\.p)\.$/i;
+
+/**
+ * Detect the page language: html[lang] when it is id/en, else stopword frequency
+ * @returns {Object} { language: 'id' | 'en' | null, source: 'html_lang' | 'detected' | null }
+ */
+export function detectLanguage(text, htmlLang = '') {
+  const declared = htmlLang.toLowerCase().split(/[-_]/)[0];
+  if (declared === 'id' || declared === 'in') return { language: 'id', source: 'html_lang' };
+  if (declared === 'en') return { language: 'en', source: 'html_lang' };
+
+  const words = tokenize(text);
+  const hits = { en: 0, id: 0 };
+  words.forEach(word => {
+    if (STOPWORDS.en.has(word)) hits.en++;
+    if (STOPWORDS.id.has(word)) hits.id++;
+  });
+
+  // Need a clear signal: a few percent of all words, and one language well ahead
+  const best = hits.id >= hits.en ? 'id' : 'en';
+  const other = best === 'id' ? 'en' : 'id';
+  if (hits[best] < Math.max(3, words.length * 0.05) || hits[best] < hits[other] * 1.5) {
+    return { language: null, source: null };
+  }
+  return { language: best, source: 'detected' };
+}
+
+/**
+ * Readability statistics for body copy
+ * @param {string[]} paragraphs - Paragraph texts in document order
+ * @param {string} htmlLang - Value of <html lang>
+ * @returns {Object|null} null when the language is unsupported or there is too little text
+ */
+export function analyzeReadability(paragraphs = [], htmlLang = '') {
+  const text = paragraphs.join(' ');
+  const { language, source } = detectLanguage(text, htmlLang);
+  if (!language) return null;
+
+  const stats = measureText(paragraphs, language);
+  if (stats.word_count < MIN_WORDS) return null;
+
+  const hardest = paragraphs
+    .map((paragraph, index) => ({ paragraph, index, stats: measureText([paragraph], language) }))
+    .filter(({ stats: p }) => p.word_count >= MIN_PARAGRAPH_WORDS && p.grade > TARGET_GRADE)
+    .sort((a, b) => b.stats.grade - a.stats.grade)
+    .slice(0, MAX_HARDEST_PARAGRAPHS)
+    .map(({ paragraph, index, stats: p }) => ({
+      // Position in the paragraphs passed in (data.paragraphs)
+      index,
+      text: paragraph.length > 200 ? `${paragraph.substring(0, 197)}...` : paragraph,
+      grade: p.grade,
+      avg_sentence_length: p.avg_sentence_length,
+      reason: describeDifficulty(p, language)
+    }));
+
+  return {
+    language,
+    language_source: source,
+    ...stats,
+    target_grade: TARGET_GRADE,
+    hardest_paragraphs: hardest
+  };
+}
+
+/**
+ * Sentence/word statistics and grade for a set of paragraphs
+ */
+function measureText(paragraphs, language) {
+  const sentences = paragraphs.flatMap(splitSentences);
+  const sentenceWords = sentences.map(tokenize).filter(words => words.length > 0);
+  const words = sentenceWords.flat();
+
+  const wordCount = words.length;
+  const sentenceCount = Math.max(1, sentenceWords.length);
+  const syllables = words.reduce((sum, word) => sum + countSyllables(word, language), 0);
+  const letters = words.reduce((sum, word) => sum + word.replace(/[^\p{L}]/gu, '').length, 0);
+
+  const avgSentenceLength = wordCount / sentenceCount;
+  const syllablesPerWord = wordCount > 0 ? syllables / wordCount : 0;
+  const normalizedSyllables = syllablesPerWord * AVERAGE_SYLLABLES.en / AVERAGE_SYLLABLES[language];
+  const grade = 0.39 * avgSentenceLength + 11.8 * normalizedSyllables - 15.59;
+
+  const passive = sentenceWords.filter(s => isPassive(s, language)).length;
+  const jargon = words.filter(word => JARGON[language].includes(word)).length;
+  const longSentences = sentenceWords.filter(s => s.length > LONG_SENTENCE_WORDS[language]).length;
+
+  return {
+    word_count: wordCount,
+    sentence_count: sentenceWords.length,
+    avg_sentence_length: round(avgSentenceLength),
+    avg_word_length: round(wordCount > 0 ? letters / wordCount : 0),
+    syllables_per_word: round(syllablesPerWord),
+    long_sentence_pct: percentage(longSentences, sentenceCount),
+    passive_pct: percentage(passive, sentenceCount),
+    jargon_pct: percentage(jargon, Math.max(1, wordCount)),
+    jargon_terms: [...new Set(words.filter(word => JARGON[language].includes(word)))].slice(0, 10),
+    grade: round(Math.max(0, grade))
+  };
+}
+
+function describeDifficulty(stats, language) {
+  const reasons = [];
+  if (stats.avg_sentence_length > LONG_SENTENCE_WORDS[language]) {
+    reasons.push(`long sentences (${stats.avg_sentence_length} words avg)`);
+  }
+  if (stats.syllables_per_word > AVERAGE_SYLLABLES[language] + 0.3) {
+    reasons.push(`long words (${stats.syllables_per_word} syllables/word)`);
+  }
+  if (stats.passive_pct > 0) reasons.push(`${stats.passive_pct}% passive`);
+  if (stats.jargon_terms.length > 0) reasons.push(`jargon: ${stats.jargon_terms.join(', ')}`);
+  return reasons.join(', ') || `grade ${stats.grade}`;
+}
+
+function splitSentences(text) {
+  const sentences = [];
+  let current = '';
+
+  text.split(/(?<=[.!?…])\s+/).forEach(part => {
+    current = current ? `${current} ${part}` : part;
+    if (!ABBREVIATIONS.test(current.trim())) {
+      sentences.push(current);
+      current = '';
+    }
+  });
+  if (current) sentences.push(current);
+
+  return sentences;
+}
+
+function tokenize(text) {
+  return (text.toLowerCase().match(/\p{L}[\p{L}'’-]*/gu) || []);
+}
+
+function countSyllables(word, language) {
+  const groups = word.match(/[aeiouy]+/g) || [];
+  if (language === 'id') {
+    // Indonesian: every vowel is a syllable except the diphthongs ai, au, oi, ei
+    const vowels = (word.match(/[aiueo]/g) || []).length;
+    const diphthongs = (word.match(/a[iu]|oi|ei/g) || []).length;
+    return Math.max(1, vowels - diphthongs);
+  }
+  let count = groups.length;
+  if (word.length > 3 && /[^aeiou]e$/.test(word) && !/le$/.test(word)) count--;
+  return Math.max(1, count);
+}
+
+function isPassive(words, language) {
+  if (language === 'id') {
+    return words.some(word => /^di[a-z]{3,}/.test(word) && !ID_NON_PASSIVE.has(word));
+  }
+  return words.some((word, i) => {
+    if (!BE_VERBS.test(word)) return false;
+    // Allow one adverb between the auxiliary and the participle ("is quickly built")
+    const candidates = [words[i + 1], /ly$/.test(words[i + 1] || '') ? words[i + 2] : null];
+    return candidates.some(next => next && (/[a-z]{2,}ed$/.test(next) || IRREGULAR_PARTICIPLES.has(next)));
+  });
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function percentage(count, total) {
+  return Math.round(count / total * 100);
+}
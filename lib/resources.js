@@ -0,0 +1,251 @@
+import { locateElement, USER_AGENT } from './crawler.js';
+import { matchesMedia } from './css.js';
+import { safeFetch } from './network.js';
+
+/**
+ * Subresource inventory for the offline performance estimate
+ * Scripts, stylesheets, web fonts and iframes with their render-blocking status
+ * and, when HEAD requests are allowed, transfer sizes (images: lib/images.js)
+ */
+
+// Resources sized with HEAD requests, render-blocking ones first
+const MAX_SIZE_CHECKS = 20;
+const FONT_FORMATS = { woff2: 'woff2', woff: 'woff', ttf: 'truetype', otf: 'opentype', eot: 'embedded-opentype' };
+// font-display values that show fallback text while the font loads
+const SWAP_FONT_DISPLAYS = ['swap', 'optional', 'fallback'];
+
+/**
+ * Inventory every script, stylesheet, web font and iframe
+ * @param {Object} options - { baseUrl, stylesheets: { [absoluteHref]: cssText } }
+ * @returns {Object} { items: [{ type, url, blocking, bytes, locator, ... }], scripts, stylesheets, fonts,
+ *   iframes, inline_script_bytes, blocking_scripts, blocking_stylesheets, blocking_locators }
+ */
+export function extractResources($, { baseUrl = '', stylesheets = {} } = {}) {
+  const items = [];
+
+  $('script[src]').each((i, el) => {
+    const $el = $(el);
+    const isModule = ($el.attr('type') || '').toLowerCase() === 'module';
+    items.push({
+      type: 'script',
+      url: resolveURL($el.attr('src'), baseUrl),
+      // Classic scripts in <head> stop parsing until downloaded & run
+      blocking: $el.closest('head').length > 0 && !$el.is('[async], [defer]') && !isModule,
+      loading: $el.is('[async]') ? 'async' : $el.is('[defer]') || isModule ? 'defer' : 'sync',
+      bytes: null,
+      locator: locateElement($, el)
+    });
+  });
+
+  $('link[rel~="stylesheet"]').each((i, el) => {
+    const $el = $(el);
+    const url = resolveURL($el.attr('href'), baseUrl);
+    // Print-only or non-matching media queries don't hold up rendering
+    const applies = !$el.is('[disabled]') && matchesMedia($el.attr('media'));
+    items.push({
+      type: 'stylesheet',
+      url,
+      blocking: $el.closest('head').length > 0 && applies,
+      loading: applies ? 'sync' : 'media',
+      // Fetched stylesheets (or ones bundled in an upload) already have a known size
+      bytes: url && stylesheets[url] !== undefined ? stylesheets[url].length : null,
+      locator: locateElement($, el)
+    });
+  });
+
+  collectFonts($, baseUrl, stylesheets).forEach(font => items.push(font));
+
+  $('iframe').each((i, el) => {
+    const $el = $(el);
+    items.push({
+      type: 'iframe',
+      url: resolveURL($el.attr('src'), baseUrl),
+      blocking: false,
+      loading: ($el.attr('loading') || '').toLowerCase() === 'lazy' ? 'lazy' : 'eager',
+      has_dimensions: Boolean($el.attr('width') && $el.attr('height')),
+      bytes: null,
+      locator: locateElement($, el)
+    });
+  });
+
+  const blocking = items.filter(item => item.blocking);
+  const count = (type) => items.filter(item => item.type === type).length;
+
+  return {
+    items,
+    scripts: count('script'),
+    stylesheets: count('stylesheet'),
+    fonts: count('font'),
+    iframes: count('iframe'),
+    inline_script_bytes: $('script:not([src])')
+      .filter((i, el) => isJavaScript($(el).attr('type')))
+      .toArray()
+      .reduce((sum, el) => sum + $(el).text().length, 0),
+    blocking_scripts: blocking.filter(item => item.type === 'script').length,
+    blocking_stylesheets: blocking.filter(item => item.type === 'stylesheet').length,
+    blocking_locators: blocking.map(item => item.locator)
+  };
+}
+
+/**
+ * Look up transfer sizes with HEAD requests (first MAX_SIZE_CHECKS resources,
+ * render-blocking first; iframes are whole documents and stay unsized)
+ * Failures and missing Content-Length keep the size we already had
+ * @returns {Promise<Object>} resources with items[].bytes filled in
+ */
+export async function fetchResourceSizes(resources) {
+  const urls = [...new Set(resources.items
+    .filter(item => item.type !== 'iframe' && item.url && /^https?:/.test(item.url))
+    .sort((a, b) => Number(b.blocking) - Number(a.blocking))
+    .map(item => item.url))]
+    .slice(0, MAX_SIZE_CHECKS);
+
+  const sizes = {};
+  await Promise.all(urls.map(async (url) => {
+    sizes[url] = await fetchResourceSize(url);
+  }));
+
+  return {
+    ...resources,
+    items: resources.items.map(item => {
+      const bytes = sizes[item.url];
+      return bytes === null || bytes === undefined ? item : { ...item, bytes };
+    })
+  };
+}
+
+/**
+ * Known byte totals & counts for the performance estimate and score details
+ * Unsized resources are counted, and their bytes left out of the known weight
+ * @returns {Object} { html_bytes, script_bytes, inline_script_bytes, stylesheet_bytes, font_bytes, image_bytes,
+ *   page_weight_bytes, sized, unsized, request_count, scripts, stylesheets, fonts, images, iframes,
+ *   blocking_scripts, blocking_stylesheets, blocking_resources }
+ */
+export function summarizeResources(data) {
+  const resources = data.resources || { items: [], inline_script_bytes: 0 };
+  const response = data.response;
+  const sized = [...resources.items.filter(item => item.type !== 'iframe'), ...data.images.filter(img => img.url)];
+  const bytesOf = (type) => resources.items
+    .filter(item => item.type === type && item.bytes !== null)
+    .reduce((sum, item) => sum + item.bytes, 0);
+
+  // Prefer what actually travelled over the wire
+  const htmlBytes = response ? (response.transfer_bytes || response.body_bytes) : data.text_stats.html_length;
+  // data: URI images are already part of the HTML
+  const imageBytes = data.images.filter(img => img.url && img.bytes !== null).reduce((sum, img) => sum + img.bytes, 0);
+  const summary = {
+    html_bytes: htmlBytes,
+    script_bytes: bytesOf('script'),
+    inline_script_bytes: resources.inline_script_bytes || 0,
+    stylesheet_bytes: bytesOf('stylesheet'),
+    font_bytes: bytesOf('font'),
+    image_bytes: imageBytes,
+    sized: sized.filter(item => item.bytes !== null).length,
+    unsized: sized.filter(item => item.bytes === null).length,
+    request_count: 1 + resources.items.length + data.images.filter(img => img.url).length,
+    scripts: resources.items.filter(item => item.type === 'script').length,
+    stylesheets: resources.items.filter(item => item.type === 'stylesheet').length,
+    fonts: resources.items.filter(item => item.type === 'font').length,
+    images: data.images.length,
+    iframes: resources.items.filter(item => item.type === 'iframe').length,
+    blocking_scripts: resources.blocking_scripts || 0,
+    blocking_stylesheets: resources.blocking_stylesheets || 0
+  };
+  summary.page_weight_bytes = summary.html_bytes + summary.script_bytes + summary.stylesheet_bytes +
+    summary.font_bytes + summary.image_bytes;
+  summary.blocking_resources = summary.blocking_scripts + summary.blocking_stylesheets;
+
+  return summary;
+}
+
+/**
+ * Web fonts from <link rel="preload" as="font"> and @font-face rules
+ * (inline <style> and fetched stylesheets), one entry per font file
+ */
+function collectFonts($, baseUrl, stylesheets) {
+  const fonts = [];
+  const seen = new Set();
+  const add = (font) => {
+    if (!font.url || seen.has(font.url)) return;
+    seen.add(font.url);
+    fonts.push(font);
+  };
+
+  const sheets = [
+    ...$('style').map((i, el) => ({ css: $(el).html() || '', base: baseUrl })).get(),
+    ...Object.entries(stylesheets).map(([href, css]) => ({ css, base: href }))
+  ];
+  const declared = {};
+  sheets.forEach(({ css, base }) => {
+    (css.match(/@font-face\s*\{[^}]*\}/gi) || []).forEach(rule => {
+      const display = (rule.match(/font-display\s*:\s*([\w-]+)/i) || [])[1];
+      // Browsers download the first src they support; woff2 is listed first on modern sites
+      const src = (rule.match(/url\(\s*['"]?([^'")]+)['"]?\s*\)/i) || [])[1];
+      const url = src && !src.startsWith('data:') ? resolveURL(src, base) : null;
+      if (url) declared[url] = display ? display.toLowerCase() : null;
+    });
+  });
+
+  $('link[rel~="preload"][as="font"]').each((i, el) => {
+    const url = resolveURL($(el).attr('href'), baseUrl);
+    add(fontItem(url, declared[url], true, locateElement($, el)));
+  });
+  Object.entries(declared).forEach(([url, display]) => add(fontItem(url, display, false, null)));
+
+  return fonts;
+}
+
+function fontItem(url, display, preloaded, locator) {
+  const extension = ((url || '').split(/[?#]/)[0].match(/\.(\w+)$/) || [])[1];
+  return {
+    type: 'font',
+    url,
+    blocking: false,
+    loading: preloaded ? 'preload' : 'css',
+    format: FONT_FORMATS[(extension || '').toLowerCase()] || null,
+    font_display: display || null,
+    // Without swap/optional/fallback text stays invisible until the font arrives
+    hides_text: !SWAP_FONT_DISPLAYS.includes(display),
+    bytes: null,
+    locator
+  };
+}
+
+async function fetchResourceSize(url) {
+  try {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 4000);
+
+    const response = await safeFetch(url, {
+      method: 'HEAD',
+      signal: controller.signal,
+      headers: {
+        'User-Agent': USER_AGENT
+      }
+    });
+
+    clearTimeout(timeoutId);
+
+    if (!response.ok) return null;
+
+    const length = parseInt(response.headers.get('content-length'), 10);
+    return isNaN(length) ? null : length;
+  } catch (error) {
+    console.log(`⚠️  Resource size not checked (${url}):`, error.message);
+    return null;
+  }
+}
+
+function isJavaScript(type) {
+  const value = (type || '').trim().toLowerCase();
+  return !value || value === 'module' || /^(text|application)\/(x-)?(java|ecma)script$/.test(value);
+}
+
+function resolveURL(href, baseUrl) {
+  if (!href || href.startsWith('data:')) return null;
+  try {
+    return new URL(href, baseUrl || undefined).toString();
+  } catch {
+    return null;
+  }
+}
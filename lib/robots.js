@@ -0,0 +1,197 @@
+import { USER_AGENT } from './crawler.js';
+import { safeFetch } from './network.js';
+
+/**
+ * robots.txt support (RFC 9309)
+ * Fetches, parses and caches robots.txt per origin and answers
+ * "may UXAuditorBot fetch this URL?" plus Crawl-delay and Sitemap lines
+ */
+
+export const ROBOTS_AGENT = 'uxauditorbot';
+
+const CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour
+const MAX_ROBOTS_LENGTH = 500000; // RFC 9309 asks parsers to handle at least 500 KiB
+const MAX_CRAWL_DELAY_SECONDS = 30;
+
+const robotsCache = new Map();
+
+/**
+ * Check whether our agent may fetch a URL
+ * @returns {Promise<Object>} { allowed, reason, rule, crawlDelay }
+ */
+export async function checkRobots(url) {
+  const urlObj = new URL(url);
+  const robots = await getRobots(urlObj.origin);
+
+  if (robots.disallowAll) {
+    return { allowed: false, reason: robots.reason, rule: null, crawlDelay: robots.crawlDelay };
+  }
+
+  const path = urlObj.pathname + urlObj.search;
+  const match = findMatchingRule(robots.rules, path);
+
+  return {
+    allowed: !match || match.type === 'allow',
+    reason: match && match.type === 'disallow' ? `Disallow: ${match.path}` : null,
+    rule: match,
+    crawlDelay: robots.crawlDelay
+  };
+}
+
+/**
+ * Parsed robots.txt for an origin (cached)
+ * Returns { rules, crawlDelay, sitemaps, disallowAll, reason }
+ */
+export async function getRobots(origin) {
+  const cached = robotsCache.get(origin);
+  if (cached && cached.expires > Date.now()) {
+    return cached.robots;
+  }
+
+  const robots = await fetchRobots(origin);
+  robotsCache.set(origin, { robots, expires: Date.now() + CACHE_TTL_MS });
+
+  return robots;
+}
+
+/**
+ * Download robots.txt; status handling follows RFC 9309:
+ * 4xx = no restrictions, 5xx = assume everything is disallowed
+ */
+async function fetchRobots(origin) {
+  const allowAll = { rules: [], crawlDelay: null, sitemaps: [], disallowAll: false, reason: null };
+
+  try {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 5000);
+
+    const response = await safeFetch(`${origin}/robots.txt`, {
+      signal: controller.signal,
+      headers: {
+        'User-Agent': USER_AGENT
+      }
+    });
+
+    clearTimeout(timeoutId);
+
+    if (response.status >= 500) {
+      return {
+        ...allowAll,
+        disallowAll: true,
+        reason: `robots.txt unreachable (HTTP ${response.status})`
+      };
+    }
+
+    if (!response.ok) {
+      return allowAll;
+    }
+
+    const text = (await response.text()).substring(0, MAX_ROBOTS_LENGTH);
+    return { ...parseRobots(text), disallowAll: false, reason: null };
+
+  } catch (error) {
+    // Network failure: the page fetch will fail on its own if the site is down
+    console.log(`⚠️  robots.txt not available (${origin}):`, error.message);
+    return allowAll;
+  }
+}
+
+/**
+ * Parse robots.txt and keep the rules that apply to our agent
+ * Groups naming our agent win over "*" groups
+ */
+export function parseRobots(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const colon = line.indexOf(':');
+    if (colon === -1) return;
+
+    const field = line.substring(0, colon).trim().toLowerCase();
+    const value = line.substring(colon + 1).trim();
+
+    if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+      return;
+    }
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+
+    lastWasAgent = false;
+    if (!current) return;
+
+    if (field === 'allow' || field === 'disallow') {
+      // Empty "Disallow:" means nothing is disallowed
+      if (value) current.rules.push({ type: field, path: value });
+    } else if (field === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (!isNaN(delay) && delay >= 0) current.crawlDelay = delay;
+    }
+  });
+
+  const ownGroups = groups.filter(g => g.agents.some(agent => agent !== '*' && ROBOTS_AGENT.startsWith(agent)));
+  const applicable = ownGroups.length > 0 ? ownGroups : groups.filter(g => g.agents.includes('*'));
+
+  const delays = applicable.map(g => g.crawlDelay).filter(d => d !== null);
+
+  return {
+    rules: applicable.flatMap(g => g.rules),
+    crawlDelay: delays.length > 0 ? Math.min(Math.max(...delays), MAX_CRAWL_DELAY_SECONDS) : null,
+    sitemaps
+  };
+}
+
+/**
+ * Longest matching path pattern wins; on a tie, Allow wins
+ */
+function findMatchingRule(rules, path) {
+  let best = null;
+
+  rules.forEach(rule => {
+    if (!patternMatches(rule.path, path)) return;
+
+    const longer = !best || rule.path.length > best.path.length;
+    const tieAllow = best && rule.path.length === best.path.length && rule.type === 'allow';
+    if (longer || tieAllow) {
+      best = rule;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * robots.txt patterns: prefix match with "*" wildcards and "$" end anchor
+ */
+function patternMatches(pattern, path) {
+  const anchored = pattern.endsWith('$');
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+
+  const regex = body
+    .split('*')
+    .map(part => safeDecode(part).replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+  return new RegExp(`^${regex}${anchored ? '$' : ''}`).test(safeDecode(path));
+}
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
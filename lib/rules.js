@@ -0,0 +1,136 @@
+/**
+ * Rule engine behind the category scores
+ * Every check is a registered rule that awards points and says why, so each
+ * category score comes with an itemized ledger of what earned or cost points
+ */
+
+const RULES = [];
+
+// Offending elements kept per ledger entry
+const MAX_LOCATORS = 10;
+
+/**
+ * Register scoring rules for a category (run in registration order)
+ * A rule with an existing id replaces it
+ * @param {string} category - 'content' | 'layout' | 'cta' | 'accessibility' | 'mobile' | 'security' | 'performance'
+ * @param {Array} rules - [{
+ *   id: 'layout.single_h1',
+ *   title: short Indonesian label shown in the UI,
+ *   penalty?: true for deductions (possible 0, negative points),
+ *   evaluate(context) -> { points, possible, evidence, passed?, locators? } | null when not applicable
+ * }]
+ * locators: the offending elements ({ selector, snippet, line } from locateElement in lib/crawler.js)
+ * context: { data, details, points (the profile's points for the category), ...category facts }
+ * Rules may record outcome facts on context.details (e.g. details.single_h1 = true)
+ */
+export function registerRules(category, rules) {
+  rules.forEach(rule => {
+    if (!rule.id || typeof rule.evaluate !== 'function') {
+      throw new Error(`Invalid rule ${rule.id || '(no id)'}: id and evaluate() are required`);
+    }
+
+    const entry = { ...rule, category };
+    const existing = RULES.findIndex(r => r.id === rule.id);
+    if (existing === -1) {
+      RULES.push(entry);
+    } else {
+      RULES[existing] = entry;
+    }
+  });
+}
+
+/**
+ * Run a category's rules against one page
+ * Rules a profile switches off (0 possible points, not a penalty) stay out of the ledger
+ * @returns {Object} { score: 0-100, ledger: { category, score, earned, possible, rules: [entry] } }
+ *   entry: { id, category, title, points, possible, passed, penalty, evidence, locators }
+ */
+export function runRules(category, context) {
+  const entries = [];
+
+  RULES.filter(rule => rule.category === category).forEach(rule => {
+    const result = rule.evaluate(context);
+    if (!result) return;
+    if (!rule.penalty && result.possible === 0 && result.points === 0) return;
+
+    entries.push({
+      id: rule.id,
+      category,
+      title: rule.title,
+      points: result.points,
+      possible: result.possible,
+      passed: result.passed ?? result.points >= result.possible,
+      penalty: Boolean(rule.penalty),
+      evidence: result.evidence || '',
+      locators: collectLocators(result.locators)
+    });
+  });
+
+  return buildLedger(category, entries);
+}
+
+/**
+ * Blend another 0-100 score into a runRules() result at the given weight
+ * (existing entries are scaled down so the ledger still adds up to the score)
+ * @param {Object} entry - { id, title, score, evidence, locators? }
+ * @returns {Object} { score, ledger }
+ */
+export function blendIntoLedger(result, weight, entry) {
+  const scaled = result.ledger.rules.map(rule => ({
+    ...rule,
+    points: round(rule.points * (1 - weight)),
+    possible: round(rule.possible * (1 - weight))
+  }));
+
+  scaled.push({
+    id: entry.id,
+    category: result.ledger.category,
+    title: entry.title,
+    points: round(entry.score * weight),
+    possible: round(100 * weight),
+    passed: entry.score >= 100,
+    penalty: false,
+    evidence: entry.evidence || '',
+    locators: collectLocators(entry.locators)
+  });
+
+  // The blend applies to the clamped score, like a weighted average of the two scores
+  const score = Math.round(result.score * (1 - weight) + entry.score * weight);
+  return buildLedger(result.ledger.category, scaled, score);
+}
+
+/**
+ * Drop missing and repeated locators (one element can fail several checks), keep the first few
+ * @returns {Array} [{ selector, snippet, line }]
+ */
+export function collectLocators(locators = [], max = MAX_LOCATORS) {
+  const seen = new Set();
+  return locators.filter(locator => {
+    if (!locator) return false;
+    const key = `${locator.selector}@${locator.line}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  }).slice(0, max);
+}
+
+/**
+ * Sum the entries; the score is clamped to 0-100, so earned can differ from it
+ * when penalties push a category below zero
+ */
+function buildLedger(category, entries, score = null) {
+  const earned = round(entries.reduce((sum, entry) => sum + entry.points, 0));
+  const possible = round(entries.reduce((sum, entry) => sum + entry.possible, 0));
+  if (score === null) {
+    score = Math.max(0, Math.min(100, Math.round(earned)));
+  }
+
+  return {
+    score,
+    ledger: { category, score, earned, possible, rules: entries }
+  };
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
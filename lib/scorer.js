@@ -1,28 +1,124 @@
-import { hasPlaceholderText, hasActionVerb } from './crawler.js';
+import { hasPlaceholderText, hasActionVerb } from './dictionary.js';
+import { getContrastRatio } from './color.js';
+import { analyzeForms } from './forms.js';
+import { analyzeImages } from './images.js';
+import { analyzeReadability, MAX_JARGON_PCT, MAX_PASSIVE_PCT, TARGET_GRADE } from './readability.js';
+import { getProfile } from './profiles.js';
+import { detectPageType } from './pagetype.js';
+import { blendIntoLedger, collectLocators, registerRules, runRules } from './rules.js';
+import { collectPluginResults, getPluginCategories } from './plugins.js';
+import { estimatePageSpeed, rateMetric, METRIC_THRESHOLDS } from './pagespeed.js';
+import { summarizeResources } from './resources.js';
+
+// Headings longer than this read like paragraphs
+const LONG_HEADING_LENGTH = 120;
+const MAX_HEADING_VIOLATIONS = 20;
+
+// Each redirect is a full round trip before the page starts loading
+export const LONG_REDIRECT_CHAIN = 3;
+
+// HSTS max-age browsers & preload lists expect (180 days)
+const MIN_HSTS_MAX_AGE = 15552000;
+
+// Lighthouse accessibility audits that check the same thing as one of our rules
+const LIGHTHOUSE_ACCESSIBILITY_RULES = {
+  'color-contrast': 'accessibility.contrast',
+  'image-alt': 'accessibility.alt_text',
+  'input-image-alt': 'accessibility.alt_text',
+  'label': 'accessibility.form_labels',
+  'select-name': 'accessibility.form_labels'
+};
+
+// Lighthouse lab metrics, measured by PageSpeed or estimated offline
+const LAB_METRIC_RULES = [
+  { id: 'performance.lcp', metric: 'lcp', key: 'lcp', title: 'Konten utama tampil cepat (LCP ≤ 2,5 dtk)' },
+  { id: 'performance.tbt', metric: 'tbt', key: 'tbt', title: 'Halaman cepat responsif (TBT ≤ 200 ms)' },
+  { id: 'performance.cls', metric: 'cls', key: 'cls', title: 'Tata letak stabil (CLS ≤ 0,1)' },
+  { id: 'performance.fcp', metric: 'fcp', key: 'fcp', title: 'Konten pertama cepat tampil (FCP ≤ 1,8 dtk)' },
+  { id: 'performance.speed_index', metric: 'si', key: 'speed_index', title: 'Speed Index ≤ 3,4 dtk' }
+];
+
+// Known page weight above this is slow on mobile connections
+export const HEAVY_PAGE_BYTES = 2.5 * 1024 * 1024;
+// More render-blocking resources than this delay the first paint noticeably
+const MAX_BLOCKING_RESOURCES = 2;
+
+// WCAG 2.1 contrast minimums (1.4.3 AA, 1.4.6 AAA)
+export const WCAG_LEVELS = {
+  AA: { normal: 4.5, large: 3 },
+  AAA: { normal: 7, large: 4.5 }
+};
 
 /**
  * Calculate all UX scores from crawled data
- * Returns: { content, layout, cta, accessibility, total, flags, details }
+ * Options: {
+ *   wcagLevel: 'AA' | 'AAA' (target contrast level, default AA),
+ *   profile: scoring profile id from lib/profiles.js, or 'auto' to detect the page type (default 'default'),
+ *   pageSpeed: getCombinedPageSpeedScore() result; without it the lab metrics are estimated offline (estimatePageSpeed)
+ * }
+ * Returns: { scores: { content, layout, cta, accessibility, mobile, security, performance, ...plugin categories, total }, profile, ledger, flags, details }
+ * ledger has one entry per category: every rule's points, pass/fail and evidence (lib/rules.js)
+ * Plugin rules (lib/plugins.js) add their flags, and details.plugins lists the ones that failed
+ * security is null when there are no response headers (offline uploads)
+ * An estimated performance score counts for only part of its weight in the total
  */
-export function calculateScores(data) {
-  const content = calculateContentScore(data);
-  const layout = calculateLayoutScore(data);
-  const cta = calculateCTAScore(data);
-  const accessibility = calculateAccessibilityScore(data);
-  
-  // Total score (weighted average)
-  // C=30%, L=25%, A=25%, R=20% (no Performance yet)
-  const total = Math.round(
-    (content.score * 0.30) +
-    (layout.score * 0.25) +
-    (cta.score * 0.25) +
-    (accessibility.score * 0.20)
-  );
+export function calculateScores(data, options = {}) {
+  const wcagLevel = Object.hasOwn(WCAG_LEVELS, options.wcagLevel) ? options.wcagLevel : 'AA';
+  const { profile, detection } = resolveProfile(data, options.profile);
+  const points = profile.points;
+  
+  const content = calculateContentScore(data, points.content);
+  const layout = calculateLayoutScore(data, points.layout);
+  const forms = analyzeForms(data.forms);
+  const images = analyzeImages(data.images);
+  const cta = calculateCTAScore(data, forms, points.cta);
+  const lighthouse = options.pageSpeed?.mobile || options.pageSpeed?.desktop || null;
+  const accessibility = calculateAccessibilityScore(data, wcagLevel, points.accessibility, lighthouse?.audits?.accessibility || []);
+  const mobile = calculateMobileScore(data, points.mobile);
+  const security = calculateSecurityScore(data, points.security);
+  const performance = calculatePerformanceScore(data, options.pageSpeed, points.performance);
+  const pluginCategories = calculatePluginCategoryScores(data);
+  const response = summarizeResponse(data.response);
+  
+  const categoryScores = {
+    content: content.score,
+    layout: layout.score,
+    cta: cta.score,
+    accessibility: accessibility.score,
+    mobile: mobile.score,
+    security: security ? security.score : null,
+    performance: performance.score
+  };
+  const ledger = {
+    content: content.ledger,
+    layout: layout.ledger,
+    cta: cta.ledger,
+    accessibility: accessibility.ledger,
+    mobile: mobile.ledger,
+    security: security ? security.ledger : null,
+    performance: performance.ledger
+  };
+  Object.entries(pluginCategories).forEach(([category, result]) => {
+    categoryScores[category] = result ? result.score : null;
+    ledger[category] = result ? result.ledger : null;
+  });
+  
+  // Plugin categories bring their own weight unless the profile sets one
+  const weights = { ...pluginCategoryWeights(), ...profile.weights };
+  if (performance.details.estimated) {
+    weights.performance = Math.round(weights.performance * points.performance.estimated_weight * 1000) / 1000;
+  }
+  
+  // Total score (weighted average over available categories)
+  const total = calculateWeightedTotal(weights, categoryScores);
+  const plugins = collectPluginResults(ledger);
   
   // Collect flags for AI analysis
   const flags = {
     multiple_h1: data.headings.h1.length > 1,
     no_h1: data.headings.h1.length === 0,
+    heading_level_skipped: layout.details.skipped_heading_levels > 0,
+    misused_headings: layout.details.misused_headings > 0,
     low_contrast: accessibility.details.low_contrast_count > 0,
     no_primary_cta: cta.details.primary_cta_count === 0,
     low_text_ratio: parseFloat(data.text_stats.text_ratio) < 10,
@@ -30,418 +126,1483 @@ export function calculateScores(data) {
     missing_alt_text: accessibility.details.missing_alt_percentage > 50,
     too_many_ctas: cta.details.primary_cta_count > 5,
     small_font: data.css_summary.body_font_size_px < 14,
-    no_meta_description: !data.meta_description
+    no_meta_description: !data.meta_description,
+    hard_to_read: content.readability !== null && content.readability.grade > TARGET_GRADE + 4,
+    passive_voice_heavy: content.readability !== null && content.readability.passive_pct > MAX_PASSIVE_PCT,
+    jargon_heavy: content.readability !== null && content.readability.jargon_pct > MAX_JARGON_PCT,
+    long_redirect_chain: response !== null && response.redirect_count >= LONG_REDIRECT_CHAIN,
+    https_downgrade: response !== null && response.https_downgrades.length > 0,
+    not_https: security !== null && !security.details.is_https,
+    missing_hsts: security !== null && security.details.is_https && !security.details.hsts_present,
+    missing_csp: security !== null && !security.details.csp_enforced,
+    clickjacking_unprotected: security !== null && !security.details.clickjacking_protected,
+    missing_referrer_policy: security !== null && !security.details.referrer_policy,
+    missing_permissions_policy: security !== null && !security.details.permissions_policy,
+    mixed_content: security !== null && security.details.mixed_content_count > 0,
+    poor_form_usability: forms !== null && forms.score < 70,
+    placeholder_as_label: forms !== null && Boolean(forms.check_counts.placeholder_as_label),
+    wrong_input_types: forms !== null && Boolean(forms.check_counts.input_type),
+    paste_blocked: forms !== null && Boolean(forms.check_counts.paste_blocked),
+    no_viewport: !mobile.details.viewport_present,
+    zoom_disabled: mobile.details.zoom_disabled,
+    fixed_width_layout: mobile.details.fixed_width_count > 0 || mobile.details.viewport_fixed_width !== null,
+    non_responsive_images: mobile.details.non_responsive_image_count > 0,
+    tiny_fonts: mobile.details.tiny_font_count > 0,
+    image_cls_risk: images !== null && Boolean(images.check_counts.missing_dimensions),
+    missing_lazy_loading: images !== null && Boolean(images.check_counts.missing_lazy_loading),
+    legacy_image_formats: images !== null && Boolean(images.check_counts.legacy_format),
+    heavy_hero_image: images !== null && Boolean(images.check_counts.heavy_hero),
+    poor_performance: performance.score < 50,
+    slow_lcp: performance.details.ratings.lcp === 'poor',
+    high_tbt: performance.details.ratings.tbt === 'poor',
+    layout_shift: performance.details.ratings.cls === 'poor',
+    core_web_vitals_failed: Object.values(performance.details.core_web_vitals).some(verdict => verdict && !verdict.passed),
+    heavy_page: performance.details.page_weight_bytes > HEAVY_PAGE_BYTES,
+    render_blocking_resources: performance.details.blocking_resources > MAX_BLOCKING_RESOURCES,
+    ...plugins.flags
   };
   
   return {
     scores: {
-      content: content.score,
-      layout: layout.score,
-      cta: cta.score,
-      accessibility: accessibility.score,
+      ...categoryScores,
       total
     },
+    profile: {
+      id: profile.id,
+      name: profile.name,
+      weights,
+      // Detection result when profile 'auto' was requested, else null
+      detection
+    },
+    ledger,
     flags,
     details: {
       content: content.details,
       layout: layout.details,
       cta: cta.details,
-      accessibility: accessibility.details
+      accessibility: accessibility.details,
+      mobile: mobile.details,
+      security: security ? security.details : null,
+      performance: performance.details,
+      readability: content.readability,
+      forms,
+      images,
+      plugins: plugins.findings,
+      response
     }
   };
 }
 
 /**
- * Content Clarity Score (0-100)
+ * Scoring profile by id; 'auto' picks one from the detected page type
+ * Unknown ids fall back to the default profile
  */
-function calculateContentScore(data) {
-  let score = 0;
-  const details = {};
+function resolveProfile(data, requested = 'default') {
+  if (requested === 'auto') {
+    const detection = detectPageType(data);
+    return { profile: getProfile(detection.type) || getProfile('default'), detection };
+  }
   
-  // 1. H1 presence & quality (max 40 points)
-  const h1 = data.headings.h1[0] || '';
-  if (h1.length > 0) {
-    score += 20;
-    details.has_h1 = true;
-    
-    // Length check
-    if (h1.length <= 90) {
-      score += 10;
-      details.h1_length_good = true;
-    } else if (h1.length <= 120) {
-      score += 5;
+  return { profile: getProfile(requested) || getProfile('default'), detection: null };
+}
+
+/**
+ * Categories added by plugins, scored as the share of their rules' points
+ * null when none of the category's rules apply to the page
+ */
+function calculatePluginCategoryScores(data) {
+  const results = {};
+  
+  Object.entries(getPluginCategories()).forEach(([category, { title }]) => {
+    const { ledger } = runRules(category, { data, details: {}, points: {} });
+    if (ledger.possible === 0) {
+      results[category] = null;
+      return;
     }
     
-    // Action verb check
-    if (hasActionVerb(h1)) {
-      score += 10;
-      details.h1_has_action = true;
-    }
-  } else {
-    details.has_h1 = false;
-  }
+    const score = Math.max(0, Math.min(100, Math.round(ledger.earned / ledger.possible * 100)));
+    results[category] = { score, ledger: { ...ledger, title, score } };
+  });
   
-  // 2. Meta description (max 15 points)
-  if (data.meta_description) {
-    score += 10;
-    const len = data.meta_description.length;
-    if (len >= 50 && len <= 160) {
-      score += 5;
-      details.meta_description_optimal = true;
-    }
-  }
+  return results;
+}
+
+function pluginCategoryWeights() {
+  return Object.fromEntries(Object.entries(getPluginCategories()).map(([category, { weight }]) => [category, weight]));
+}
+
+/**
+ * Weighted average of the non-null category scores
+ */
+function calculateWeightedTotal(weights, scores) {
+  let weightedSum = 0;
+  let weightSum = 0;
   
-  // 3. Text ratio (max 10 points)
-  const textRatio = parseFloat(data.text_stats.text_ratio);
-  if (textRatio >= 15) {
-    score += 10;
-    details.good_text_ratio = true;
-  } else if (textRatio >= 5) {
-    score += 5;
-  }
+  Object.entries(weights).forEach(([category, weight]) => {
+    if (scores[category] === null || scores[category] === undefined) return;
+    weightedSum += scores[category] * weight;
+    weightSum += weight;
+  });
+  
+  return weightSum > 0 ? Math.round(weightedSum / weightSum) : 0;
+}
+
+/**
+ * Redirect facts for flags & AI context (null for offline uploads)
+ */
+function summarizeResponse(response) {
+  if (!response) return null;
+  
+  return {
+    final_url: response.final_url,
+    redirect_count: response.redirect_count,
+    redirect_chain: response.redirects.map(r => `${r.status} ${r.url}`),
+    https_downgrades: response.https_downgrades,
+    response_ms: response.timing.response_ms
+  };
+}
+
+/**
+ * Content Clarity Score (0-100)
+ * points: the profile's content points (see lib/profiles.js)
+ */
+function calculateContentScore(data, points) {
+  const details = {};
+  const h1 = data.headings.h1[0] || '';
+  details.has_h1 = h1.length > 0;
   
-  // 4. Placeholder detection (penalty -10)
   const allText = [
     data.title,
     data.meta_description,
     ...data.headings.h1,
     ...data.paragraphs.slice(0, 5)
   ].join(' ');
+  details.has_placeholder = hasPlaceholderText(allText, data.lang);
   
-  details.has_placeholder = hasPlaceholderText(allText);
-  if (details.has_placeholder) {
-    score -= 10;
-  }
+  // Placeholder copy in the H1 or first paragraphs can be pointed at
+  const placeholderLocators = !details.has_placeholder ? [] : [
+    ...headingsAt(data, 1).filter(heading => hasPlaceholderText(heading.text, data.lang)).map(heading => heading.locator),
+    ...data.paragraphs.slice(0, 5)
+      .map((paragraph, index) => hasPlaceholderText(paragraph, data.lang) ? paragraphLocator(data, index) : null)
+  ];
   
-  // 5. Paragraph count (max 10 points)
-  const paraCount = data.paragraphs.length;
-  if (paraCount >= 2 && paraCount <= 10) {
-    score += 10;
-    details.good_paragraph_count = true;
-  } else if (paraCount === 1 || paraCount > 20) {
-    score += 0;
+  // Neutral when the language isn't id/en or copy is too short
+  const readability = analyzeReadability(data.paragraphs, data.lang);
+  if (readability) {
+    details.readability_grade = readability.grade;
+    details.language = readability.language;
   } else {
-    score += 5;
+    details.readability_not_measured = true;
   }
   
-  // 6. Title check (max 15 points)
-  if (data.title) {
-    score += 10;
-    if (data.title.length <= 70) {
-      score += 5;
-      details.title_length_good = true;
-    }
-  }
+  const h1Locator = (headingsAt(data, 1)[0] || {}).locator;
+  const { score, ledger } = runRules('content', { data, details, points, h1, h1Locator, readability, placeholderLocators });
   
   return {
-    score: Math.max(0, Math.min(100, score)),
-    details
+    score,
+    details,
+    ledger,
+    readability
   };
 }
 
+registerRules('content', [
+  // 1. H1 presence & quality (max 40 points)
+  {
+    id: 'content.h1',
+    title: 'Halaman punya H1',
+    evaluate: ({ h1, points }) => ({
+      points: h1 ? points.h1 : 0,
+      possible: points.h1,
+      evidence: h1 ? `H1: "${truncate(h1, 60)}"` : 'Tidak ada <h1> di halaman'
+    })
+  },
+  {
+    id: 'content.h1_length',
+    title: 'H1 ringkas (≤ 90 karakter)',
+    evaluate: ({ h1, h1Locator, details, points }) => {
+      if (!h1) return { points: 0, possible: points.h1_length, evidence: 'Tidak ada <h1> di halaman' };
+      
+      let awarded = 0;
+      if (h1.length <= 90) {
+        awarded = points.h1_length;
+        details.h1_length_good = true;
+      } else if (h1.length <= 120) {
+        awarded = points.h1_length_partial;
+      }
+      return {
+        points: awarded,
+        possible: points.h1_length,
+        evidence: `H1 ${h1.length} karakter`,
+        locators: details.h1_length_good ? [] : [h1Locator]
+      };
+    }
+  },
+  {
+    id: 'content.h1_action',
+    title: 'H1 memakai kata kerja aksi',
+    evaluate: ({ data, h1, h1Locator, details, points }) => {
+      const hasAction = Boolean(h1) && hasActionVerb(h1, data.lang);
+      if (hasAction) details.h1_has_action = true;
+      return {
+        points: hasAction ? points.h1_action : 0,
+        possible: points.h1_action,
+        evidence: !h1 ? 'Tidak ada <h1> di halaman' : hasAction ? 'H1 berisi kata kerja aksi' : `Tidak ada kata kerja aksi di "${truncate(h1, 60)}"`,
+        locators: h1 && !hasAction ? [h1Locator] : []
+      };
+    }
+  },
+  
+  // 2. Meta description (max 15 points)
+  {
+    id: 'content.meta_description',
+    title: 'Ada meta description',
+    evaluate: ({ data, points }) => ({
+      points: data.meta_description ? points.meta_description : 0,
+      possible: points.meta_description,
+      evidence: data.meta_description ? `"${truncate(data.meta_description, 80)}"` : 'Tidak ada <meta name="description">'
+    })
+  },
+  {
+    id: 'content.meta_description_length',
+    title: 'Meta description 50-160 karakter',
+    evaluate: ({ data, details, points }) => {
+      const len = data.meta_description.length;
+      const optimal = len >= 50 && len <= 160;
+      if (optimal) details.meta_description_optimal = true;
+      return {
+        points: optimal ? points.meta_description_length : 0,
+        possible: points.meta_description_length,
+        evidence: data.meta_description ? `Meta description ${len} karakter` : 'Tidak ada <meta name="description">'
+      };
+    }
+  },
+  
+  // 3. Text ratio (max 10 points)
+  {
+    id: 'content.text_ratio',
+    title: 'Rasio teks ≥ 15% dari HTML',
+    evaluate: ({ data, details, points }) => {
+      const textRatio = parseFloat(data.text_stats.text_ratio);
+      let awarded = 0;
+      if (textRatio >= 15) {
+        awarded = points.text_ratio;
+        details.good_text_ratio = true;
+      } else if (textRatio >= 5) {
+        awarded = points.text_ratio_partial;
+      }
+      return { points: awarded, possible: points.text_ratio, evidence: `Teks ${data.text_stats.text_ratio}% dari HTML` };
+    }
+  },
+  
+  // 4. Placeholder detection (penalty -10)
+  {
+    id: 'content.placeholder',
+    title: 'Tanpa teks placeholder',
+    penalty: true,
+    evaluate: ({ details, points, placeholderLocators }) => ({
+      points: details.has_placeholder ? -points.placeholder_penalty : 0,
+      possible: 0,
+      evidence: details.has_placeholder
+        ? 'Teks placeholder (lorem ipsum, "your title here"...) di title, meta description, H1 atau paragraf awal'
+        : 'Tidak ada teks placeholder',
+      locators: placeholderLocators
+    })
+  },
+  
+  // 5. Paragraph count (max 10 points)
+  {
+    id: 'content.paragraphs',
+    title: 'Jumlah paragraf sesuai jenis halaman',
+    evaluate: ({ data, details, points }) => {
+      const paraCount = data.paragraphs.length;
+      let awarded = points.paragraphs_partial;
+      if (inRange(paraCount, points.ideal_paragraphs)) {
+        awarded = points.paragraphs;
+        details.good_paragraph_count = true;
+      } else if (paraCount === 1 || paraCount > points.max_paragraphs) {
+        awarded = 0;
+      }
+      const [min, max] = points.ideal_paragraphs;
+      return { points: awarded, possible: points.paragraphs, evidence: `${paraCount} paragraf (ideal ${min}-${max})` };
+    }
+  },
+  
+  // 6. Title check (max 15 points)
+  {
+    id: 'content.title',
+    title: 'Ada <title>',
+    evaluate: ({ data, points }) => ({
+      points: data.title ? points.title : 0,
+      possible: points.title,
+      evidence: data.title ? `Title: "${truncate(data.title, 70)}"` : 'Tidak ada <title>'
+    })
+  },
+  {
+    id: 'content.title_length',
+    title: 'Title ≤ 70 karakter',
+    evaluate: ({ data, details, points }) => {
+      const good = Boolean(data.title) && data.title.length <= 70;
+      if (good) details.title_length_good = true;
+      return {
+        points: good ? points.title_length : 0,
+        possible: points.title_length,
+        evidence: data.title ? `Title ${data.title.length} karakter` : 'Tidak ada <title>'
+      };
+    }
+  },
+  
+  // 7. Readability (max 10 points), neutral when it can't be measured
+  {
+    id: 'content.readability_grade',
+    title: `Keterbacaan (grade ≤ ${TARGET_GRADE})`,
+    evaluate: ({ data, readability, details, points }) => {
+      if (!readability) {
+        return {
+          points: points.readability_not_measured,
+          possible: points.readability_grade + points.passive_voice + points.jargon,
+          evidence: 'Tidak diukur (bahasa bukan id/en atau teks di bawah 40 kata), skor netral'
+        };
+      }
+      
+      let awarded = 0;
+      if (readability.grade <= TARGET_GRADE) {
+        awarded = points.readability_grade;
+        details.readable = true;
+      } else if (readability.grade <= TARGET_GRADE + 2) {
+        awarded = points.readability_grade_near;
+      } else if (readability.grade <= TARGET_GRADE + 4) {
+        awarded = points.readability_grade_far;
+      }
+      return {
+        points: awarded,
+        possible: points.readability_grade,
+        evidence: `Grade ${readability.grade} (${readability.language})`,
+        locators: details.readable ? [] : readability.hardest_paragraphs.map(paragraph => paragraphLocator(data, paragraph.index))
+      };
+    }
+  },
+  {
+    id: 'content.passive_voice',
+    title: `Kalimat pasif ≤ ${MAX_PASSIVE_PCT}%`,
+    evaluate: ({ readability, points }) => readability && {
+      points: readability.passive_pct <= MAX_PASSIVE_PCT ? points.passive_voice : 0,
+      possible: points.passive_voice,
+      evidence: `${readability.passive_pct}% kalimat pasif`
+    }
+  },
+  {
+    id: 'content.jargon',
+    title: `Jargon ≤ ${MAX_JARGON_PCT}% kata`,
+    evaluate: ({ readability, points }) => readability && {
+      points: readability.jargon_pct <= MAX_JARGON_PCT ? points.jargon : 0,
+      possible: points.jargon,
+      evidence: `${readability.jargon_pct}% kata jargon${readability.jargon_terms.length > 0 ? ` (${readability.jargon_terms.join(', ')})` : ''}`
+    }
+  }
+]);
+
 /**
  * Layout & Hierarchy Score (0-100)
  */
-function calculateLayoutScore(data) {
-  let score = 0;
+function calculateLayoutScore(data, points) {
   const details = {};
-  
-  // 1. Heading structure (max 35 points)
   const h1Count = data.headings.h1.length;
-  const h2Count = data.headings.h2.length;
-  const h3Count = data.headings.h3.length;
-  
-  // Exactly one H1
-  if (h1Count === 1) {
-    score += 15;
-    details.single_h1 = true;
-  } else if (h1Count === 0) {
-    score += 0;
-    details.no_h1 = true;
-  } else {
-    score += 5;
-    details.multiple_h1 = true;
-  }
   
-  // Has H2/H3 for structure
-  if (h2Count > 0 || h3Count > 0) {
-    score += 15;
-    details.has_subheadings = true;
-  }
+  // Outline quality: skipped levels, empty / styling-only / overly long headings
+  const headingList = data.headings.all || [];
+  const violations = findHeadingViolations(headingList);
+  const skippedLevels = violations.filter(v => v.type === 'skipped_level').length;
   
-  // No heading jumps (simplified check)
-  if (h1Count > 0 && h2Count > 0) {
-    score += 5;
-    details.proper_hierarchy = true;
-  }
+  details.heading_count = headingList.length;
+  details.skipped_heading_levels = skippedLevels;
+  details.misused_headings = violations.length - skippedLevels;
+  details.heading_violations = violations.slice(0, MAX_HEADING_VIOLATIONS);
+  
+  const ctaElements = [...data.buttons, ...data.links.filter(l => hasActionVerb(l.text, data.lang))];
+  details.total_cta_count = ctaElements.length;
+  
+  const { score, ledger } = runRules('layout', { data, details, points, h1Count, headingList, violations, ctaElements });
+  
+  return {
+    score,
+    details,
+    ledger
+  };
+}
+
+registerRules('layout', [
+  // 1. Heading structure (max 35 points)
+  {
+    id: 'layout.single_h1',
+    title: 'Tepat satu H1',
+    evaluate: ({ data, h1Count, details, points }) => {
+      let awarded = 0;
+      if (h1Count === 1) {
+        awarded = points.single_h1;
+        details.single_h1 = true;
+      } else if (h1Count === 0) {
+        details.no_h1 = true;
+      } else {
+        awarded = points.multiple_h1;
+        details.multiple_h1 = true;
+      }
+      return {
+        points: awarded,
+        possible: points.single_h1,
+        evidence: `${h1Count} elemen <h1>`,
+        locators: h1Count > 1 ? headingsAt(data, 1).map(heading => heading.locator) : []
+      };
+    }
+  },
+  {
+    id: 'layout.subheadings',
+    title: 'Ada subheading (H2-H6)',
+    evaluate: ({ data, headingList, details, points }) => {
+      const subheadings = headingList.filter(h => h.level > 1).length || data.headings.h2.length + data.headings.h3.length;
+      if (subheadings > 0) details.has_subheadings = true;
+      return {
+        points: subheadings > 0 ? points.subheadings : 0,
+        possible: points.subheadings,
+        evidence: `${subheadings} subheading`
+      };
+    }
+  },
+  // No heading jumps (h2 -> h4 etc.)
+  {
+    id: 'layout.hierarchy',
+    title: 'Level heading tidak dilompati',
+    evaluate: ({ h1Count, headingList, violations, details, points }) => {
+      const skipped = violations.filter(v => v.type === 'skipped_level');
+      const proper = h1Count > 0 && skipped.length === 0;
+      if (proper) details.proper_hierarchy = true;
+      return {
+        points: proper ? points.hierarchy : 0,
+        possible: points.hierarchy,
+        evidence: skipped.length > 0 ? skipped.slice(0, 3).map(v => v.evidence).join('; ') :
+          h1Count === 0 ? 'Tidak ada <h1> sebagai awal outline' : 'Tidak ada level heading yang dilompati',
+        locators: violationLocators(skipped, headingList)
+      };
+    }
+  },
+  // Penalty for headings that don't describe structure (max -10)
+  {
+    id: 'layout.misused_headings',
+    title: 'Heading dipakai untuk struktur, bukan styling',
+    penalty: true,
+    evaluate: ({ headingList, violations, points }) => {
+      const misused = violations.filter(v => v.type !== 'skipped_level');
+      return {
+        points: misused.length > 0 ? -Math.min(points.max_misused_heading_penalty, misused.length * points.misused_heading_penalty) : 0,
+        possible: 0,
+        evidence: misused.length > 0 ? misused.slice(0, 3).map(v => v.evidence).join('; ') : 'Tidak ada heading kosong, hanya untuk styling, atau terlalu panjang',
+        locators: violationLocators(misused, headingList)
+      };
+    }
+  },
   
   // 2. CTA density (max 25 points)
-  const totalCTAs = data.buttons.length + 
-                    data.links.filter(l => hasActionVerb(l.text)).length;
-  
-  details.total_cta_count = totalCTAs;
-  
-  if (totalCTAs >= 1 && totalCTAs <= 3) {
-    score += 15;
-    details.optimal_cta_density = true;
-  } else if (totalCTAs === 0) {
-    score += 0;
-  } else if (totalCTAs > 5) {
-    score -= 10; // Penalty for clutter
-    details.too_many_ctas = true;
-  } else {
-    score += 10;
-  }
+  {
+    id: 'layout.cta_density',
+    title: 'Kepadatan CTA wajar',
+    evaluate: ({ details, points, ctaElements }) => {
+      const totalCTAs = details.total_cta_count;
+      let awarded = 0;
+      if (inRange(totalCTAs, points.ideal_ctas)) {
+        awarded = points.cta_density;
+        details.optimal_cta_density = true;
+      } else if (totalCTAs > points.max_ctas) {
+        awarded = -points.cta_clutter_penalty; // Penalty for clutter
+        details.too_many_ctas = true;
+      } else if (totalCTAs > 0) {
+        awarded = points.cta_density_partial;
+      }
+      const [min, max] = points.ideal_ctas;
+      return {
+        points: awarded,
+        possible: points.cta_density,
+        evidence: `${totalCTAs} CTA (ideal ${min}-${max}, lebih dari ${points.max_ctas} terlalu ramai)`,
+        locators: details.too_many_ctas ? ctaElements.map(cta => cta.locator) : []
+      };
+    }
+  },
   
   // 3. Content organization (max 20 points)
   // Based on paragraph distribution
-  if (data.paragraphs.length >= 3) {
-    score += 10;
-    details.has_content_blocks = true;
-  }
-  
+  {
+    id: 'layout.content_blocks',
+    title: 'Konten terbagi dalam beberapa paragraf',
+    evaluate: ({ data, details, points }) => {
+      const blocks = data.paragraphs.length >= points.min_content_blocks;
+      if (blocks) details.has_content_blocks = true;
+      return {
+        points: blocks ? points.content_blocks : 0,
+        possible: points.content_blocks,
+        evidence: `${data.paragraphs.length} paragraf (minimal ${points.min_content_blocks})`
+      };
+    }
+  },
   // Has forms (indicates structure)
-  if (data.forms.length > 0 && data.forms.length <= 2) {
-    score += 10;
-    details.has_forms = true;
-  }
+  {
+    id: 'layout.forms',
+    title: 'Ada form yang terfokus',
+    evaluate: ({ data, details, points }) => {
+      const focused = data.forms.length > 0 && data.forms.length <= points.max_forms;
+      if (focused) details.has_forms = true;
+      return {
+        points: focused ? points.forms : 0,
+        possible: points.forms,
+        evidence: `${data.forms.length} form (diharapkan 1-${points.max_forms})`,
+        locators: data.forms.length > points.max_forms ? data.forms.map(form => form.locator) : []
+      };
+    }
+  },
   
   // 4. Image presence (max 20 points)
-  const imageCount = data.images.length;
-  if (imageCount >= 1 && imageCount <= 10) {
-    score += 20;
-    details.good_image_count = true;
-  } else if (imageCount > 10) {
-    score += 10;
-    details.many_images = true;
+  {
+    id: 'layout.images',
+    title: 'Jumlah gambar wajar',
+    evaluate: ({ data, details, points }) => {
+      const imageCount = data.images.length;
+      let awarded = 0;
+      if (imageCount >= 1 && imageCount <= points.max_images) {
+        awarded = points.images;
+        details.good_image_count = true;
+      } else if (imageCount > points.max_images) {
+        awarded = points.images_many;
+        details.many_images = true;
+      }
+      return { points: awarded, possible: points.images, evidence: `${imageCount} gambar (diharapkan 1-${points.max_images})` };
+    }
   }
+]);
+
+/**
+ * Walk headings in document order and list outline problems as evidence
+ */
+function findHeadingViolations(headings) {
+  const violations = [];
   
-  return {
-    score: Math.max(0, Math.min(100, score)),
-    details
-  };
+  headings.forEach((heading, i) => {
+    const label = `h${heading.level} "${truncate(heading.text, 50)}"`;
+    const base = { index: heading.index, level: heading.level, text: heading.text };
+    const previous = headings[i - 1];
+    
+    if (previous && heading.level > previous.level + 1) {
+      violations.push({
+        ...base,
+        type: 'skipped_level',
+        evidence: `h${previous.level} "${truncate(previous.text, 50)}" → ${label} (melompati h${previous.level + 1})`
+      });
+    }
+    
+    if (heading.text.length === 0) {
+      violations.push({
+        ...base,
+        type: 'empty',
+        evidence: `h${heading.level} #${heading.index + 1} tanpa teks`
+      });
+    } else if (heading.styling_only) {
+      violations.push({
+        ...base,
+        type: 'styling_only',
+        evidence: `${label} dipakai untuk styling (${heading.styling_only})`
+      });
+    }
+    
+    if (heading.text.length > LONG_HEADING_LENGTH) {
+      violations.push({
+        ...base,
+        type: 'too_long',
+        evidence: `${label} ${heading.text.length} karakter`
+      });
+    }
+  });
+  
+  return violations;
+}
+
+/**
+ * Headings of one level from the outline, in document order
+ */
+function headingsAt(data, level) {
+  return (data.headings.all || []).filter(heading => heading.level === level);
+}
+
+function violationLocators(violations, headingList) {
+  return violations.map(v => (headingList.find(heading => heading.index === v.index) || {}).locator);
+}
+
+function paragraphLocator(data, index) {
+  return (data.paragraph_locators || [])[index] || null;
+}
+
+function hasAltText(img) {
+  return Boolean(img.alt) && img.alt.toLowerCase() !== 'image';
+}
+
+function inRange(value, [min, max]) {
+  return value >= min && value <= max;
+}
+
+function truncate(text, maxLength) {
+  return text.length > maxLength ? text.substring(0, maxLength) + '…' : text;
 }
 
 /**
  * Actionability / CTA Score (0-100)
+ * Forms are the last step of most conversions, so form usability
+ * is blended in when the page has any
  */
-function calculateCTAScore(data) {
-  let score = 0;
+function calculateCTAScore(data, forms, points) {
   const details = {};
   
   // Identify primary CTAs
   const allCTAs = [
-    ...data.buttons.map(b => ({ text: b.text, type: 'button' })),
-    ...data.links.filter(l => hasActionVerb(l.text)).map(l => ({ text: l.text, type: 'link' }))
+    ...data.buttons.map(b => ({ text: b.text, type: 'button', locator: b.locator })),
+    ...data.links.filter(l => hasActionVerb(l.text, data.lang)).map(l => ({ text: l.text, type: 'link', locator: l.locator }))
   ];
   
   details.primary_cta_count = allCTAs.length;
   details.cta_examples = allCTAs.slice(0, 3).map(c => c.text);
   
-  // 1. Primary CTA presence (max 20 points)
-  if (allCTAs.length > 0) {
-    score += 20;
-    details.has_primary_cta = true;
+  // Quality CTA: action verb + object (more than 1 word)
+  const qualityCTAs = allCTAs.filter(cta => cta.text.trim().split(/\s+/).length >= 2 && hasActionVerb(cta.text, data.lang));
+  
+  let result = runRules('cta', { data, details, points, ctas: allCTAs, qualityCTAs });
+  
+  // 5. Form usability (blended, only when there are forms)
+  if (forms) {
+    details.cta_only_score = result.score;
+    details.form_usability_score = forms.score;
+    result = blendIntoLedger(result, points.form_usability_weight, {
+      id: 'cta.form_usability',
+      title: 'Usability form',
+      score: forms.score,
+      evidence: `Usability form ${forms.score}/100, ${Math.round(points.form_usability_weight * 100)}% dari skor CTA` +
+        (forms.findings.length > 0 ? ` (${forms.findings.length} temuan)` : ''),
+      locators: forms.findings.flatMap(finding => finding.locators)
+    });
   }
   
-  // 2. CTA text quality (max 30 points)
-  let qualityCTAs = 0;
-  allCTAs.forEach(cta => {
-    // Check if has action verb + object (more than 1 word)
-    const words = cta.text.trim().split(/\s+/);
-    if (words.length >= 2 && hasActionVerb(cta.text)) {
-      qualityCTAs++;
+  return {
+    score: result.score,
+    details,
+    ledger: result.ledger
+  };
+}
+
+registerRules('cta', [
+  // 1. Primary CTA presence (max 20 points)
+  {
+    id: 'cta.presence',
+    title: 'Ada CTA utama',
+    evaluate: ({ ctas, details, points }) => {
+      if (ctas.length > 0) details.has_primary_cta = true;
+      return {
+        points: ctas.length > 0 ? points.presence : 0,
+        possible: points.presence,
+        evidence: ctas.length > 0 ? `mis. ${ctas.slice(0, 3).map(c => `"${truncate(c.text, 30)}"`).join(', ')}` : 'Tidak ada tombol atau link aksi'
+      };
     }
-  });
+  },
   
-  if (qualityCTAs > 0) {
-    score += 15;
-    details.has_quality_ctas = true;
-    
-    // Bonus if most CTAs are quality
-    if (qualityCTAs >= allCTAs.length * 0.5) {
-      score += 15;
-      details.most_ctas_quality = true;
+  // 2. CTA text quality (max 30 points)
+  {
+    id: 'cta.quality',
+    title: 'Teks CTA berisi kata kerja + objek',
+    evaluate: ({ ctas, qualityCTAs, details, points }) => {
+      if (qualityCTAs.length > 0) details.has_quality_ctas = true;
+      return {
+        points: qualityCTAs.length > 0 ? points.quality : 0,
+        possible: points.quality,
+        evidence: `${qualityCTAs.length} dari ${ctas.length} CTA` +
+          (qualityCTAs.length > 0 ? `, mis. "${truncate(qualityCTAs[0].text, 30)}"` : ''),
+        locators: qualityCTAs.length > 0 ? [] : ctas.map(cta => cta.locator)
+      };
     }
-  }
+  },
+  // Bonus if most CTAs are quality
+  {
+    id: 'cta.mostly_quality',
+    title: 'Sebagian besar CTA jelas',
+    evaluate: ({ ctas, qualityCTAs, details, points }) => {
+      const mostly = qualityCTAs.length > 0 && qualityCTAs.length >= ctas.length * 0.5;
+      if (mostly) details.most_ctas_quality = true;
+      const vague = ctas.filter(cta => !qualityCTAs.includes(cta));
+      return {
+        points: mostly ? points.mostly_quality : 0,
+        possible: points.mostly_quality,
+        evidence: `${qualityCTAs.length}/${ctas.length} jelas` +
+          (vague.length > 0 ? `; kurang jelas: ${vague.slice(0, 3).map(c => `"${truncate(c.text, 30)}"`).join(', ')}` : ''),
+        locators: vague.map(cta => cta.locator)
+      };
+    }
+  },
   
   // 3. CTA competition (max 30 points)
-  if (allCTAs.length >= 1 && allCTAs.length <= 3) {
-    score += 30;
-    details.optimal_cta_count = true;
-  } else if (allCTAs.length > 5) {
-    score -= 10;
-    details.too_many_competing_ctas = true;
-  } else if (allCTAs.length === 4 || allCTAs.length === 5) {
-    score += 15;
-  }
+  {
+    id: 'cta.competition',
+    title: 'CTA tidak saling bersaing',
+    evaluate: ({ ctas, details, points }) => {
+      let awarded = 0;
+      if (inRange(ctas.length, points.ideal_ctas)) {
+        awarded = points.competition;
+        details.optimal_cta_count = true;
+      } else if (ctas.length > points.max_ctas) {
+        awarded = -points.competition_penalty;
+        details.too_many_competing_ctas = true;
+      } else if (ctas.length > 0) {
+        awarded = points.competition_partial;
+      }
+      const [min, max] = points.ideal_ctas;
+      return {
+        points: awarded,
+        possible: points.competition,
+        evidence: `${ctas.length} CTA (ideal ${min}-${max}, lebih dari ${points.max_ctas} saling bersaing)`,
+        locators: details.too_many_competing_ctas ? ctas.map(cta => cta.locator) : []
+      };
+    }
+  },
   
   // 4. Button vs generic link (max 20 points)
-  const buttonCount = data.buttons.length;
-  if (buttonCount > 0) {
-    score += 20;
-    details.uses_buttons = true;
-  } else if (allCTAs.length > 0) {
-    score += 10; // Has CTAs but no buttons
+  {
+    id: 'cta.buttons',
+    title: 'CTA berupa tombol',
+    evaluate: ({ data, ctas, details, points }) => {
+      let awarded = 0;
+      if (data.buttons.length > 0) {
+        awarded = points.buttons;
+        details.uses_buttons = true;
+      } else if (ctas.length > 0) {
+        awarded = points.links_only; // Has CTAs but no buttons
+      }
+      return {
+        points: awarded,
+        possible: points.buttons,
+        evidence: data.buttons.length > 0 ? `${data.buttons.length} tombol` : ctas.length > 0 ? 'Hanya link teks' : 'Tidak ada CTA'
+      };
+    }
   }
-  
-  return {
-    score: Math.max(0, Math.min(100, score)),
-    details
-  };
-}
+]);
 
 /**
  * Accessibility / WCAG-lite Score (0-100)
+ * Lighthouse accessibility failures (when PageSpeed ran) don't change the score;
+ * they are merged into details.findings next to our own failed checks
  */
-function calculateAccessibilityScore(data) {
-  let score = 0;
+function calculateAccessibilityScore(data, wcagLevel, points, lighthouseAudits = []) {
   const details = {};
   
-  // 1. Contrast check (max 60 points)
-  const colorPairs = data.css_summary.color_pairs_sample || [];
+  // 1. Contrast facts (scored by the contrast rule); an incomplete cascade gives unreliable colors
+  details.contrast_truncated = Boolean(data.css_summary.cascade_truncated);
+  const colorPairs = details.contrast_truncated ? [] : data.css_summary.color_pairs_sample || [];
+  const contrastResults = [];
   let contrastChecks = 0;
   let passingContrast = 0;
+  let unmeasuredContrast = 0;
   
   colorPairs.forEach(pair => {
+    // Colors from var() or text over a background image: a guessed ratio isn't a result
+    if (pair.not_measured) {
+      unmeasuredContrast++;
+      return;
+    }
+    
     const ratio = calculateContrastRatio(pair.fg, pair.bg);
+    if (ratio === null) return; // Unparseable color, can't judge
     contrastChecks++;
     
-    // WCAG AA: 4.5:1 for normal text, 3:1 for large text
-    if (ratio >= 4.5) {
+    // Large text (>=24px, or >=18.66px bold) has lower minimums
+    const sizeClass = getTextSizeClass(pair.font_size_px, pair.font_weight);
+    const level = getPassingLevel(ratio, sizeClass);
+    const passesTarget = level === 'AAA' || level === wcagLevel;
+    
+    if (passesTarget) {
       passingContrast++;
     }
+    
+    contrastResults.push({
+      element: pair.element,
+      text: pair.text || '',
+      fg: pair.fg,
+      bg: pair.bg,
+      ratio: Math.round(ratio * 100) / 100,
+      size_class: sizeClass,
+      level,
+      passes_target: passesTarget,
+      locator: pair.locator || null
+    });
   });
   
+  details.wcag_level = wcagLevel;
+  details.contrast_results = contrastResults;
   details.contrast_checks = contrastChecks;
   details.passing_contrast = passingContrast;
   details.low_contrast_count = contrastChecks - passingContrast;
+  details.contrast_not_measured = unmeasuredContrast;
   
-  if (contrastChecks > 0) {
-    const passRate = passingContrast / contrastChecks;
-    if (passRate >= 0.8) {
-      score += 60;
-      details.good_contrast = true;
-    } else if (passRate >= 0.5) {
-      score += 40;
-    } else if (passRate >= 0.25) {
-      score += 20;
-    }
-  } else {
-    // No color data, give neutral score
-    score += 30;
-    details.no_contrast_data = true;
-  }
-  
-  // 2. Alt text check (max 20 points)
+  // 2. Alt text facts
   const totalImages = data.images.length;
-  let imagesWithAlt = 0;
-  
-  data.images.forEach(img => {
-    if (img.alt && img.alt.length > 0 && img.alt.toLowerCase() !== 'image') {
-      imagesWithAlt++;
-    }
-  });
+  const imagesWithAlt = data.images.filter(hasAltText).length;
   
   details.total_images = totalImages;
   details.images_with_alt = imagesWithAlt;
-  
   if (totalImages > 0) {
-    const altRate = imagesWithAlt / totalImages;
-    details.missing_alt_percentage = Math.round((1 - altRate) * 100);
-    
-    if (altRate >= 0.8) {
-      score += 20;
-      details.good_alt_coverage = true;
-    } else if (altRate >= 0.5) {
-      score += 10;
-    }
-  } else {
-    score += 10; // No images, neutral score
-    details.no_images = true;
+    details.missing_alt_percentage = Math.round((1 - imagesWithAlt / totalImages) * 100);
   }
   
+  // 3. Font size
+  details.body_font_size = data.css_summary.body_font_size_px;
+  
+  // 4. Form label facts
+  const inputs = data.forms.flatMap(form => form.inputs);
+  details.total_inputs = inputs.length;
+  details.inputs_with_labels = inputs.filter(input => input.hasLabel).length;
+  
+  const { score, ledger } = runRules('accessibility', { data, details, points, contrastResults, inputs });
+  
+  details.findings = mergeAccessibilityFindings(ledger, details, lighthouseAudits);
+  
+  return {
+    score,
+    details,
+    ledger
+  };
+}
+
+registerRules('accessibility', [
+  // 1. Contrast check (max 60 points)
+  {
+    id: 'accessibility.contrast',
+    title: 'Kontras warna teks memenuhi target WCAG',
+    evaluate: ({ details, contrastResults, points }) => {
+      if (details.contrast_checks === 0) {
+        // No color data, give neutral score
+        details.no_contrast_data = true;
+        const evidence = details.contrast_truncated
+          ? 'Stylesheet terlalu besar untuk menelusuri semua rule, kontras tidak diukur (skor netral)'
+          : details.contrast_not_measured > 0
+            ? `${details.contrast_not_measured} elemen teks memakai warna var() atau background image, kontras tidak diukur (skor netral)`
+            : 'Tidak ada pasangan warna teks/latar untuk dicek, skor netral';
+        return { points: points.contrast_not_measured, possible: points.contrast, evidence };
+      }
+      
+      const passRate = details.passing_contrast / details.contrast_checks;
+      let awarded = 0;
+      if (passRate >= 0.8) {
+        awarded = points.contrast;
+        details.good_contrast = true;
+      } else if (passRate >= 0.5) {
+        awarded = points.contrast_partial;
+      } else if (passRate >= 0.25) {
+        awarded = points.contrast_low;
+      }
+      const failing = contrastResults.filter(r => !r.passes_target);
+      return {
+        points: awarded,
+        possible: points.contrast,
+        evidence: `${details.passing_contrast}/${details.contrast_checks} lolos WCAG ${details.wcag_level}` +
+          (failing.length > 0 ? `; mis. ${failing.slice(0, 2).map(r => `${r.element} ${r.ratio}:1`).join(', ')}` : '') +
+          (details.contrast_not_measured > 0 ? `; ${details.contrast_not_measured} tidak diukur (warna var() atau background image)` : ''),
+        locators: failing.map(r => r.locator)
+      };
+    }
+  },
+  
+  // 2. Alt text check (max 20 points)
+  {
+    id: 'accessibility.alt_text',
+    title: 'Gambar punya alt text',
+    evaluate: ({ data, details, points }) => {
+      if (details.total_images === 0) {
+        details.no_images = true;
+        return { points: points.no_images, possible: points.alt_text, evidence: 'Tidak ada gambar, skor netral' }; // No images, neutral score
+      }
+      
+      const altRate = details.images_with_alt / details.total_images;
+      let awarded = 0;
+      if (altRate >= 0.8) {
+        awarded = points.alt_text;
+        details.good_alt_coverage = true;
+      } else if (altRate >= 0.5) {
+        awarded = points.alt_text_partial;
+      }
+      return {
+        points: awarded,
+        possible: points.alt_text,
+        evidence: `${details.images_with_alt}/${details.total_images} gambar punya alt text`,
+        locators: data.images.filter(img => !hasAltText(img)).map(img => img.locator)
+      };
+    }
+  },
+  
   // 3. Font size (max 10 points)
-  const fontSize = data.css_summary.body_font_size_px;
-  details.body_font_size = fontSize;
-  
-  if (fontSize >= 16) {
-    score += 10;
-    details.good_font_size = true;
-  } else if (fontSize >= 14) {
-    score += 5;
-  }
+  {
+    id: 'accessibility.font_size',
+    title: 'Ukuran font body ≥ 16px',
+    evaluate: ({ details, points }) => {
+      const fontSize = details.body_font_size;
+      let awarded = 0;
+      if (fontSize >= 16) {
+        awarded = points.font_size;
+        details.good_font_size = true;
+      } else if (fontSize >= 14) {
+        awarded = points.font_size_partial;
+      }
+      return { points: awarded, possible: points.font_size, evidence: `Ukuran font body ${fontSize}px` };
+    }
+  },
   
   // 4. Form labels (max 10 points)
-  let totalInputs = 0;
-  let inputsWithLabels = 0;
-  
-  data.forms.forEach(form => {
-    form.inputs.forEach(input => {
-      totalInputs++;
-      if (input.hasLabel) {
-        inputsWithLabels++;
+  {
+    id: 'accessibility.form_labels',
+    title: 'Input form punya label',
+    evaluate: ({ details, inputs, points }) => {
+      if (details.total_inputs === 0) {
+        details.no_forms = true;
+        return { points: points.no_forms, possible: points.form_labels, evidence: 'Tidak ada input form, skor netral' }; // No forms, neutral
+      }
+      
+      const labelRate = details.inputs_with_labels / details.total_inputs;
+      let awarded = 0;
+      if (labelRate >= 0.8) {
+        awarded = points.form_labels;
+        details.good_form_labels = true;
+      } else if (labelRate >= 0.5) {
+        awarded = points.form_labels_partial;
       }
+      const unlabeled = inputs.filter(input => !input.hasLabel);
+      return {
+        points: awarded,
+        possible: points.form_labels,
+        evidence: `${details.inputs_with_labels}/${details.total_inputs} input berlabel` +
+          (unlabeled.length > 0 ? `; mis. ${unlabeled.slice(0, 2).map(input => input.selector).join(', ')}` : ''),
+        locators: unlabeled.map(input => input.locator)
+      };
+    }
+  }
+]);
+
+/**
+ * Our failed accessibility rules plus failing Lighthouse accessibility audits, one entry per problem:
+ * a Lighthouse audit that checks the same thing as a failed rule is folded into it
+ * @returns {Array} [{ id, title, source: 'audit' | 'lighthouse' | 'both', severity, evidence, lighthouse: [audit id], locators }]
+ */
+function mergeAccessibilityFindings(ledger, details, lighthouseAudits) {
+  // Neutral scores (nothing to check) aren't problems
+  const neutral = {
+    'accessibility.contrast': details.no_contrast_data,
+    'accessibility.alt_text': details.no_images,
+    'accessibility.form_labels': details.no_forms
+  };
+  const findings = ledger.rules.filter(rule => !rule.passed && !neutral[rule.id]).map(rule => ({
+    id: rule.id,
+    title: rule.title,
+    source: 'audit',
+    severity: rule.points === 0 ? 'major' : 'minor',
+    evidence: rule.evidence,
+    lighthouse: [],
+    locators: rule.locators
+  }));
+  
+  lighthouseAudits.forEach(audit => {
+    const same = findings.find(finding => finding.id === LIGHTHOUSE_ACCESSIBILITY_RULES[audit.id]);
+    if (same) {
+      same.source = 'both';
+      same.lighthouse.push(audit.id);
+      same.evidence += `; Lighthouse ${audit.id}: ${audit.item_count} elemen`;
+      same.locators = collectLocators([...same.locators, ...audit.locators]);
+      return;
+    }
+    
+    findings.push({
+      id: `lighthouse.${audit.id}`,
+      title: audit.title,
+      source: 'lighthouse',
+      // Lighthouse weighs the audits that block users outright at 7-10
+      severity: audit.weight >= 7 ? 'major' : 'minor',
+      evidence: `Lighthouse ${audit.id}: ${audit.item_count > 0 ? `${audit.item_count} elemen` : 'gagal'}` +
+        (audit.items.length > 0 && audit.headings.length > 0 ? `, mis. ${audit.items[0][audit.headings[0].key]}` : ''),
+      lighthouse: [audit.id],
+      locators: collectLocators(audit.locators)
     });
   });
   
-  details.total_inputs = totalInputs;
-  details.inputs_with_labels = inputsWithLabels;
+  return findings;
+}
+
+/**
+ * Mobile Readiness Score (0-100)
+ * Static checks only: viewport meta, responsive CSS & images, tiny text and tap targets
+ */
+function calculateMobileScore(data, points) {
+  const details = {};
+  const mobile = data.mobile;
+  
+  details.viewport_present = mobile.viewport.present;
+  details.viewport_content = mobile.viewport.content;
+  details.viewport_fixed_width = mobile.viewport.fixed_width;
+  details.zoom_disabled = mobile.viewport.zoom_disabled;
+  details.media_queries = mobile.media_queries;
+  details.fixed_width_count = mobile.fixed_width_count;
+  details.fixed_width_rules = mobile.fixed_width_rules;
+  
+  const images = mobile.images;
+  details.content_images = images.content_images;
+  details.responsive_images = images.responsive;
+  details.fluid_image_rule = images.fluid_rule;
+  details.non_responsive_image_count = images.fluid_rule ? 0 : images.content_images - images.responsive;
+  details.non_responsive_images = images.fluid_rule ? [] : images.non_responsive;
+  details.non_responsive_locators = images.fluid_rule ? [] : (images.non_responsive_locators || []);
+  
+  details.tiny_font_count = mobile.tiny_fonts.length;
+  details.tiny_fonts = mobile.tiny_fonts;
+  details.small_tap_target_count = mobile.small_tap_targets.length;
+  details.small_tap_targets = mobile.small_tap_targets;
+  
+  const { score, ledger } = runRules('mobile', { data, details, points, mobile });
+  
+  return {
+    score,
+    details,
+    ledger
+  };
+}
+
+registerRules('mobile', [
+  // 1. Viewport meta (max 30 points), zoom must stay possible (WCAG 1.4.4)
+  {
+    id: 'mobile.viewport',
+    title: 'Meta viewport width=device-width',
+    evaluate: ({ mobile, points }) => {
+      const viewport = mobile.viewport;
+      let awarded = 0;
+      if (viewport.device_width) {
+        awarded = viewport.zoom_disabled ? points.viewport_zoom_disabled : points.viewport;
+      } else if (viewport.present) {
+        awarded = points.viewport_not_device_width;
+      }
+      return {
+        points: awarded,
+        possible: points.viewport,
+        evidence: !viewport.present ? 'Tidak ada <meta name="viewport">' :
+          `content="${viewport.content}"${viewport.zoom_disabled ? ' (zoom dinonaktifkan)' : ''}`,
+        locators: viewport.present && awarded < points.viewport ? [viewport.locator] : []
+      };
+    }
+  },
   
-  if (totalInputs > 0) {
-    const labelRate = inputsWithLabels / totalInputs;
-    if (labelRate >= 0.8) {
-      score += 10;
-      details.good_form_labels = true;
-    } else if (labelRate >= 0.5) {
-      score += 5;
+  // 2. Width-based media queries (max 20 points)
+  {
+    id: 'mobile.media_queries',
+    title: 'Ada media query responsif',
+    evaluate: ({ mobile, points }) => {
+      let awarded = 0;
+      if (mobile.media_queries >= 3) {
+        awarded = points.media_queries;
+      } else if (mobile.media_queries > 0) {
+        awarded = points.media_queries_partial;
+      }
+      return { points: awarded, possible: points.media_queries, evidence: `${mobile.media_queries} media query berbasis lebar` };
     }
-  } else {
-    score += 5; // No forms, neutral
-    details.no_forms = true;
+  },
+  
+  // 3. No fixed widths wider than a phone (max 20 points)
+  {
+    id: 'mobile.fixed_width',
+    title: 'Tanpa lebar tetap melebihi layar ponsel',
+    evaluate: ({ mobile, points }) => {
+      let awarded = 0;
+      if (mobile.fixed_width_count === 0) {
+        awarded = points.no_fixed_width;
+      } else if (mobile.fixed_width_count <= 2) {
+        awarded = points.fixed_width_partial;
+      }
+      return {
+        points: awarded,
+        possible: points.no_fixed_width,
+        evidence: mobile.fixed_width_count === 0 ? 'Tidak ada lebar tetap di atas 480px pada layar 375px' :
+          mobile.fixed_width_rules.slice(0, 2).map(rule => `${rule.selector} { ${rule.declaration} }`).join('; '),
+        // Only inline styles point at an element; stylesheet rules are identified by their selector
+        locators: mobile.fixed_width_rules.map(rule => rule.locator)
+      };
+    }
+  },
+  
+  // 4. Responsive images: srcset/<picture> or a fluid img rule (max 15 points)
+  {
+    id: 'mobile.responsive_images',
+    title: 'Gambar responsif',
+    evaluate: ({ mobile, details, points }) => {
+      const images = mobile.images;
+      const full = images.content_images === 0 || details.non_responsive_image_count === 0;
+      return {
+        points: full ? points.responsive_images : Math.round(points.responsive_images * images.responsive / images.content_images),
+        possible: points.responsive_images,
+        evidence: images.content_images === 0 ? 'Tidak ada gambar konten' :
+          images.fluid_rule ? 'Ada rule img { max-width: 100% }' :
+          `${images.responsive}/${images.content_images} gambar konten memakai srcset/<picture>`,
+        locators: details.non_responsive_locators
+      };
+    }
+  },
+  
+  // 5. No tiny inline font sizes (max 10 points)
+  {
+    id: 'mobile.tiny_fonts',
+    title: 'Tanpa teks lebih kecil dari 12px',
+    evaluate: ({ mobile, points }) => {
+      let awarded = 0;
+      if (mobile.tiny_fonts.length === 0) {
+        awarded = points.no_tiny_fonts;
+      } else if (mobile.tiny_fonts.length <= 2) {
+        awarded = points.tiny_fonts_partial;
+      }
+      return {
+        points: awarded,
+        possible: points.no_tiny_fonts,
+        evidence: mobile.tiny_fonts.length === 0 ? 'Tidak ada font-size inline di bawah 12px' :
+          mobile.tiny_fonts.slice(0, 2).map(f => `${f.element} ${f.font_size_px}px`).join(', '),
+        locators: mobile.tiny_fonts.map(f => f.locator)
+      };
+    }
+  },
+  
+  // 6. Tap targets at least 24px (max 5 points)
+  {
+    id: 'mobile.tap_targets',
+    title: 'Area sentuh minimal 24px',
+    evaluate: ({ mobile, points }) => ({
+      points: mobile.small_tap_targets.length === 0 ? points.tap_targets : 0,
+      possible: points.tap_targets,
+      evidence: mobile.small_tap_targets.length === 0 ? 'Tidak ada link/tombol di bawah 24px' :
+        mobile.small_tap_targets.slice(0, 2).map(t => `${t.element} ${t.size}`).join(', '),
+      locators: mobile.small_tap_targets.map(t => t.locator)
+    })
   }
+]);
+
+/**
+ * Security Headers & HTTPS Score (0-100)
+ * Needs response headers, so returns null for offline uploads
+ */
+function calculateSecurityScore(data, points) {
+  if (!data.response) return null;
+  
+  const details = {};
+  const headers = data.response.security_headers || {};
+  const isHttps = data.response.final_url.startsWith('https:');
+  
+  // 1. HTTPS
+  details.is_https = isHttps;
+  
+  // 2. HSTS, ignored by browsers on plain http
+  const hsts = parseHSTS(headers.strict_transport_security);
+  details.hsts_present = isHttps && hsts !== null;
+  details.hsts_max_age = hsts ? hsts.maxAge : null;
+  details.hsts_include_subdomains = hsts ? hsts.includeSubdomains : false;
+  
+  // 3. Content-Security-Policy
+  const csp = parseCSP(headers.content_security_policy);
+  const scriptPolicy = csp['script-src'] || csp['default-src'];
+  details.csp_enforced = Boolean(headers.content_security_policy);
+  details.csp_report_only = !details.csp_enforced && Boolean(headers.content_security_policy_report_only);
+  details.csp_allows_inline_scripts = details.csp_enforced && (!scriptPolicy ||
+    (scriptPolicy.includes("'unsafe-inline'") && !scriptPolicy.some(v => /^'(nonce|sha\d+)-/.test(v))));
+  details.csp_upgrades_insecure_requests = 'upgrade-insecure-requests' in csp;
+  
+  // 4. Clickjacking: X-Frame-Options or CSP frame-ancestors
+  const frameOptions = (headers.x_frame_options || '').trim().toUpperCase();
+  details.x_frame_options = headers.x_frame_options || null;
+  details.csp_frame_ancestors = csp['frame-ancestors'] ? csp['frame-ancestors'].join(' ') : null;
+  details.clickjacking_protected = frameOptions === 'DENY' || frameOptions === 'SAMEORIGIN' ||
+    details.csp_frame_ancestors !== null;
+  
+  // 5. Referrer-Policy, weak policies leak full URLs
+  const referrerPolicy = (headers.referrer_policy || '').split(',').pop().trim().toLowerCase();
+  details.referrer_policy = referrerPolicy || null;
+  
+  // 6. Permissions-Policy
+  details.permissions_policy = Boolean(headers.permissions_policy);
+  
+  // 7. Mixed content, only meaningful on https pages
+  const insecure = isHttps && !details.csp_upgrades_insecure_requests ? (data.insecure_resources || []) : [];
+  details.mixed_content_count = insecure.length;
+  details.mixed_content_active_count = insecure.filter(r => r.active).length;
+  details.mixed_content = insecure.slice(0, 10).map(r => `<${r.tag}> ${r.url}`);
+  
+  const { score, ledger } = runRules('security', { data, details, points, hsts, insecure });
   
   return {
-    score: Math.max(0, Math.min(100, score)),
-    details
+    score,
+    details,
+    ledger
   };
 }
 
+registerRules('security', [
+  // 1. HTTPS (max 30 points)
+  {
+    id: 'security.https',
+    title: 'Disajikan lewat HTTPS',
+    evaluate: ({ details, points }) => ({
+      points: details.is_https ? points.https : 0,
+      possible: points.https,
+      evidence: details.is_https ? 'URL akhir memakai https' : 'URL akhir masih http biasa'
+    })
+  },
+  
+  // 2. HSTS (max 15 points)
+  {
+    id: 'security.hsts',
+    title: 'HSTS aktif (≥ 180 hari)',
+    evaluate: ({ details, hsts, points }) => {
+      let awarded = 0;
+      if (details.hsts_present) {
+        awarded = hsts.maxAge >= MIN_HSTS_MAX_AGE ? points.hsts : points.hsts_short;
+      }
+      return {
+        points: awarded,
+        possible: points.hsts,
+        evidence: details.hsts_present ? `max-age=${hsts.maxAge}` :
+          details.is_https ? 'Tidak ada header Strict-Transport-Security' : 'HSTS diabaikan di http'
+      };
+    }
+  },
+  
+  // 3. Content-Security-Policy (max 20 points)
+  {
+    id: 'security.csp',
+    title: 'Content-Security-Policy tanpa inline script',
+    evaluate: ({ details, points }) => {
+      let awarded = 0;
+      if (details.csp_enforced) {
+        awarded = details.csp_allows_inline_scripts ? points.csp_inline : points.csp;
+      } else if (details.csp_report_only) {
+        awarded = points.csp_report_only;
+      }
+      return {
+        points: awarded,
+        possible: points.csp,
+        evidence: details.csp_enforced ? (details.csp_allows_inline_scripts ? 'CSP mengizinkan inline script' : 'CSP diterapkan') :
+          details.csp_report_only ? 'CSP hanya report-only' : 'Tidak ada header Content-Security-Policy'
+      };
+    }
+  },
+  
+  // 4. Clickjacking (max 10 points)
+  {
+    id: 'security.clickjacking',
+    title: 'Terlindung dari clickjacking',
+    evaluate: ({ details, points }) => ({
+      points: details.clickjacking_protected ? points.clickjacking : 0,
+      possible: points.clickjacking,
+      evidence: details.csp_frame_ancestors !== null ? `frame-ancestors ${details.csp_frame_ancestors}` :
+        details.x_frame_options ? `X-Frame-Options: ${details.x_frame_options}` : 'Tidak ada X-Frame-Options atau frame-ancestors'
+    })
+  },
+  
+  // 5. Referrer-Policy (max 10 points)
+  {
+    id: 'security.referrer_policy',
+    title: 'Referrer-Policy aman',
+    evaluate: ({ details, points }) => {
+      const policy = details.referrer_policy;
+      let awarded = 0;
+      if (policy) {
+        awarded = ['unsafe-url', 'no-referrer-when-downgrade'].includes(policy) ? points.referrer_policy_weak : points.referrer_policy;
+      }
+      return { points: awarded, possible: points.referrer_policy, evidence: policy ? `Referrer-Policy: ${policy}` : 'Tidak ada header Referrer-Policy' };
+    }
+  },
+  
+  // 6. Permissions-Policy (max 5 points)
+  {
+    id: 'security.permissions_policy',
+    title: 'Ada Permissions-Policy',
+    evaluate: ({ details, points }) => ({
+      points: details.permissions_policy ? points.permissions_policy : 0,
+      possible: points.permissions_policy,
+      evidence: details.permissions_policy ? 'Header Permissions-Policy terpasang' : 'Tidak ada header Permissions-Policy'
+    })
+  },
+  
+  // 7. Mixed content (max 10 points)
+  {
+    id: 'security.mixed_content',
+    title: 'Tanpa mixed content',
+    evaluate: ({ details, points, insecure }) => {
+      let awarded = 0;
+      if (details.is_https) {
+        if (details.mixed_content_count === 0) {
+          awarded = points.no_mixed_content;
+        } else if (details.mixed_content_active_count === 0) {
+          awarded = points.passive_mixed_content;
+        }
+      }
+      return {
+        points: awarded,
+        possible: points.no_mixed_content,
+        evidence: !details.is_https ? 'Halaman tidak disajikan lewat https' :
+          details.mixed_content_count === 0 ? 'Tidak ada subresource http://' :
+          `${details.mixed_content_count} subresource http:// (${details.mixed_content_active_count} aktif), mis. ${details.mixed_content[0]}`,
+        locators: insecure.map(resource => resource.locator)
+      };
+    }
+  }
+]);
+
 /**
- * Calculate contrast ratio between two colors
- * Based on WCAG 2.1 formula
+ * Performance Score (0-100)
+ * Scored from PageSpeed lab metrics (mobile run first); without PageSpeed the
+ * same metrics are estimated offline from the page's own resources
+ * (estimatePageSpeed), and details.estimated marks the score as an estimate
  */
-function calculateContrastRatio(color1, color2) {
-  const l1 = getLuminance(color1);
-  const l2 = getLuminance(color2);
+function calculatePerformanceScore(data, pageSpeed, points) {
+  const details = {};
+  const strategy = ['mobile', 'desktop'].find(s => pageSpeed?.[s]) || null;
+  const lab = strategy ? pageSpeed[strategy] : estimatePageSpeed(data);
+  
+  details.source = strategy ? 'pagespeed' : 'estimate';
+  details.estimated = !strategy;
+  details.strategy = strategy || lab.strategy;
+  details.lighthouse_score = lab.scores.performance;
+  details.metrics = lab.metrics;
+  details.ratings = lab.ratings;
+  // CrUX p75 from real Chrome users, null when Google has too little traffic (or offline)
+  details.field = lab.field;
+  details.core_web_vitals = {
+    mobile: strategy ? pageSpeed.mobile?.core_web_vitals || null : lab.core_web_vitals,
+    desktop: strategy ? pageSpeed.desktop?.core_web_vitals || null : null
+  };
+  details.opportunities = lab.opportunities;
+  // Every failing Lighthouse audit by category (null for the offline estimate)
+  details.audits = lab.audits || null;
+  
+  // Resource facts, shown next to measured metrics too
+  // Unsized scripts, fonts & images are left out, so the weight is a lower bound
+  Object.assign(details, summarizeResources(data));
+  
+  const { score, ledger } = runRules('performance', {
+    data,
+    details,
+    points,
+    candidates: estimateCandidates(data)
+  });
   
-  const lighter = Math.max(l1, l2);
-  const darker = Math.min(l1, l2);
+  return {
+    score,
+    details,
+    ledger
+  };
+}
+
+// Lab metrics (max 100 points): full points up to "good", partial up to "poor"
+registerRules('performance', LAB_METRIC_RULES.map(({ id, metric, key, title }) => ({
+  id,
+  title,
+  evaluate: ({ details, points, candidates }) => {
+    const value = details.metrics[metric];
+    const [good, poor] = METRIC_THRESHOLDS[metric];
+    const rating = rateMetric(metric, value);
+    const awarded = rating === 'good' ? points[key] : rating === 'needs-improvement' ? points[`${key}_partial`] : 0;
+    return {
+      points: awarded,
+      possible: points[key],
+      evidence: `${metric.toUpperCase()} ${formatLabMetric(metric, value)} di ${details.strategy}${details.estimated ? ', estimasi offline' : ''} ` +
+        `(baik ≤ ${formatLabMetric(metric, good)}, buruk > ${formatLabMetric(metric, poor)})`,
+      // PageSpeed doesn't say which elements; the estimate knows what it modelled
+      locators: details.estimated && awarded < points[key] ? candidates[metric] : []
+    };
+  }
+})));
+
+/**
+ * Elements behind each estimated metric: render-blocking resources delay
+ * FCP, the hero image LCP, unsized images & iframes CLS, scripts TBT
+ */
+function estimateCandidates(data) {
+  const items = data.resources?.items || [];
+  const blocking = items.filter(item => item.blocking).map(item => item.locator);
+  const hero = data.images.find(img => img.hero);
   
-  return (lighter + 0.05) / (darker + 0.05);
+  return {
+    fcp: blocking,
+    si: blocking,
+    lcp: [...blocking, hero ? hero.locator : null],
+    tbt: items.filter(item => item.type === 'script' && !item.blocking).map(item => item.locator),
+    cls: [
+      ...data.images.filter(img => !img.has_dimensions).map(img => img.locator),
+      ...items.filter(item => item.type === 'iframe' && !item.has_dimensions).map(item => item.locator)
+    ]
+  };
 }
 
 /**
- * Get relative luminance of a color
+ * 2345 -> "2.3 s", 180 -> "180 ms", CLS 0.123 -> "0.12"
  */
-function getLuminance(color) {
-  // Convert hex to RGB
-  let r, g, b;
-  
-  if (color.startsWith('#')) {
-    const hex = color.replace('#', '');
-    r = parseInt(hex.substr(0, 2), 16) / 255;
-    g = parseInt(hex.substr(2, 2), 16) / 255;
-    b = parseInt(hex.substr(4, 2), 16) / 255;
-  } else {
-    // Assume already RGB values
-    return 0.5; // Neutral if can't parse
-  }
+function formatLabMetric(metric, value) {
+  // Indonesian number format, like the rule titles (2,5 dtk)
+  if (metric === 'cls') return (Math.round(value * 100) / 100).toString().replace('.', ',');
+  return value < 1000 ? `${Math.round(value)} ms` : `${(value / 1000).toFixed(1).replace('.', ',')} dtk`;
+}
+
+/**
+ * Strict-Transport-Security: max-age=31536000; includeSubDomains
+ */
+function parseHSTS(header) {
+  if (!header) return null;
   
-  // Apply gamma correction
-  r = r <= 0.03928 ? r / 12.92 : Math.pow((r + 0.055) / 1.055, 2.4);
-  g = g <= 0.03928 ? g / 12.92 : Math.pow((g + 0.055) / 1.055, 2.4);
-  b = b <= 0.03928 ? b / 12.92 : Math.pow((b + 0.055) / 1.055, 2.4);
+  const maxAge = header.match(/max-age\s*=\s*"?(\d+)/i);
+  if (!maxAge || parseInt(maxAge[1], 10) === 0) return null;
   
-  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  return {
+    maxAge: parseInt(maxAge[1], 10),
+    includeSubdomains: /includesubdomains/i.test(header)
+  };
+}
+
+/**
+ * CSP header into { directive: [values] }
+ */
+function parseCSP(header) {
+  const directives = {};
+  if (!header) return directives;
+  
+  header.split(';').forEach(part => {
+    const [name, ...values] = part.trim().split(/\s+/);
+    if (name && !(name.toLowerCase() in directives)) {
+      directives[name.toLowerCase()] = values;
+    }
+  });
+  
+  return directives;
+}
+
+/**
+ * WCAG "large scale" text: at least 18pt, or 14pt bold
+ */
+function getTextSizeClass(fontSizePx = 16, fontWeight = 400) {
+  if (fontSizePx >= 24 || (fontSizePx >= 18.66 && fontWeight >= 700)) {
+    return 'large';
+  }
+  return 'normal';
+}
+
+/**
+ * Highest WCAG level a ratio passes for the given text size
+ */
+function getPassingLevel(ratio, sizeClass) {
+  if (ratio >= WCAG_LEVELS.AAA[sizeClass]) return 'AAA';
+  if (ratio >= WCAG_LEVELS.AA[sizeClass]) return 'AA';
+  return 'fail';
+}
+
+/**
+ * Calculate contrast ratio between two colors
+ * Based on WCAG 2.1 formula (any CSS color, translucent text composited)
+ */
+function calculateContrastRatio(color1, color2) {
+  return getContrastRatio(color1, color2);
 }
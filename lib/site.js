@@ -0,0 +1,314 @@
+import * as cheerio from 'cheerio';
+import { crawlURL, USER_AGENT } from './crawler.js';
+import { calculateScores } from './scorer.js';
+import { getRobots } from './robots.js';
+import { safeFetch } from './network.js';
+
+/**
+ * Multi-page site audit
+ * Discovers pages from sitemap.xml and same-origin links,
+ * scores each page and builds a site-level rollup
+ */
+
+const DEFAULT_MAX_PAGES = 10;
+const DEFAULT_MAX_DEPTH = 2;
+const MAX_PAGES_LIMIT = 50;
+const MAX_DEPTH_LIMIT = 5;
+const MAX_CHILD_SITEMAPS = 3;
+const MIN_REQUEST_DELAY_MS = 500; // politeness gap between page fetches
+const MAX_CRAWL_DURATION_MS = 120000; // Crawl-delay budget for one site audit
+
+// Links to these files are never HTML pages
+const NON_HTML_EXTENSIONS = /\.(pdf|zip|rar|gz|jpe?g|png|gif|webp|avif|svg|ico|mp3|mp4|webm|mov|avi|docx?|xlsx?|pptx?|css|js|json|xml|txt)$/i;
+
+/**
+ * Audit multiple pages of a site
+ * @param {string} url - Start URL (usually the homepage)
+ * @param {Object} options - { maxPages, maxDepth, useSitemap, wcagLevel, profile, ignoreRobots }
+ * @returns {Promise<Object>} Site rollup or { error }
+ */
+export async function auditSite(url, options = {}) {
+  let maxPages = clamp(options.maxPages ?? DEFAULT_MAX_PAGES, 1, MAX_PAGES_LIMIT);
+  const maxDepth = clamp(options.maxDepth ?? DEFAULT_MAX_DEPTH, 0, MAX_DEPTH_LIMIT);
+  const useSitemap = options.useSitemap !== false;
+
+  const startUrl = normalizePageURL(url, url);
+  if (!startUrl) {
+    return { error: 'Invalid URL format' };
+  }
+  // Pages are followed on the start URL's origin and, once known, the origin it redirects to
+  const startOrigin = new URL(startUrl).origin;
+  const origins = new Set([startOrigin]);
+
+  // robots.txt: Crawl-delay sets the pace, Sitemap lines point at sitemaps
+  let robots = await getRobots(startOrigin);
+  let requestDelayMs = getRequestDelay(robots, options.ignoreRobots);
+
+  // Honoring a long Crawl-delay means auditing fewer pages
+  const requestedPages = maxPages;
+  maxPages = Math.min(maxPages, Math.floor(MAX_CRAWL_DURATION_MS / requestDelayMs) + 1);
+
+  const queue = [{ url: startUrl, depth: 0 }];
+  const seen = new Set([startUrl]);
+  const pages = [];
+  const failed = [];
+
+  let lastFetchAt = 0;
+
+  while (queue.length > 0 && pages.length < maxPages) {
+    const { url: pageUrl, depth, source } = queue.shift();
+
+    const waitMs = lastFetchAt + requestDelayMs - Date.now();
+    if (waitMs > 0) {
+      await sleep(waitMs);
+    }
+
+    console.log(`📄 Crawling page ${pages.length + 1}/${maxPages}: ${pageUrl}`);
+    const crawledData = await crawlURL(pageUrl, { ignoreRobots: options.ignoreRobots });
+
+    if (depth === 0) {
+      // Start URL redirected (apex → www, http → https): the site lives at the final origin,
+      // so its robots.txt sets the pace and its sitemap seeds the queue
+      const finalUrl = crawledData.response?.final_url ? normalizePageURL(crawledData.response.final_url, startUrl) : null;
+      const finalOrigin = finalUrl ? new URL(finalUrl).origin : null;
+      if (finalUrl) {
+        seen.add(finalUrl);
+      }
+      if (finalOrigin && !origins.has(finalOrigin)) {
+        origins.add(finalOrigin);
+        robots = await getRobots(finalOrigin);
+        requestDelayMs = getRequestDelay(robots, options.ignoreRobots);
+        maxPages = Math.min(maxPages, Math.floor(MAX_CRAWL_DURATION_MS / requestDelayMs) + 1);
+      }
+
+      // Seed the queue with sitemap URLs (treated as one level deep)
+      if (useSitemap && maxDepth > 0) {
+        const sitemapOrigin = finalOrigin || startOrigin;
+        const sitemapUrls = await discoverSitemapURLs(sitemapOrigin, maxPages * 2, robots.sitemaps);
+        sitemapUrls.forEach(loc => {
+          const sitemapPageUrl = normalizePageURL(loc, `${sitemapOrigin}/`);
+          if (sitemapPageUrl && isSameSite(sitemapPageUrl, origins) && !seen.has(sitemapPageUrl)) {
+            seen.add(sitemapPageUrl);
+            queue.push({ url: sitemapPageUrl, depth: 1, source: 'sitemap' });
+          }
+        });
+      }
+    }
+
+    if (crawledData.code === 'BLOCKED_BY_ROBOTS') {
+      // Nothing was fetched, so no need to wait before the next page
+      failed.push({ url: pageUrl, error: crawledData.error, code: crawledData.code });
+      continue;
+    }
+
+    lastFetchAt = Date.now();
+
+    if (crawledData.error) {
+      failed.push({ url: pageUrl, error: crawledData.error });
+      continue;
+    }
+
+    const scoringResult = calculateScores(crawledData, { wcagLevel: options.wcagLevel, profile: options.profile });
+    pages.push({
+      url: pageUrl,
+      title: crawledData.title,
+      depth,
+      source: source || (depth === 0 ? 'start' : 'link'),
+      scores: scoringResult.scores,
+      profile: scoringResult.profile.id,
+      flags: Object.keys(scoringResult.flags).filter(k => scoringResult.flags[k])
+    });
+
+    // Follow same-origin links one level deeper
+    if (depth < maxDepth) {
+      crawledData.links.forEach(link => {
+        // Relative links resolve against the post-redirect URL
+        const linkUrl = normalizePageURL(link.href, crawledData.url);
+        if (linkUrl && isSameSite(linkUrl, origins) && !seen.has(linkUrl)) {
+          seen.add(linkUrl);
+          queue.push({ url: linkUrl, depth: depth + 1 });
+        }
+      });
+    }
+  }
+
+  if (pages.length === 0) {
+    return {
+      error: failed[0]?.error || 'No pages could be audited',
+      code: failed.length > 0 && failed.every(f => f.code === 'BLOCKED_BY_ROBOTS') ? 'BLOCKED_BY_ROBOTS' : undefined
+    };
+  }
+
+  return {
+    ...buildSiteRollup(startUrl, pages, failed),
+    crawl: {
+      robots_respected: !options.ignoreRobots,
+      crawl_delay_seconds: options.ignoreRobots ? null : robots.crawlDelay,
+      request_delay_ms: requestDelayMs,
+      pages_blocked_by_robots: failed.filter(f => f.code === 'BLOCKED_BY_ROBOTS').length,
+      max_pages_reduced: maxPages < requestedPages ? { requested: requestedPages, allowed: maxPages } : null
+    }
+  };
+}
+
+/**
+ * Read page URLs from the sitemaps listed in robots.txt,
+ * falling back to /sitemap.xml (follows sitemap index files)
+ * Returns [] when the site has no usable sitemap
+ */
+export async function discoverSitemapURLs(origin, limit = 100, sitemapUrls = []) {
+  const urls = [];
+  const roots = sitemapUrls.length > 0 ? sitemapUrls : [`${origin}/sitemap.xml`];
+  const childSitemaps = [];
+
+  for (const rootUrl of roots.slice(0, MAX_CHILD_SITEMAPS)) {
+    if (urls.length >= limit) break;
+    const rootSitemap = await fetchSitemap(rootUrl);
+    if (rootSitemap) {
+      urls.push(...rootSitemap.pages);
+      childSitemaps.push(...rootSitemap.sitemaps);
+    }
+  }
+
+  // Sitemap index: pull pages from the first few child sitemaps
+  for (const childUrl of childSitemaps.slice(0, MAX_CHILD_SITEMAPS)) {
+    if (urls.length >= limit) break;
+    const child = await fetchSitemap(childUrl);
+    if (child) {
+      urls.push(...child.pages);
+    }
+  }
+
+  return urls.slice(0, limit);
+}
+
+/**
+ * Fetch and parse a single sitemap file
+ * Returns { pages: [], sitemaps: [] } or null on failure
+ */
+async function fetchSitemap(sitemapUrl) {
+  try {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 8000);
+
+    const response = await safeFetch(sitemapUrl, {
+      signal: controller.signal,
+      headers: {
+        'User-Agent': USER_AGENT
+      }
+    });
+
+    clearTimeout(timeoutId);
+
+    if (!response.ok) return null;
+
+    const xml = await response.text();
+    const $ = cheerio.load(xml, { xmlMode: true });
+
+    return {
+      pages: $('urlset > url > loc').map((i, el) => $(el).text().trim()).get(),
+      sitemaps: $('sitemapindex > sitemap > loc').map((i, el) => $(el).text().trim()).get()
+    };
+  } catch (error) {
+    console.log(`⚠️  Sitemap not available (${sitemapUrl}):`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Build site-level summary from per-page results
+ */
+function buildSiteRollup(startUrl, pages, failed) {
+  const categories = Object.keys(pages[0].scores);
+
+  // Average every score category across the pages that have it
+  const averageScores = {};
+  categories.forEach(category => {
+    const scored = pages.filter(page => page.scores[category] !== null && page.scores[category] !== undefined);
+    const sum = scored.reduce((acc, page) => acc + page.scores[category], 0);
+    averageScores[category] = scored.length > 0 ? Math.round(sum / scored.length) : null;
+  });
+
+  // Lowest total scores first
+  const worstPages = [...pages]
+    .sort((a, b) => a.scores.total - b.scores.total)
+    .slice(0, 3)
+    .map(page => ({ url: page.url, title: page.title, total: page.scores.total }));
+
+  // Flags raised on more than one page point to template-level problems
+  const flagPages = {};
+  pages.forEach(page => {
+    page.flags.forEach(flag => {
+      flagPages[flag] = flagPages[flag] || [];
+      flagPages[flag].push(page.url);
+    });
+  });
+
+  const recurringIssues = Object.entries(flagPages)
+    .filter(([flag, urls]) => urls.length > 1)
+    .map(([flag, urls]) => ({
+      flag,
+      page_count: urls.length,
+      percentage: Math.round((urls.length / pages.length) * 100),
+      pages: urls
+    }))
+    .sort((a, b) => b.page_count - a.page_count);
+
+  // Pages per scoring profile (differs per page when the profile is auto-detected)
+  const profileCounts = {};
+  pages.forEach(page => {
+    profileCounts[page.profile] = (profileCounts[page.profile] || 0) + 1;
+  });
+
+  return {
+    start_url: startUrl,
+    pages_audited: pages.length,
+    pages_failed: failed,
+    average_scores: averageScores,
+    profiles: profileCounts,
+    pages,
+    worst_pages: worstPages,
+    recurring_issues: recurringIssues
+  };
+}
+
+/**
+ * Resolve a link against its page and strip the fragment
+ * Returns null for non-http(s) links and non-HTML files
+ */
+function normalizePageURL(href, baseUrl) {
+  if (!href) return null;
+
+  try {
+    const urlObj = new URL(href, baseUrl);
+    if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') return null;
+    if (NON_HTML_EXTENSIONS.test(urlObj.pathname)) return null;
+
+    urlObj.hash = '';
+    return urlObj.toString();
+  } catch {
+    return null;
+  }
+}
+
+function isSameSite(url, origins) {
+  return origins.has(new URL(url).origin);
+}
+
+/**
+ * Gap between page fetches: robots.txt Crawl-delay, never below the politeness minimum
+ */
+function getRequestDelay(robots, ignoreRobots) {
+  const crawlDelayMs = ignoreRobots ? 0 : (robots.crawlDelay || 0) * 1000;
+  return Math.max(MIN_REQUEST_DELAY_MS, crawlDelayMs);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function clamp(value, min, max) {
+  const num = parseInt(value, 10);
+  if (isNaN(num)) return min;
+  return Math.max(min, Math.min(max, num));
+}
@@ -0,0 +1,142 @@
+import zlib from 'node:zlib';
+import AdmZip from 'adm-zip';
+
+/**
+ * Offline input: raw HTML or uploaded files
+ * Supports single .html/.htm files and .zip archives of a static build
+ */
+
+const MAX_HTML_BYTES = 400000;
+const MAX_STYLESHEET_BYTES = 500000;
+const MAX_ARCHIVE_ENTRIES = 500;
+// Bytes actually inflated from one archive (page + stylesheets), whatever the headers declare
+const MAX_ARCHIVE_INFLATED_BYTES = 5000000;
+const HTML_EXTENSIONS = /\.html?$/i;
+
+// Pseudo-origin so relative <link href> inside an archive resolves like a URL
+const ARCHIVE_BASE_URL = 'upload://archive/';
+
+/**
+ * Resolve pasted HTML or an uploaded file into an HTML document
+ * @param {Object} input - { html?: string, file?: { name, content (base64) }, entry?: string }
+ * @returns {Object} { html, name, source, baseUrl, stylesheets } or { error }
+ */
+export function readUploadedHTML({ html, file, entry }) {
+  if (typeof html === 'string' && html.trim().length > 0) {
+    return { html, name: 'input.html', source: 'html', baseUrl: `${ARCHIVE_BASE_URL}input.html`, stylesheets: {} };
+  }
+
+  if (!file || !file.name || !file.content) {
+    return { error: 'HTML content or file is required' };
+  }
+
+  const buffer = Buffer.from(file.content, 'base64');
+
+  if (HTML_EXTENSIONS.test(file.name)) {
+    return {
+      html: buffer.toString('utf8'),
+      name: file.name,
+      source: 'file',
+      baseUrl: new URL(file.name, ARCHIVE_BASE_URL).toString(),
+      stylesheets: {}
+    };
+  }
+
+  if (/\.zip$/i.test(file.name)) {
+    return readHTMLFromZip(buffer, file.name, entry);
+  }
+
+  return { error: 'Unsupported file type. Upload .html, .htm or .zip' };
+}
+
+/**
+ * Pick the entry page from a zipped static build
+ * Uses `entry` when given, otherwise the shallowest index.html
+ */
+function readHTMLFromZip(buffer, zipName, entry) {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch {
+    return { error: 'Invalid or corrupted zip file' };
+  }
+
+  const entries = zip.getEntries().filter(e => !e.isDirectory);
+
+  if (entries.length > MAX_ARCHIVE_ENTRIES) {
+    return { error: `Zip has too many files (>${MAX_ARCHIVE_ENTRIES})` };
+  }
+
+  const htmlEntries = entries.filter(e => HTML_EXTENSIONS.test(e.entryName));
+
+  if (htmlEntries.length === 0) {
+    return { error: 'No HTML file found in zip' };
+  }
+
+  let target;
+  if (entry) {
+    target = htmlEntries.find(e => e.entryName === entry.replace(/^\/+/, ''));
+    if (!target) {
+      return { error: `File "${entry}" not found in zip` };
+    }
+  } else {
+    // Shallowest index.html wins, otherwise the shallowest HTML file
+    const byDepth = (a, b) => a.entryName.split('/').length - b.entryName.split('/').length;
+    const indexFiles = htmlEntries.filter(e => /(^|\/)index\.html?$/i.test(e.entryName)).sort(byDepth);
+    target = indexFiles[0] || [...htmlEntries].sort(byDepth)[0];
+  }
+
+  // Zip bomb guard: declared sizes can lie, so inflation itself is capped per entry and per archive
+  let inflatedBytes = 0;
+  const inflate = (e, limit) => {
+    const data = readEntryData(e, Math.min(limit, MAX_ARCHIVE_INFLATED_BYTES - inflatedBytes));
+    if (data) inflatedBytes += data.length;
+    return data;
+  };
+
+  const html = inflate(target, MAX_HTML_BYTES);
+  if (!html) {
+    return { error: 'Page too large (>400KB) or unreadable. Try another page.' };
+  }
+
+  // Every CSS file in the archive, keyed by its pseudo-URL (until the archive budget runs out)
+  const stylesheets = {};
+  for (const e of entries.filter(e => /\.css$/i.test(e.entryName) && e.header.size <= MAX_STYLESHEET_BYTES)) {
+    const css = inflate(e, MAX_STYLESHEET_BYTES);
+    if (css) {
+      stylesheets[new URL(e.entryName, ARCHIVE_BASE_URL).toString()] = css.toString('utf8');
+    } else if (inflatedBytes >= MAX_ARCHIVE_INFLATED_BYTES) {
+      break;
+    }
+  }
+
+  return {
+    html: html.toString('utf8'),
+    name: `${zipName}/${target.entryName}`,
+    source: 'file',
+    baseUrl: new URL(target.entryName, ARCHIVE_BASE_URL).toString(),
+    stylesheets
+  };
+}
+
+/**
+ * Inflate one archive entry without ever producing more than `limit` bytes
+ * Returns null when the real content is larger, encrypted or not stored/deflated
+ */
+function readEntryData(entry, limit) {
+  if (limit <= 0 || entry.header.encrypted) return null;
+
+  const compressed = entry.getCompressedData();
+  if (compressed.length === 0) return compressed;
+  if (entry.header.method === 0) {
+    return compressed.length <= limit ? compressed : null;
+  }
+  if (entry.header.method !== 8) return null;
+
+  try {
+    // Throws instead of allocating past maxOutputLength
+    return zlib.inflateRawSync(compressed, { maxOutputLength: limit });
+  } catch {
+    return null;
+  }
+}
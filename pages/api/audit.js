@@ -1,14 +1,46 @@
-import { crawlURL } from '../../lib/crawler.js';
-import { calculateScores } from '../../lib/scorer.js';
+import { crawlURL, parseHTML } from '../../lib/crawler.js';
+import { calculateScores, WCAG_LEVELS } from '../../lib/scorer.js';
+import { getProfile } from '../../lib/profiles.js';
 import { runAIAnalysis } from '../../lib/gemini.js';
+import { getLLMConfig } from '../../lib/llm.js';
 import { getCombinedPageSpeedScore } from '../../lib/pagespeed.js';
+import { auditSite } from '../../lib/site.js';
+import { readUploadedHTML } from '../../lib/upload.js';
+import { validatePublicURL } from '../../lib/network.js';
+import { loadPlugins } from '../../lib/plugins.js';
+import { fingerprint, withCache } from '../../lib/cache.js';
 
 /**
  * POST /api/audit
  * Main endpoint to run UX audit
  * 
- * Body: { url: string }
- * Returns: Full audit result
+ * Body: { url: string, mode?: 'page' | 'site', maxPages?: number, maxDepth?: number, wcagLevel?: 'AA' | 'AAA', profile?: string, ignoreRobots?: boolean, imageSizes?: boolean, resourceSizes?: boolean, forceRefresh?: boolean }
+ *    or: { html: string, url?: string } (raw HTML, url only used as label/base)
+ *    or: { file: { name, content (base64) }, entry?: string } (.html/.htm/.zip upload)
+ * Returns: Full audit result (page mode) or site rollup (site mode)
+ * 
+ * URLs must be http(s) and resolve to public addresses (see lib/network.js);
+ * internal staging hosts can be allowlisted with AUDIT_ALLOWED_HOSTS
+ * 
+ * ignoreRobots is an explicit override for site owners auditing their own site;
+ * without it, URLs disallowed by robots.txt fail with 403 + code BLOCKED_BY_ROBOTS
+ * 
+ * profile picks the scoring weights & points (lib/profiles.js): 'default', 'landing',
+ * 'product', 'article', 'lead_gen', 'pricing', a custom id, or 'auto' to detect the
+ * page type per page
+ * 
+ * House-rule plugins from AUDIT_PLUGINS_DIR (lib/plugins.js) are loaded before the
+ * first audit; their categories appear in scores & ledger, their flags in flags
+ * 
+ * imageSizes (page mode, default true) sends HEAD requests for the first images
+ * to check their byte size; set false to audit from markup only
+ * 
+ * resourceSizes (page mode, default true) does the same for scripts, stylesheets &
+ * fonts, which the offline performance estimate uses when PageSpeed is unavailable
+ * 
+ * Crawl, PageSpeed and AI results are cached per normalized URL & options (lib/cache.js,
+ * AUDIT_CACHE backend & TTLs); forceRefresh (page mode) reruns every stage and
+ * replaces the cached results. metadata.cache says which stages were cache hits
  */
 export default async function handler(req, res) {
   // CORS headers for development
@@ -25,73 +57,212 @@ export default async function handler(req, res) {
   }
   
   try {
-    const { url } = req.body;
+    // Plugin extractors run while parsing, so they must be registered first
+    await loadPlugins();
+    
+    const { url, html, file, entry, mode = 'page', maxPages, maxDepth, wcagLevel = 'AA', profile = 'default', ignoreRobots = false, imageSizes = true, resourceSizes = true, forceRefresh = false } = req.body;
+    const isUpload = Boolean(html || file);
     
-    // Validate URL
-    if (!url) {
-      return res.status(400).json({ error: 'URL is required' });
+    // Validate input
+    if (!url && !isUpload) {
+      return res.status(400).json({ error: 'URL, HTML, or file is required' });
     }
     
-    let validUrl;
-    try {
-      validUrl = new URL(url);
-    } catch {
-      return res.status(400).json({ error: 'Invalid URL format' });
+    if (!Object.hasOwn(WCAG_LEVELS, wcagLevel)) {
+      return res.status(400).json({ error: 'wcagLevel must be "AA" or "AAA"' });
     }
     
-    console.log(`🔍 Starting audit for: ${url}`);
+    if (profile !== 'auto' && !getProfile(profile)) {
+      return res.status(400).json({ error: `Unknown scoring profile "${profile}"` });
+    }
     
-    // STEP 1: Crawl & Extract Data
-    console.log('⬇️  Step 1: Crawling...');
-    const crawledData = await crawlURL(url);
+    // Uploads only use url as a label, so only fetched URLs need the SSRF check
+    if (url && !isUpload) {
+      const safety = await validatePublicURL(url);
+      if (safety.error) {
+        return res.status(400).json({ 
+          error: safety.error,
+          code: safety.code,
+          step: 'validation'
+        });
+      }
+    } else if (url) {
+      try {
+        new URL(url);
+      } catch {
+        return res.status(400).json({ error: 'Invalid URL format' });
+      }
+    }
+    
+    // Site mode: score many pages, skip PageSpeed & AI (too slow per page)
+    if (mode === 'site') {
+      if (isUpload) {
+        return res.status(400).json({ error: 'Site mode requires a URL' });
+      }
+      
+      console.log(`🌐 Starting site audit for: ${url}`);
+      const siteResult = await auditSite(url, { maxPages, maxDepth, wcagLevel, profile, ignoreRobots: ignoreRobots === true });
+      
+      if (siteResult.error) {
+        return res.status(siteResult.code === 'BLOCKED_BY_ROBOTS' ? 403 : 400).json({ 
+          error: siteResult.error,
+          code: siteResult.code,
+          step: siteResult.code === 'BLOCKED_BY_ROBOTS' ? 'robots' : 'crawling'
+        });
+      }
+      
+      console.log(`✅ Site audit complete! (${siteResult.pages_audited} pages)`);
+      
+      return res.status(200).json({
+        mode: 'site',
+        url: siteResult.start_url,
+        timestamp: new Date().toISOString(),
+        site: siteResult
+      });
+    }
+    
+    // Cache hits per stage (null when the stage didn't run)
+    const cacheInfo = { crawl: null, pagespeed: null, ai: null };
+    const cacheOptions = { forceRefresh: forceRefresh === true };
+    
+    // STEP 1: Crawl & Extract Data (or parse uploaded HTML offline)
+    let crawledData;
+    if (isUpload) {
+      console.log('📄 Step 1: Parsing uploaded HTML...');
+      const upload = readUploadedHTML({ html, file, entry });
+      
+      if (upload.error) {
+        return res.status(400).json({ 
+          error: upload.error,
+          step: 'upload'
+        });
+      }
+      
+      crawledData = parseHTML(upload.html, {
+        url: url || `upload://${upload.name}`,
+        source: upload.source,
+        baseUrl: upload.baseUrl,
+        stylesheets: upload.stylesheets
+      });
+    } else {
+      console.log(`🔍 Starting audit for: ${url}`);
+      console.log('⬇️  Step 1: Crawling...');
+      const crawlOptions = { ignoreRobots: ignoreRobots === true, imageSizes: imageSizes !== false, resourceSizes: resourceSizes !== false };
+      const crawl = await withCache('crawl', { url, ...crawlOptions }, () => crawlURL(url, crawlOptions), cacheOptions);
+      crawledData = crawl.value;
+      cacheInfo.crawl = crawl.cache;
+    }
+    
+    if (crawledData.code === 'BLOCKED_BY_ROBOTS') {
+      return res.status(403).json({ 
+        error: crawledData.error,
+        code: crawledData.code,
+        step: 'robots'
+      });
+    }
     
     if (crawledData.error) {
       return res.status(400).json({ 
         error: crawledData.error,
+        code: crawledData.code,
         step: 'crawling'
       });
     }
     
-    // STEP 2: Calculate Scores (Pure Math - Fast!)
-    console.log('🔢 Step 2: Calculating scores...');
-    const scoringResult = calculateScores(crawledData);
-    
-    // STEP 3: PageSpeed (Optional, non-blocking)
-    console.log('⚡ Step 3: Fetching PageSpeed (optional)...');
+    // STEP 2: PageSpeed (Optional, non-blocking, needs a public URL)
+    // Without it the lab metrics are estimated from the page's resources (lib/pagespeed.js)
     let pageSpeedResult = null;
-    try {
-      // Try to get PageSpeed, but don't fail if it errors
-      pageSpeedResult = await getCombinedPageSpeedScore(url);
-      if (pageSpeedResult) {
-        console.log('✅ PageSpeed data retrieved');
-      } else {
-        console.log('⚠️  PageSpeed not available, continuing without it');
+    if (isUpload) {
+      console.log('⚡ Step 2: Skipping PageSpeed for uploaded HTML');
+    } else {
+      console.log('⚡ Step 2: Fetching PageSpeed (optional)...');
+      try {
+        // Try to get PageSpeed, but don't fail if it errors
+        const pageSpeed = await withCache('pagespeed', { url }, () => getCombinedPageSpeedScore(url), cacheOptions);
+        pageSpeedResult = pageSpeed.value;
+        cacheInfo.pagespeed = pageSpeed.cache;
+        if (pageSpeedResult) {
+          console.log('✅ PageSpeed data retrieved');
+        } else {
+          console.log('⚠️  PageSpeed not available, estimating performance offline');
+        }
+      } catch (error) {
+        console.log('⚠️  PageSpeed fetch failed, estimating performance offline:', error.message);
       }
-    } catch (error) {
-      console.log('⚠️  PageSpeed fetch failed, continuing without it:', error.message);
     }
     
+    // STEP 3: Calculate Scores (Pure Math - Fast!)
+    console.log('🔢 Step 3: Calculating scores...');
+    const scoringResult = calculateScores(crawledData, { wcagLevel, profile, pageSpeed: pageSpeedResult });
+    
     // STEP 4: AI Analysis (3 brains: Analyzer, Storyteller, Recommender)
     console.log('🤖 Step 4: Running AI analysis...');
-    const aiResult = await runAIAnalysis(crawledData, scoringResult);
+    // Same page, scores & models give the same answers; rule-based fallbacks aren't kept
+    const { provider: llmProvider, models: llmModels } = getLLMConfig();
+    const ai = await withCache('ai', {
+      url: crawledData.url,
+      input: fingerprint({ title: crawledData.title, h1: crawledData.headings.h1, ...scoringResult }),
+      llm: { provider: llmProvider, models: llmModels }
+    }, () => runAIAnalysis(crawledData, scoringResult), { ...cacheOptions, cacheable: result => !result.fallback });
+    const aiResult = ai.value;
+    cacheInfo.ai = ai.cache;
     
     // Combine everything
     const finalResult = {
+      mode: 'page',
+      source: crawledData.source,
       url: crawledData.url,
+      requested_url: crawledData.requested_url || crawledData.url,
+      robots_overridden: !isUpload && ignoreRobots === true,
       title: crawledData.title,
       timestamp: new Date().toISOString(),
       
       // Scores
       scores: scoringResult.scores,
       
-      // PageSpeed (if available)
-      performance: pageSpeedResult ? {
-        overall: pageSpeedResult.overallScore,
-        mobile: pageSpeedResult.mobile?.scores,
-        desktop: pageSpeedResult.desktop?.scores,
-        metrics: pageSpeedResult.mobile?.metrics || pageSpeedResult.desktop?.metrics,
-        opportunities: pageSpeedResult.mobile?.opportunities || pageSpeedResult.desktop?.opportunities || []
-      } : null,
+      // Scoring profile used (detection evidence when profile was 'auto')
+      profile: scoringResult.profile,
+      
+      // Every scoring rule per category: points awarded/possible, pass/fail, evidence
+      ledger: scoringResult.ledger,
+      
+      // Per-element contrast results against the chosen WCAG level
+      contrast: {
+        level: scoringResult.details.accessibility.wcag_level,
+        results: scoringResult.details.accessibility.contrast_results
+      },
+      
+      // Failed accessibility checks merged with Lighthouse accessibility audits (no duplicates)
+      accessibility_findings: scoringResult.details.accessibility.findings,
+      
+      // How the page was served: redirects, timing, encoding, caching (null for uploads)
+      response: crawledData.response || null,
+      
+      // Readability of the body copy (null when too short or not id/en)
+      readability: scoringResult.details.readability,
+      
+      // Mobile readiness: viewport, fixed widths, responsive images, tiny text
+      mobile: scoringResult.details.mobile,
+      
+      // Security headers & HTTPS checks (null for uploads)
+      security: scoringResult.details.security,
+      
+      // Form usability checks with per-field findings (null without forms)
+      forms: scoringResult.details.forms,
+      
+      // Image dimensions, lazy-loading, formats & byte sizes (null without images)
+      images: scoringResult.details.images,
+      
+      // Performance: PageSpeed lab metrics & opportunities, or the same fields estimated
+      // offline from the page's resources (estimated: true), plus the resource inventory
+      performance: {
+        score: scoringResult.scores.performance,
+        ...scoringResult.details.performance,
+        overall: pageSpeedResult ? pageSpeedResult.overallScore : scoringResult.details.performance.lighthouse_score,
+        mobile: pageSpeedResult?.mobile?.scores || null,
+        desktop: pageSpeedResult?.desktop?.scores || null,
+        resources: crawledData.resources.items
+      },
       
       // AI Results
       analysis: aiResult.analysis,
@@ -104,7 +275,13 @@ export default async function handler(req, res) {
         meta_description: crawledData.meta_description,
         image_count: crawledData.images.length,
         cta_count: scoringResult.details.cta.primary_cta_count,
-        form_count: crawledData.forms.length
+        form_count: crawledData.forms.length,
+        heading_outline: crawledData.headings.outline,
+        heading_violations: scoringResult.details.layout.heading_violations,
+        // Per stage: { stage, backend, hit, stored_at, expires_at }
+        cache: cacheInfo,
+        // LLM provider & model per brain; fallback when a brain used the rule-based answer
+        ai: { ...aiResult.llm, fallback: Boolean(aiResult.fallback) }
       }
     };
     
@@ -129,7 +306,7 @@ export default async function handler(req, res) {
 export const config = {
   api: {
     bodyParser: {
-      sizeLimit: '1mb',
+      sizeLimit: '6mb', // base64 zip uploads
     },
     responseLimit: '8mb',
   },
@@ -1,17 +1,49 @@
 import { useState } from 'react';
 import Head from 'next/head';
+import { listProfiles } from '../lib/profiles.js';
 
-export default function Home() {
+// Built-in and custom profiles (registerProfile, AUDIT_PROFILES_FILE) as the server knows them
+export function getServerSideProps() {
+  return { props: { profiles: listProfiles() } };
+}
+
+export default function Home({ profiles = [] }) {
+  const profileOptions = [AUTO_PROFILE_OPTION, ...profiles.map(p => ({ id: p.id, label: p.name, description: p.description }))];
   const [url, setUrl] = useState('');
+  const [siteMode, setSiteMode] = useState(false);
+  const [inputMode, setInputMode] = useState('url');
+  const [html, setHtml] = useState('');
+  const [file, setFile] = useState(null);
+  const [wcagLevel, setWcagLevel] = useState('AA');
+  const [profile, setProfile] = useState('auto');
+  const [ignoreRobots, setIgnoreRobots] = useState(false);
+  const [forceRefresh, setForceRefresh] = useState(false);
   const [loading, setLoading] = useState(false);
   const [result, setResult] = useState(null);
   const [error, setError] = useState(null);
+  const [errorCode, setErrorCode] = useState(null);
+
+  // Read uploaded .html/.zip as base64 for the JSON body
+  const handleFileChange = (e) => {
+    const selected = e.target.files[0];
+    if (!selected) {
+      setFile(null);
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      setFile({ name: selected.name, content: reader.result.split(',')[1] });
+    };
+    reader.readAsDataURL(selected);
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     
     setLoading(true);
     setError(null);
+    setErrorCode(null);
     setResult(null);
 
     try {
@@ -20,12 +52,19 @@ export default function Home() {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ url }),
+        body: JSON.stringify({
+          ...(inputMode === 'html' ? { html } :
+            inputMode === 'file' ? { file } :
+            { url, mode: siteMode ? 'site' : 'page', ignoreRobots, forceRefresh }),
+          wcagLevel,
+          profile
+        }),
       });
 
       const data = await response.json();
 
       if (!response.ok) {
+        setErrorCode(data.code || null);
         throw new Error(data.error || 'Audit failed');
       }
 
@@ -61,20 +100,140 @@ export default function Home() {
         {/* Form */}
         <div className="bg-white rounded-2xl shadow-xl p-8 mb-8">
           <form onSubmit={handleSubmit} className="space-y-6">
-            <div>
-              <label htmlFor="url" className="block text-sm font-medium text-gray-700 mb-2">
-                Masukkan URL Website
-              </label>
-              <input
-                type="url"
-                id="url"
-                value={url}
-                onChange={(e) => setUrl(e.target.value)}
-                placeholder="https://example.com"
-                required
-                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition"
+            {/* Input Mode Tabs */}
+            <div className="flex gap-2">
+              {[
+                { id: 'url', label: '🌐 URL' },
+                { id: 'html', label: '📝 Paste HTML' },
+                { id: 'file', label: '📁 Upload File' }
+              ].map(tab => (
+                <button
+                  key={tab.id}
+                  type="button"
+                  onClick={() => setInputMode(tab.id)}
+                  disabled={loading}
+                  className={`px-4 py-2 rounded-lg text-sm font-medium transition ${
+                    inputMode === tab.id ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                  }`}
+                >
+                  {tab.label}
+                </button>
+              ))}
+            </div>
+
+            {inputMode === 'url' && (
+              <div>
+                <label htmlFor="url" className="block text-sm font-medium text-gray-700 mb-2">
+                  Masukkan URL Website
+                </label>
+                <input
+                  type="url"
+                  id="url"
+                  value={url}
+                  onChange={(e) => setUrl(e.target.value)}
+                  placeholder="https://example.com"
+                  required
+                  className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition"
+                  disabled={loading}
+                />
+                <label className="flex items-center mt-3 text-sm text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={siteMode}
+                    onChange={(e) => setSiteMode(e.target.checked)}
+                    className="mr-2"
+                    disabled={loading}
+                  />
+                  Audit beberapa halaman (sitemap & link internal, tanpa AI)
+                </label>
+                <label className="flex items-center mt-2 text-sm text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={ignoreRobots}
+                    onChange={(e) => setIgnoreRobots(e.target.checked)}
+                    className="mr-2"
+                    disabled={loading}
+                  />
+                  Saya pemilik situs ini — abaikan robots.txt
+                </label>
+                <label className="flex items-center mt-2 text-sm text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={forceRefresh}
+                    onChange={(e) => setForceRefresh(e.target.checked)}
+                    className="mr-2"
+                    disabled={loading}
+                  />
+                  Audit ulang dari awal (abaikan hasil tersimpan)
+                </label>
+              </div>
+            )}
+
+            {inputMode === 'html' && (
+              <div>
+                <label htmlFor="html" className="block text-sm font-medium text-gray-700 mb-2">
+                  Paste Kode HTML
+                </label>
+                <textarea
+                  id="html"
+                  value={html}
+                  onChange={(e) => setHtml(e.target.value)}
+                  placeholder="<!DOCTYPE html>..."
+                  rows={8}
+                  required
+                  className="w-full px-4 py-3 border border-gray-300 rounded-lg font-mono text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent transition"
+                  disabled={loading}
+                />
+              </div>
+            )}
+
+            {inputMode === 'file' && (
+              <div>
+                <label htmlFor="file" className="block text-sm font-medium text-gray-700 mb-2">
+                  Upload File .html atau .zip (static build)
+                </label>
+                <input
+                  type="file"
+                  id="file"
+                  accept=".html,.htm,.zip"
+                  onChange={handleFileChange}
+                  required
+                  className="w-full text-sm text-gray-600"
+                  disabled={loading}
+                />
+                <p className="text-xs text-gray-500 mt-2">
+                  Untuk .zip, halaman index.html akan diaudit. Diproses offline tanpa mengakses internet.
+                </p>
+              </div>
+            )}
+
+            <div className="flex items-center text-sm text-gray-600">
+              <label htmlFor="wcagLevel" className="mr-2">Target kontras WCAG:</label>
+              <select
+                id="wcagLevel"
+                value={wcagLevel}
+                onChange={(e) => setWcagLevel(e.target.value)}
+                className="border border-gray-300 rounded-lg px-2 py-1"
                 disabled={loading}
-              />
+              >
+                <option value="AA">AA (4.5:1 / 3:1)</option>
+                <option value="AAA">AAA (7:1 / 4.5:1)</option>
+              </select>
+            </div>
+
+            <div className="flex items-center text-sm text-gray-600">
+              <label htmlFor="profile" className="mr-2">Jenis halaman:</label>
+              <select
+                id="profile"
+                value={profile}
+                onChange={(e) => setProfile(e.target.value)}
+                className="border border-gray-300 rounded-lg px-2 py-1"
+                disabled={loading}
+              >
+                {profileOptions.map(option => (
+                  <option key={option.id} value={option.id} title={option.description}>{option.label}</option>
+                ))}
+              </select>
             </div>
 
             <button
@@ -96,7 +255,18 @@ export default function Home() {
           )}
 
           {/* Error State */}
-          {error && (
+          {error && errorCode === 'BLOCKED_BY_ROBOTS' && (
+            <div className="mt-8 bg-yellow-50 border border-yellow-200 rounded-lg p-6">
+              <h3 className="text-yellow-800 font-semibold mb-2">🤖 Diblokir oleh robots.txt</h3>
+              <p className="text-yellow-700">
+                Situs ini melarang UXAuditorBot mengakses halaman tersebut. Jika Anda pemilik situs,
+                centang &quot;Saya pemilik situs ini&quot; lalu jalankan audit lagi.
+              </p>
+              <p className="text-xs text-yellow-600 mt-2">{error}</p>
+            </div>
+          )}
+
+          {error && errorCode !== 'BLOCKED_BY_ROBOTS' && (
             <div className="mt-8 bg-red-50 border border-red-200 rounded-lg p-6">
               <h3 className="text-red-800 font-semibold mb-2">❌ Terjadi Kesalahan</h3>
               <p className="text-red-600">{error}</p>
@@ -104,12 +274,31 @@ export default function Home() {
           )}
         </div>
 
+        {/* Site Results (multi-page) */}
+        {result && result.mode === 'site' && (
+          <SiteResults
+            site={result.site}
+            profiles={profiles}
+            onReset={() => {
+              setResult(null);
+              setUrl('');
+            }}
+          />
+        )}
+
         {/* Results */}
-        {result && (
+        {result && result.mode !== 'site' && (
           <div className="space-y-6">
             {/* Statistics Summary */}
             <div className="bg-gradient-to-r from-blue-600 to-indigo-600 rounded-2xl shadow-xl p-8 text-white">
               <h2 className="text-2xl font-bold mb-6">📈 Ringkasan Audit</h2>
+              {result.metadata.cache && Object.values(result.metadata.cache).some(stage => stage?.hit) && (
+                <p className="text-sm text-blue-100 -mt-4 mb-6">
+                  ♻️ Sebagian hasil dari cache ({CACHE_STAGES.filter(([stage]) => result.metadata.cache[stage]?.hit)
+                    .map(([stage, label]) => `${label}, ${new Date(result.metadata.cache[stage].stored_at).toLocaleString('id-ID')}`)
+                    .join('; ')}). Centang "Audit ulang dari awal" untuk data terbaru.
+                </p>
+              )}
               <div className="grid grid-cols-2 md:grid-cols-4 gap-6">
                 <StatCard 
                   icon="🔍"
@@ -176,6 +365,16 @@ export default function Home() {
                   <p className="text-sm text-gray-500 mt-1">
                     {getScoreLabel(result.scores.total)}
                   </p>
+                  {result.profile && (
+                    <p className="text-xs text-gray-500 mt-2" title={result.profile.detection?.signals.join('\n')}>
+                      Profil penilaian: <strong>{result.profile.name}</strong>
+                      {result.profile.detection && (
+                        result.profile.detection.signals.length > 0
+                          ? ` (terdeteksi otomatis, keyakinan ${CONFIDENCE_LABELS[result.profile.detection.confidence]})`
+                          : ' (jenis halaman tidak terdeteksi)'
+                      )}
+                    </p>
+                  )}
                 </div>
               </div>
 
@@ -187,27 +386,72 @@ export default function Home() {
                 <ScoreProgressBar 
                   label="Content Clarity" 
                   score={result.scores.content}
+                  ledger={result.ledger?.content}
                   description="Kejelasan konten, struktur heading, meta description"
                   icon="📝"
                 />
                 <ScoreProgressBar 
                   label="Layout & Hierarchy" 
                   score={result.scores.layout}
+                  ledger={result.ledger?.layout}
                   description="Organisasi visual, hierarki informasi, struktur halaman"
                   icon="🎨"
                 />
                 <ScoreProgressBar 
                   label="Actionability (CTA)" 
                   score={result.scores.cta}
+                  ledger={result.ledger?.cta}
                   description="Kejelasan call-to-action, kemudahan mencapai tujuan"
                   icon="🎯"
                 />
                 <ScoreProgressBar 
                   label="Accessibility" 
                   score={result.scores.accessibility}
+                  ledger={result.ledger?.accessibility}
                   description="Kontras warna, alt text, ukuran font, label form"
                   icon="♿"
                 />
+                {result.scores.mobile !== null && result.scores.mobile !== undefined && (
+                  <ScoreProgressBar 
+                    label="Mobile Readiness" 
+                    score={result.scores.mobile}
+                    ledger={result.ledger?.mobile}
+                    description="Meta viewport, layout responsif, gambar responsif, ukuran teks & area sentuh"
+                    icon="📱"
+                  />
+                )}
+                {Object.entries(result.ledger || {})
+                  .filter(([category, ledger]) => ledger && !(category in CATEGORY_LABELS))
+                  .map(([category, ledger]) => (
+                    <ScoreProgressBar 
+                      key={category}
+                      label={ledger.title || category}
+                      score={ledger.score}
+                      ledger={ledger}
+                      description="Rule khusus proyek (plugin)"
+                      icon="🧩"
+                    />
+                  ))}
+                {result.scores.security !== null && result.scores.security !== undefined && (
+                  <ScoreProgressBar 
+                    label="Security & HTTPS" 
+                    score={result.scores.security}
+                    ledger={result.ledger?.security}
+                    description="HTTPS, HSTS, CSP, proteksi clickjacking, Referrer/Permissions-Policy, mixed content"
+                    icon="🔒"
+                  />
+                )}
+                {result.scores.performance !== null && result.scores.performance !== undefined && (
+                  <ScoreProgressBar 
+                    label={result.performance?.estimated ? 'Performance (perkiraan)' : 'Performance'} 
+                    score={result.scores.performance}
+                    ledger={result.ledger?.performance}
+                    description={result.performance?.estimated
+                      ? 'LCP, TBT, CLS, FCP & Speed Index diperkirakan dari resource halaman (PageSpeed tidak tersedia)'
+                      : `Core Web Vitals dari PageSpeed Insights (${result.performance?.strategy || 'mobile'}): LCP, TBT, CLS, FCP, Speed Index`}
+                    icon="⚡"
+                  />
+                )}
               </div>
 
               {/* Methodology */}
@@ -220,11 +464,22 @@ export default function Home() {
                     <strong>Skor dihitung berdasarkan:</strong>
                   </p>
                   <ul className="list-disc ml-5 space-y-1">
-                    <li>Content Clarity (30%): Struktur heading, meta tags, rasio teks</li>
-                    <li>Layout & Hierarchy (25%): Organisasi visual, kepadatan elemen</li>
-                    <li>Actionability (25%): Kualitas CTA, kejelasan aksi</li>
-                    <li>Accessibility (20%): WCAG 2.1 lite - kontras, alt text, font size</li>
+                    <li>Content Clarity ({formatWeight(result.profile?.weights.content ?? 0.20)}): Struktur heading, meta tags, rasio teks, keterbacaan</li>
+                    <li>Layout & Hierarchy ({formatWeight(result.profile?.weights.layout ?? 0.15)}): Organisasi visual, kepadatan elemen</li>
+                    <li>Actionability ({formatWeight(result.profile?.weights.cta ?? 0.20)}): Kualitas CTA, kejelasan aksi</li>
+                    <li>Accessibility ({formatWeight(result.profile?.weights.accessibility ?? 0.15)}): WCAG 2.1 lite - kontras, alt text, font size</li>
+                    <li>Mobile Readiness ({formatWeight(result.profile?.weights.mobile ?? 0.10)}): viewport, lebar tetap, gambar responsif, teks kecil</li>
+                    <li>Security & HTTPS ({formatWeight(result.profile?.weights.security ?? 0.05)}): security headers & mixed content (hanya untuk audit URL)</li>
+                    <li>Performance ({formatWeight(result.profile?.weights.performance ?? 0.15)}): metrik lab PageSpeed (LCP, TBT, CLS, FCP, Speed Index), atau perkiraan offline dari resource halaman (bobot perkiraan dipotong setengah)</li>
+                    {Object.entries(result.ledger || {})
+                      .filter(([category, ledger]) => ledger && !(category in CATEGORY_LABELS))
+                      .map(([category, ledger]) => (
+                        <li key={category}>{ledger.title || category} ({formatWeight(result.profile?.weights[category] ?? 0)}): rule khusus proyek (plugin)</li>
+                      ))}
                   </ul>
+                  <p className="mt-3">
+                    Bobot dan poin mengikuti profil jenis halaman ({result.profile?.name || 'Umum'}). Bobot bersifat relatif dan dinormalisasi ke kategori yang tersedia, jadi audit HTML/file tanpa header cukup melewati Security.
+                  </p>
                   <p className="mt-3">
                     <strong>Proses audit:</strong> Crawling HTML → Analisis matematis (47+ parameter) → 
                     AI analysis dengan 3 model spesialis (Analyzer, Storyteller, Recommender)
@@ -240,6 +495,13 @@ export default function Home() {
                 <p className="text-gray-700 whitespace-pre-line leading-relaxed">
                   {result.narrative}
                 </p>
+                {result.metadata.ai && (
+                  <p className="text-xs text-gray-500 mt-3">
+                    {result.metadata.ai.fallback
+                      ? `Sebagian analisis dibuat dari aturan bawaan karena model AI (${result.metadata.ai.provider}) tidak tersedia.`
+                      : `Dianalisis dengan ${result.metadata.ai.provider} (${[...new Set(Object.values(result.metadata.ai.models))].join(', ')})${result.metadata.ai.mode === 'replay' ? ', respons rekaman' : ''}.`}
+                  </p>
+                )}
               </div>
             </div>
 
@@ -266,15 +528,340 @@ export default function Home() {
                   ]}
                 />
               </div>
+              {result.ledger && getLostPoints(result.ledger).length > 0 && (
+                <div className="mt-6">
+                  <EvidenceCard 
+                    title="📉 Pengecekan yang Paling Banyak Mengurangi Skor"
+                    items={getLostPoints(result.ledger).slice(0, 8).map(rule => ({
+                      label: `${CATEGORY_LABELS[rule.category] || result.ledger[rule.category].title || rule.category} · ${rule.title}`,
+                      value: formatRulePoints(rule),
+                      detail: rule.evidence
+                    }))}
+                  />
+                </div>
+              )}
             </div>
 
-            {/* PageSpeed Performance (if available) */}
-            {result.performance && (
+            {/* Readability */}
+            {result.readability && (
+              <div className="bg-white rounded-2xl shadow-xl p-8">
+                <h2 className="text-2xl font-bold text-gray-900 mb-2">
+                  📖 Keterbacaan
+                </h2>
+                <p className="text-sm text-gray-500 mb-6">
+                  Bahasa {result.readability.language === 'id' ? 'Indonesia' : 'Inggris'}
+                  {result.readability.language_source === 'html_lang' ? ' (dari atribut lang)' : ' (terdeteksi dari teks)'}
+                  {` · ${result.readability.word_count} kata, ${result.readability.sentence_count} kalimat`}
+                </p>
+                <div className="grid md:grid-cols-2 gap-6">
+                  <EvidenceCard 
+                    title="Tingkat Kesulitan"
+                    items={[
+                      { label: 'Grade', value: `${result.readability.grade} (target ≤ ${result.readability.target_grade})` },
+                      { label: 'Kata per Kalimat', value: result.readability.avg_sentence_length },
+                      { label: 'Kalimat Panjang', value: `${result.readability.long_sentence_pct}%` },
+                      { label: 'Suku Kata per Kata', value: result.readability.syllables_per_word }
+                    ]}
+                  />
+                  <EvidenceCard 
+                    title="Gaya Bahasa"
+                    items={[
+                      { label: 'Kalimat Pasif', value: `${result.readability.passive_pct}%` },
+                      { label: 'Jargon', value: result.readability.jargon_terms.length > 0
+                        ? `${result.readability.jargon_pct}% (${result.readability.jargon_terms.slice(0, 4).join(', ')})`
+                        : '✓ Tidak ada' }
+                    ]}
+                  />
+                </div>
+                {result.readability.hardest_paragraphs.length > 0 && (
+                  <div className="mt-6">
+                    <h3 className="font-semibold text-gray-900 mb-3">
+                      Paragraf Tersulit
+                    </h3>
+                    <div className="space-y-3">
+                      {result.readability.hardest_paragraphs.map((paragraph, idx) => (
+                        <blockquote key={idx} className="border-l-4 border-orange-300 bg-orange-50 rounded p-3 text-sm">
+                          <p className="text-gray-800 mb-1">"{paragraph.text}"</p>
+                          <p className="text-xs text-gray-500">Grade {paragraph.grade} · {paragraph.reason}</p>
+                        </blockquote>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+
+                        {/* Response & Redirects (URL audits only) */}
+            {result.response && (
+              <div className="bg-white rounded-2xl shadow-xl p-8">
+                <h2 className="text-2xl font-bold text-gray-900 mb-2">
+                  🌐 Respons Server
+                </h2>
+                <p className="text-sm text-gray-500 mb-6 break-all">
+                  Halaman akhir: {result.response.final_url}
+                </p>
+                <div className="grid md:grid-cols-2 gap-6">
+                  <EvidenceCard 
+                    title="Waktu & Encoding"
+                    items={[
+                      { label: 'Status', value: `HTTP ${result.response.status}` },
+                      { label: 'Waktu Respons', value: `${result.response.timing.response_ms} ms` },
+                      { label: 'Content-Type', value: `${result.response.content_type || '-'} (${result.response.charset})` },
+                      { label: 'Kompresi', value: result.response.compression }
+                    ]}
+                  />
+                  <EvidenceCard 
+                    title="Cache"
+                    items={[
+                      { label: 'Cache-Control', value: result.response.cache.cache_control || 'Tidak ada' },
+                      { label: 'ETag', value: result.response.cache.etag ? '✓ Ada' : '✗ Tidak ada' },
+                      { label: 'Last-Modified', value: result.response.cache.last_modified || 'Tidak ada' },
+                      { label: 'Server-Timing', value: result.response.timing.server_timing.length > 0
+                        ? result.response.timing.server_timing.map(m => `${m.name}${m.duration_ms !== null ? ` ${m.duration_ms}ms` : ''}`).join(', ')
+                        : 'Tidak ada' }
+                    ]}
+                  />
+                </div>
+                {result.security && (
+                  <div className="mt-6">
+                    <EvidenceCard 
+                      title="Keamanan & HTTPS"
+                      items={[
+                        { label: 'HTTPS', value: result.security.is_https ? '✓ Ya' : '✗ Tidak' },
+                        { label: 'HSTS', value: result.security.hsts_present ? `✓ max-age=${result.security.hsts_max_age}` : '✗ Tidak ada' },
+                        { label: 'Content-Security-Policy', value: result.security.csp_enforced
+                          ? (result.security.csp_allows_inline_scripts ? '⚠️ Ada (inline script diizinkan)' : '✓ Ada')
+                          : (result.security.csp_report_only ? '⚠️ Report-only' : '✗ Tidak ada') },
+                        { label: 'Proteksi Clickjacking', value: result.security.clickjacking_protected ? '✓ Ada' : '✗ Tidak ada' },
+                        { label: 'Referrer-Policy', value: result.security.referrer_policy || '✗ Tidak ada' },
+                        { label: 'Permissions-Policy', value: result.security.permissions_policy ? '✓ Ada' : '✗ Tidak ada' },
+                        { label: 'Mixed Content', value: result.security.mixed_content_count > 0
+                          ? `✗ ${result.security.mixed_content_count} resource (${result.security.mixed_content_active_count} aktif)`
+                          : '✓ Tidak ada' }
+                      ]}
+                    />
+                  </div>
+                )}
+                {result.response.redirects.length > 0 && (
+                  <div className="mt-6">
+                    <h3 className="font-semibold text-gray-900 mb-3">
+                      Rantai Redirect ({result.response.redirect_count})
+                    </h3>
+                    <ol className="space-y-2 text-sm">
+                      {result.response.redirects.map((hop, idx) => (
+                        <li key={idx} className="flex items-start">
+                          <span className="flex-shrink-0 text-xs font-semibold bg-gray-100 text-gray-700 px-2 py-1 rounded mr-3">
+                            {hop.status}
+                          </span>
+                          <span className={`break-all ${hop.url.startsWith('https:') && hop.location.startsWith('http:') ? 'text-red-600' : 'text-gray-700'}`}>
+                            {hop.url} → {hop.location} <span className="text-gray-400">({hop.time_ms} ms)</span>
+                          </span>
+                        </li>
+                      ))}
+                    </ol>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Mobile Readiness */}
+            {result.mobile && (
+              <div className="bg-white rounded-2xl shadow-xl p-8">
+                <h2 className="text-2xl font-bold text-gray-900 mb-2">
+                  📱 Kesiapan Mobile
+                </h2>
+                <p className="text-sm text-gray-500 mb-6">
+                  Dicek secara statis pada viewport ponsel 375px
+                </p>
+                <div className="grid md:grid-cols-2 gap-6">
+                  <EvidenceCard 
+                    title="Viewport & Layout"
+                    items={[
+                      { label: 'Meta Viewport', value: result.mobile.viewport_present ? result.mobile.viewport_content : '✗ Tidak ada' },
+                      { label: 'Zoom', value: result.mobile.zoom_disabled ? '✗ Dinonaktifkan' : '✓ Bisa di-zoom' },
+                      { label: 'Media Query', value: `${result.mobile.media_queries} breakpoint` },
+                      { label: 'Lebar Tetap', value: result.mobile.fixed_width_count > 0 ? `✗ ${result.mobile.fixed_width_count} aturan` : '✓ Tidak ada' }
+                    ]}
+                  />
+                  <EvidenceCard 
+                    title="Gambar, Teks & Sentuhan"
+                    items={[
+                      { label: 'Gambar Responsif', value: result.mobile.content_images > 0
+                        ? `${result.mobile.content_images - result.mobile.non_responsive_image_count}/${result.mobile.content_images}`
+                        : 'Tidak ada gambar konten' },
+                      { label: 'img max-width: 100%', value: result.mobile.fluid_image_rule ? '✓ Ada' : '✗ Tidak ada' },
+                      { label: 'Font < 12px', value: result.mobile.tiny_font_count > 0 ? `✗ ${result.mobile.tiny_font_count} elemen` : '✓ Tidak ada' },
+                      { label: 'Area Sentuh < 24px', value: result.mobile.small_tap_target_count > 0 ? `✗ ${result.mobile.small_tap_target_count} elemen` : '✓ Tidak ada' }
+                    ]}
+                  />
+                </div>
+                {result.mobile.fixed_width_rules.length > 0 && (
+                  <div className="mt-6">
+                    <h3 className="font-semibold text-gray-900 mb-3">
+                      Aturan Lebar Tetap
+                    </h3>
+                    <ul className="space-y-2 text-sm">
+                      {result.mobile.fixed_width_rules.map((rule, idx) => (
+                        <li key={idx} className="font-mono text-gray-700 break-all">
+                          {rule.selector} {'{'} {rule.declaration} {'}'}
+                          <span className="text-gray-400 font-sans"> ({rule.source === 'inline' ? 'inline style' : 'CSS'})</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Image Optimization */}
+            {result.images && (
+              <div className="bg-white rounded-2xl shadow-xl p-8">
+                <h2 className="text-2xl font-bold text-gray-900 mb-2">
+                  🖼️ Optimasi Gambar
+                </h2>
+                <p className="text-sm text-gray-500 mb-6">
+                  {result.images.image_count} gambar
+                  {result.images.sizes_checked > 0 && ` · ${Math.round(result.images.total_bytes / 1024)} KB dari ${result.images.sizes_checked} gambar yang dicek ukurannya`}
+                  {result.images.findings.length === 0 && ' · tidak ada masalah ditemukan'}
+                </p>
+                <div className="grid md:grid-cols-2 gap-6">
+                  <EvidenceCard 
+                    title="Ringkasan"
+                    items={[
+                      { label: 'Dengan width/height', value: `${result.images.with_dimensions}/${result.images.image_count}` },
+                      { label: 'Lazy-loading', value: `${result.images.lazy_loaded}/${result.images.image_count}` },
+                      { label: 'WebP/AVIF', value: `${result.images.modern_format}/${result.images.image_count}` }
+                    ]}
+                  />
+                  <EvidenceCard 
+                    title="Gambar Hero"
+                    items={result.images.hero ? [
+                      { label: 'File', value: result.images.hero.src.split('/').pop() || result.images.hero.src },
+                      { label: 'Format', value: result.images.hero.format ? result.images.hero.format.toUpperCase() : '-' },
+                      { label: 'Ukuran', value: result.images.hero.bytes !== null ? `${Math.round(result.images.hero.bytes / 1024)} KB` : 'Tidak diketahui' },
+                      { label: 'Loading', value: result.images.hero.loading || 'default (eager)' }
+                    ] : [
+                      { label: 'Hero', value: 'Tidak terdeteksi' }
+                    ]}
+                  />
+                </div>
+                {result.images.findings.length > 0 && (
+                  <ul className="mt-6 space-y-2 text-sm">
+                    {result.images.findings.slice(0, 15).map((finding, idx) => (
+                      <li key={idx} className="flex items-start">
+                        <span className={`flex-shrink-0 text-xs font-semibold px-2 py-1 rounded mr-3 ${finding.severity === 'major' ? 'bg-orange-100 text-orange-800' : 'bg-yellow-100 text-yellow-800'}`}>
+                          {IMAGE_CHECK_LABELS[finding.check] || finding.check}
+                        </span>
+                        <span className="text-gray-700 break-all">{finding.evidence}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+
+            {/* Form Usability */}
+            {result.forms && (
+              <div className="bg-white rounded-2xl shadow-xl p-8">
+                <h2 className="text-2xl font-bold text-gray-900 mb-2">
+                  🧾 Usability Form
+                </h2>
+                <p className="text-sm text-gray-500 mb-6">
+                  Skor {result.forms.score}/100 · {result.forms.form_count} form, {result.forms.field_count} field
+                  {result.forms.findings.length === 0 && ' · tidak ada masalah ditemukan'}
+                </p>
+                <div className="space-y-4">
+                  {result.forms.forms.map((form, idx) => (
+                    <FormFindings
+                      key={idx}
+                      form={form}
+                      findings={result.forms.findings.filter(f => f.form === form.id)}
+                    />
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* Heading Outline */}
+            {result.metadata.heading_outline && result.metadata.heading_outline.length > 0 && (
+              <div className="bg-white rounded-2xl shadow-xl p-8">
+                <h2 className="text-2xl font-bold text-gray-900 mb-2">
+                  🗂️ Struktur Heading
+                </h2>
+                <p className="text-sm text-gray-500 mb-6">
+                  {result.metadata.heading_violations.length > 0
+                    ? `${result.metadata.heading_violations.length} masalah struktur ditemukan`
+                    : 'Struktur heading sudah rapi'}
+                </p>
+                <HeadingOutline
+                  nodes={result.metadata.heading_outline}
+                  violations={result.metadata.heading_violations}
+                />
+              </div>
+            )}
+
+            {/* Color Contrast per Element */}
+            {result.contrast && result.contrast.results.length > 0 && (
+              <div className="bg-white rounded-2xl shadow-xl p-8">
+                <h2 className="text-2xl font-bold text-gray-900 mb-2">
+                  🎨 Kontras Warna (WCAG {result.contrast.level})
+                </h2>
+                <p className="text-sm text-gray-500 mb-6">
+                  {result.contrast.results.filter(r => r.passes_target).length} dari {result.contrast.results.length} elemen memenuhi target
+                </p>
+                <div className="space-y-2">
+                  {result.contrast.results.map((item, idx) => (
+                    <ContrastRow key={idx} item={item} />
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* Accessibility findings: our checks merged with Lighthouse */}
+            {result.accessibility_findings && result.accessibility_findings.length > 0 && (
+              <div className="bg-white rounded-2xl shadow-xl p-8">
+                <h2 className="text-2xl font-bold text-gray-900 mb-2">
+                  ♿ Temuan Aksesibilitas
+                </h2>
+                <p className="text-sm text-gray-500 mb-6">
+                  Cek kami digabung dengan audit aksesibilitas Lighthouse; masalah yang sama hanya ditampilkan sekali
+                </p>
+                <ul className="space-y-3">
+                  {result.accessibility_findings.map((finding, idx) => (
+                    <li key={idx} className="bg-gray-50 rounded-lg p-4">
+                      <div className="flex items-center gap-2 mb-1">
+                        <span className={`text-xs font-semibold px-2 py-1 rounded ${finding.severity === 'major' ? 'bg-orange-100 text-orange-800' : 'bg-yellow-100 text-yellow-800'}`}>
+                          {finding.severity}
+                        </span>
+                        <span className="text-xs px-2 py-1 rounded bg-white border border-gray-200 text-gray-600">
+                          {FINDING_SOURCE_LABELS[finding.source]}
+                        </span>
+                      </div>
+                      <p className="font-medium text-gray-900">{finding.title}</p>
+                      <p className="text-sm text-gray-600 break-all">{finding.evidence}</p>
+                      {finding.locators.length > 0 && <LocatorList locators={finding.locators} />}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {/* Performance: PageSpeed, or the same report estimated offline */}
+            {result.performance?.metrics && (
               <div className="bg-white rounded-2xl shadow-xl p-8">
                 <h2 className="text-2xl font-bold text-gray-900 mb-6">
-                  ⚡ Performance (PageSpeed Insights)
+                  ⚡ Performance ({result.performance.estimated ? 'perkiraan offline' : 'PageSpeed Insights'})
                 </h2>
                 
+                {result.performance.estimated && (
+                  <p className="text-sm text-gray-600 bg-gray-50 rounded-lg p-4 mb-6">
+                    PageSpeed tidak tersedia, jadi metrik di bawah diperkirakan dari resource halaman
+                    ({result.performance.scripts} script, {result.performance.stylesheets} stylesheet, {result.performance.fonts} font,
+                    {' '}{result.performance.images} gambar, {result.performance.iframes} iframe; sedikitnya {Math.round(result.performance.page_weight_bytes / 1024)} KB)
+                    dengan simulasi ponsel di jaringan 4G lambat. Angka bisa berbeda dari pengukuran nyata.
+                  </p>
+                )}
+                
                 {/* Overall Performance Score */}
                 <div className="text-center mb-8 pb-8 border-b">
                   <div className="inline-block">
@@ -338,35 +925,87 @@ export default function Home() {
                   </div>
                 )}
 
+                {/* Core Web Vitals verdict per device (field data when Google has it) */}
+                {result.performance.core_web_vitals && (
+                  <div className="mb-8">
+                    <h3 className="font-semibold text-gray-900 mb-4">✅ Penilaian Core Web Vitals</h3>
+                    <div className="grid md:grid-cols-2 gap-4">
+                      {['mobile', 'desktop'].filter(device => result.performance.core_web_vitals[device]).map(device => (
+                        <VitalsVerdict
+                          key={device}
+                          device={device}
+                          verdict={result.performance.core_web_vitals[device]}
+                        />
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                {/* Field data from real Chrome users (CrUX) */}
+                {result.performance.field && (
+                  <div className="mb-8">
+                    <h3 className="font-semibold text-gray-900 mb-1">👥 Data Pengguna Nyata (CrUX, p75)</h3>
+                    <p className="text-xs text-gray-500 mb-4">
+                      {result.performance.field.scope === 'origin'
+                        ? 'Seluruh situs: halaman ini belum punya cukup kunjungan sendiri'
+                        : 'Halaman ini, 28 hari terakhir'}
+                    </p>
+                    <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+                      {Object.entries(result.performance.field.metrics).map(([metric, value]) => (
+                        <MetricCard
+                          key={metric}
+                          label={metric.toUpperCase()}
+                          value={metric === 'cls' ? value.p75.toFixed(2) : formatTime(value.p75)}
+                          description={METRIC_NAMES[metric]}
+                          rating={value.rating}
+                        />
+                      ))}
+                    </div>
+                  </div>
+                )}
+
                 {/* Key Metrics */}
                 {result.performance.metrics && (
                   <div className="mb-8">
-                    <h3 className="font-semibold text-gray-900 mb-4">📊 Core Web Vitals</h3>
-                    <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+                    <h3 className="font-semibold text-gray-900 mb-4">
+                      📊 Metrik Lab{result.performance.estimated ? ' (perkiraan)' : ''}
+                    </h3>
+                    <div className="grid grid-cols-2 md:grid-cols-6 gap-4">
                       <MetricCard 
                         label="FCP"
                         value={formatTime(result.performance.metrics.fcp)}
                         description="First Contentful Paint"
+                        rating={result.performance.ratings?.fcp}
                       />
                       <MetricCard 
                         label="LCP"
                         value={formatTime(result.performance.metrics.lcp)}
                         description="Largest Contentful Paint"
+                        rating={result.performance.ratings?.lcp}
                       />
                       <MetricCard 
                         label="CLS"
                         value={result.performance.metrics.cls?.toFixed(3) || '0'}
                         description="Cumulative Layout Shift"
+                        rating={result.performance.ratings?.cls}
                       />
                       <MetricCard 
                         label="TBT"
                         value={formatTime(result.performance.metrics.tbt)}
                         description="Total Blocking Time"
+                        rating={result.performance.ratings?.tbt}
                       />
                       <MetricCard 
                         label="SI"
                         value={formatTime(result.performance.metrics.si)}
                         description="Speed Index"
+                        rating={result.performance.ratings?.si}
+                      />
+                      <MetricCard 
+                        label="INP"
+                        value={formatTime(result.performance.metrics.inp)}
+                        description="Interaction to Next Paint"
+                        rating={result.performance.ratings?.inp}
                       />
                     </div>
                   </div>
@@ -393,11 +1032,43 @@ export default function Home() {
                 )}
 
                 <p className="text-xs text-gray-500 mt-6 text-center">
-                  Data from Google PageSpeed Insights
+                  {result.performance.estimated
+                    ? 'Perkiraan offline dari ukuran & jenis resource (slow 4G, CPU 4x lebih lambat)'
+                    : 'Data from Google PageSpeed Insights'}
                 </p>
               </div>
             )}
 
+            {/* Every failing Lighthouse audit with its details table */}
+            {result.performance?.audits && (
+              <div className="bg-white rounded-2xl shadow-xl p-8">
+                <h2 className="text-2xl font-bold text-gray-900 mb-2">
+                  🔎 Audit Lighthouse yang Gagal
+                </h2>
+                <p className="text-sm text-gray-500 mb-6">
+                  Run {result.performance.strategy}; audit aksesibilitas ada di Temuan Aksesibilitas
+                </p>
+                <div className="space-y-6">
+                  {Object.entries(LIGHTHOUSE_CATEGORY_LABELS).map(([key, label]) => (
+                    <div key={key}>
+                      <h3 className="font-semibold text-gray-900 mb-3">
+                        {label} ({(result.performance.audits[key] || []).length})
+                      </h3>
+                      {(result.performance.audits[key] || []).length === 0 ? (
+                        <p className="text-sm text-gray-500">Semua audit lolos</p>
+                      ) : (
+                        <div className="space-y-2">
+                          {result.performance.audits[key].map(audit => (
+                            <LighthouseAudit key={audit.id} audit={audit} />
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
             {/* Issues */}
             {result.analysis.issues.length > 0 && (
               <div className="bg-white rounded-2xl shadow-xl p-8">
@@ -432,6 +1103,8 @@ export default function Home() {
                 onClick={() => {
                   setResult(null);
                   setUrl('');
+                  setHtml('');
+                  setFile(null);
                 }}
                 className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold py-3 px-8 rounded-lg transition"
               >
@@ -451,6 +1124,330 @@ export default function Home() {
   );
 }
 
+// Site Results Component (multi-page rollup)
+function SiteResults({ site, profiles, onReset }) {
+  return (
+    <div className="space-y-6">
+      {/* Average Scores */}
+      <div className="bg-white rounded-2xl shadow-xl p-8">
+        <h2 className="text-3xl font-bold text-gray-900 mb-2">
+          🌐 Skor Rata-rata Situs
+        </h2>
+        <p className="text-sm text-gray-500 mb-6">
+          {site.pages_audited} halaman diaudit
+          {site.pages_failed.length > 0 && `, ${site.pages_failed.length} gagal`}
+          {site.crawl?.pages_blocked_by_robots > 0 && ` (${site.crawl.pages_blocked_by_robots} diblokir robots.txt)`}
+          {site.crawl?.crawl_delay_seconds && ` · Crawl-delay ${site.crawl.crawl_delay_seconds} detik dipatuhi`}
+          {site.crawl?.max_pages_reduced && ` · dibatasi ${site.crawl.max_pages_reduced.allowed} halaman karena Crawl-delay`}
+        </p>
+        <div className="grid grid-cols-2 md:grid-cols-8 gap-4">
+          <ScoreCard label="Total" score={site.average_scores.total} icon="📊" />
+          <ScoreCard label="Content" score={site.average_scores.content} icon="📝" />
+          <ScoreCard label="Layout" score={site.average_scores.layout} icon="🎨" />
+          <ScoreCard label="CTA" score={site.average_scores.cta} icon="🎯" />
+          <ScoreCard label="Accessibility" score={site.average_scores.accessibility} icon="♿" />
+          <ScoreCard label="Mobile" score={site.average_scores.mobile} icon="📱" />
+          {site.average_scores.security !== null && (
+            <ScoreCard label="Security" score={site.average_scores.security} icon="🔒" />
+          )}
+          {site.average_scores.performance !== null && site.average_scores.performance !== undefined && (
+            <ScoreCard label="Performance*" score={site.average_scores.performance} icon="⚡" />
+          )}
+        </div>
+        <p className="text-xs text-gray-500 mt-4">
+          * Mode situs tidak memanggil PageSpeed, jadi Performance diperkirakan dari resource setiap halaman.
+        </p>
+      </div>
+
+      {/* Worst Pages */}
+      <div className="bg-white rounded-2xl shadow-xl p-8">
+        <h2 className="text-2xl font-bold text-gray-900 mb-6">
+          🚨 Halaman dengan Skor Terendah
+        </h2>
+        <div className="space-y-3">
+          {site.worst_pages.map((page, idx) => (
+            <div key={idx} className="flex justify-between items-center bg-red-50 rounded-lg p-4">
+              <div className="min-w-0 mr-4">
+                <p className="font-medium text-gray-900 truncate">{page.title || page.url}</p>
+                <p className="text-xs text-gray-500 truncate">{page.url}</p>
+              </div>
+              <span className="text-2xl font-bold text-gray-900">{page.total}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Recurring Issues */}
+      {site.recurring_issues.length > 0 && (
+        <div className="bg-white rounded-2xl shadow-xl p-8">
+          <h2 className="text-2xl font-bold text-gray-900 mb-6">
+            🔁 Masalah Berulang
+          </h2>
+          <div className="space-y-3">
+            {site.recurring_issues.map((issue, idx) => (
+              <div key={idx} className="border-l-4 border-orange-200 bg-orange-100 text-orange-800 rounded-lg p-4">
+                <p className="font-medium">{FLAG_LABELS[issue.flag] || issue.flag}</p>
+                <p className="text-sm opacity-75">
+                  Ditemukan di {issue.page_count} halaman ({issue.percentage}%)
+                </p>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Per-page Scores */}
+      <div className="bg-white rounded-2xl shadow-xl p-8">
+        <h2 className="text-2xl font-bold text-gray-900 mb-6">
+          📄 Skor per Halaman
+        </h2>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-2 pr-4">Halaman</th>
+                <th className="py-2 px-2">Profil</th>
+                <th className="py-2 px-2 text-center">Total</th>
+                <th className="py-2 px-2 text-center">Content</th>
+                <th className="py-2 px-2 text-center">Layout</th>
+                <th className="py-2 px-2 text-center">CTA</th>
+                <th className="py-2 px-2 text-center">A11y</th>
+                <th className="py-2 px-2 text-center">Mobile</th>
+                <th className="py-2 px-2 text-center">Security</th>
+                <th className="py-2 px-2 text-center" title="Perkiraan offline (tanpa PageSpeed)">Perf*</th>
+              </tr>
+            </thead>
+            <tbody>
+              {site.pages.map((page, idx) => (
+                <tr key={idx} className="border-b last:border-0">
+                  <td className="py-2 pr-4 max-w-xs truncate" title={page.url}>{page.url}</td>
+                  <td className="py-2 px-2 text-gray-500">{profiles.find(option => option.id === page.profile)?.name || page.profile}</td>
+                  <td className="py-2 px-2 text-center font-bold" style={{ color: getScoreColor(page.scores.total) }}>
+                    {page.scores.total}
+                  </td>
+                  <td className="py-2 px-2 text-center">{page.scores.content}</td>
+                  <td className="py-2 px-2 text-center">{page.scores.layout}</td>
+                  <td className="py-2 px-2 text-center">{page.scores.cta}</td>
+                  <td className="py-2 px-2 text-center">{page.scores.accessibility}</td>
+                  <td className="py-2 px-2 text-center">{page.scores.mobile}</td>
+                  <td className="py-2 px-2 text-center">{page.scores.security ?? '-'}</td>
+                  <td className="py-2 px-2 text-center">{page.scores.performance ?? '-'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Audit Another */}
+      <div className="text-center">
+        <button
+          onClick={onReset}
+          className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold py-3 px-8 rounded-lg transition"
+        >
+          🔄 Audit Website Lain
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Human-readable labels for scorer flags
+const FLAG_LABELS = {
+  multiple_h1: 'Lebih dari satu H1',
+  no_h1: 'Tidak ada H1',
+  heading_level_skipped: 'Level heading dilompati',
+  misused_headings: 'Heading kosong, terlalu panjang, atau untuk styling',
+  low_contrast: 'Kontras warna rendah',
+  no_primary_cta: 'Tidak ada CTA utama',
+  low_text_ratio: 'Rasio teks rendah',
+  placeholder_text_detected: 'Teks placeholder terdeteksi',
+  missing_alt_text: 'Banyak gambar tanpa alt text',
+  too_many_ctas: 'Terlalu banyak CTA',
+  small_font: 'Ukuran font terlalu kecil',
+  no_meta_description: 'Meta description tidak ada',
+  long_redirect_chain: 'Rantai redirect terlalu panjang',
+  https_downgrade: 'Redirect turun dari HTTPS ke HTTP',
+  not_https: 'Tidak memakai HTTPS',
+  missing_hsts: 'HSTS tidak aktif',
+  missing_csp: 'Tidak ada Content-Security-Policy',
+  clickjacking_unprotected: 'Tidak ada proteksi clickjacking',
+  missing_referrer_policy: 'Referrer-Policy tidak ada',
+  missing_permissions_policy: 'Permissions-Policy tidak ada',
+  mixed_content: 'Mixed content (resource HTTP)',
+  poor_form_usability: 'Usability form rendah',
+  placeholder_as_label: 'Placeholder dipakai sebagai label',
+  wrong_input_types: 'Tipe input form tidak sesuai',
+  paste_blocked: 'Form memblokir paste',
+  no_viewport: 'Tidak ada meta viewport',
+  zoom_disabled: 'Zoom dinonaktifkan di viewport',
+  fixed_width_layout: 'Layout lebar tetap',
+  non_responsive_images: 'Gambar tidak responsif',
+  tiny_fonts: 'Font di bawah 12px',
+  image_cls_risk: 'Gambar tanpa width/height (CLS)',
+  missing_lazy_loading: 'Gambar tanpa lazy-loading',
+  legacy_image_formats: 'Format gambar lama',
+  heavy_hero_image: 'Gambar hero terlalu berat',
+  poor_performance: 'Performa halaman buruk',
+  slow_lcp: 'Konten utama lambat tampil (LCP)',
+  high_tbt: 'Halaman lambat merespons (TBT)',
+  layout_shift: 'Tata letak bergeser (CLS)',
+  heavy_page: 'Halaman terlalu berat',
+  render_blocking_resources: 'Resource memblokir render',
+  core_web_vitals_failed: 'Tidak lolos Core Web Vitals',
+  hard_to_read: 'Teks sulit dibaca',
+  passive_voice_heavy: 'Terlalu banyak kalimat pasif',
+  jargon_heavy: 'Terlalu banyak jargon'
+};
+
+const CATEGORY_LABELS = {
+  content: 'Content',
+  layout: 'Layout',
+  cta: 'CTA',
+  accessibility: 'Accessibility',
+  mobile: 'Mobile',
+  security: 'Security',
+  performance: 'Performance'
+};
+
+// Listed before the profiles from lib/profiles.js; detects the page type per page
+const AUTO_PROFILE_OPTION = { id: 'auto', label: 'Deteksi otomatis', description: 'Pilih profil dari jenis halaman yang terdeteksi' };
+
+const CONFIDENCE_LABELS = {
+  high: 'tinggi',
+  medium: 'sedang',
+  low: 'rendah'
+};
+
+const IMAGE_CHECK_LABELS = {
+  missing_dimensions: 'Tanpa ukuran',
+  missing_lazy_loading: 'Tanpa lazy',
+  lazy_hero: 'Hero lazy',
+  legacy_format: 'Format lama',
+  heavy_hero: 'Hero berat',
+  heavy_image: 'Gambar berat'
+};
+
+// Form Findings Component (per-field evidence for one form)
+function FormFindings({ form, findings }) {
+  const checkLabels = {
+    placeholder_as_label: 'Placeholder sebagai label',
+    input_type: 'Tipe input',
+    autocomplete: 'Autocomplete',
+    required_not_marked: 'Wajib tidak ditandai',
+    required_not_enforced: 'Tanda wajib tanpa required',
+    ungrouped_options: 'Pilihan tanpa fieldset',
+    vague_submit: 'Tombol submit',
+    no_submit_button: 'Tanpa tombol submit',
+    paste_blocked: 'Paste diblokir',
+    password_no_toggle: 'Password tanpa toggle',
+    too_many_fields: 'Terlalu banyak field',
+  };
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4">
+      <div className="flex items-center justify-between mb-2">
+        <code className="text-sm font-semibold text-gray-900">{form.id}</code>
+        <span className="text-xs text-gray-500">
+          {form.field_count} field{form.submit_text ? ` · tombol "${form.submit_text}"` : ''}
+        </span>
+      </div>
+      {findings.length > 0 ? (
+        <ul className="space-y-1">
+          {findings.map((finding, idx) => (
+            <li key={idx} className="text-sm flex items-start">
+              <span className={`flex-shrink-0 text-xs px-2 py-0.5 rounded mr-2 ${
+                finding.severity === 'major' ? 'bg-orange-100 text-orange-800' : 'bg-yellow-100 text-yellow-800'
+              }`}>
+                {checkLabels[finding.check] || finding.check}
+              </span>
+              <span className="text-gray-700 break-all">{finding.evidence}</span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-green-700">✓ Tidak ada masalah</p>
+      )}
+    </div>
+  );
+}
+
+// Heading Outline Component (recursive tree)
+function HeadingOutline({ nodes, violations }) {
+  const violationLabels = {
+    skipped_level: 'level dilompati',
+    empty: 'kosong',
+    styling_only: 'hanya styling',
+    too_long: 'terlalu panjang',
+  };
+
+  return (
+    <ul className="space-y-1">
+      {nodes.map(node => {
+        const nodeViolations = violations.filter(v => v.index === node.index);
+        return (
+          <li key={node.index}>
+            <div className={`flex items-start rounded px-2 py-1 ${nodeViolations.length > 0 ? 'bg-red-50' : ''}`}>
+              <span className="flex-shrink-0 text-xs font-mono font-semibold px-2 py-0.5 rounded bg-indigo-100 text-indigo-800 mr-2">
+                H{node.level}
+              </span>
+              <span className={`text-sm ${node.text ? 'text-gray-800' : 'text-gray-400 italic'}`}>
+                {node.text || '(kosong)'}
+              </span>
+              {nodeViolations.map((v, idx) => (
+                <span key={idx} className="flex-shrink-0 text-xs px-2 py-0.5 rounded bg-red-100 text-red-800 ml-2">
+                  {violationLabels[v.type]}
+                </span>
+              ))}
+            </div>
+            {node.children.length > 0 && (
+              <div className="ml-6 border-l border-gray-200 pl-2">
+                <HeadingOutline nodes={node.children} violations={violations} />
+              </div>
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+// Contrast Row Component
+function ContrastRow({ item }) {
+  const levelColors = {
+    AAA: 'bg-green-100 text-green-800',
+    AA: 'bg-blue-100 text-blue-800',
+    fail: 'bg-red-100 text-red-800',
+  };
+
+  return (
+    <div className={`flex items-center justify-between rounded-lg p-3 ${item.passes_target ? 'bg-gray-50' : 'bg-red-50'}`}>
+      <div className="flex items-center min-w-0">
+        <span
+          className="flex-shrink-0 w-10 h-10 rounded flex items-center justify-center text-sm font-bold mr-3 border border-gray-200"
+          style={{ color: item.fg, backgroundColor: item.bg }}
+        >
+          Aa
+        </span>
+        <div className="min-w-0">
+          <p className="text-sm font-medium text-gray-900 truncate">
+            <code>{item.element}</code> {item.text && <span className="text-gray-500">"{item.text}"</span>}
+          </p>
+          <p className="text-xs text-gray-500">
+            {item.fg} / {item.bg} · teks {item.size_class === 'large' ? 'besar' : 'normal'}
+          </p>
+        </div>
+      </div>
+      <div className="flex items-center flex-shrink-0 ml-4">
+        <span className="text-sm font-semibold text-gray-900 mr-3">{item.ratio}:1</span>
+        <span className={`text-xs px-2 py-1 rounded font-medium ${levelColors[item.level]}`}>
+          {item.level === 'fail' ? 'Gagal' : item.level}
+        </span>
+      </div>
+    </div>
+  );
+}
+
 // Performance Bar Component
 function PerformanceBar({ label, score }) {
   const getColor = (score) => {
@@ -476,16 +1473,139 @@ function PerformanceBar({ label, score }) {
 }
 
 // Metric Card Component
-function MetricCard({ label, value, description }) {
+function MetricCard({ label, value, description, rating }) {
+  const style = RATING_STYLES[rating];
   return (
-    <div className="bg-gray-50 rounded-lg p-4 text-center">
+    <div className={`rounded-lg p-4 text-center ${style ? style.card : 'bg-gray-50'}`}>
       <div className="text-xs text-gray-500 mb-1">{label}</div>
-      <div className="text-xl font-bold text-gray-900">{value}</div>
+      <div className={`text-xl font-bold ${style ? style.text : 'text-gray-900'}`}>{value}</div>
       <div className="text-xs text-gray-500 mt-1">{description}</div>
+      {style && <div className={`text-xs font-medium mt-1 ${style.text}`}>{style.label}</div>}
     </div>
   );
 }
 
+// One failing Lighthouse audit, expandable to its details table
+function LighthouseAudit({ audit }) {
+  const savings = [
+    audit.savings_ms > 0 ? `~${formatTime(audit.savings_ms)}` : null,
+    audit.savings_bytes > 0 ? `~${Math.round(audit.savings_bytes / 1024)} KB` : null
+  ].filter(Boolean);
+
+  return (
+    <details className="border border-gray-200 rounded-lg">
+      <summary className="cursor-pointer p-3 flex items-center justify-between gap-2">
+        <span className="font-medium text-gray-900">
+          <span className={audit.score < 0.5 ? 'text-red-600' : 'text-orange-500'}>▲</span> {audit.title}
+        </span>
+        <span className="text-xs text-gray-500 shrink-0">
+          {[audit.display_value, ...savings].filter(Boolean).join(' · ')}
+        </span>
+      </summary>
+      <div className="px-3 pb-3">
+        <p className="text-sm text-gray-600 mb-3">{audit.description.replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')}</p>
+        {audit.items.length > 0 && audit.headings.length > 0 && (
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  {audit.headings.map(heading => (
+                    <th key={heading.key} className="py-1 pr-3 font-medium">{heading.label}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {audit.items.map((item, idx) => (
+                  <tr key={idx} className="border-b last:border-0 align-top">
+                    {audit.headings.map(heading => (
+                      <td key={heading.key} className="py-1 pr-3 font-mono text-gray-700 break-all">
+                        {formatAuditValue(item[heading.key], heading.type)}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {audit.item_count > audit.items.length && (
+              <p className="text-xs text-gray-500 mt-2">+{audit.item_count - audit.items.length} lainnya</p>
+            )}
+          </div>
+        )}
+      </div>
+    </details>
+  );
+}
+
+// Lighthouse table cell by its value type
+function formatAuditValue(value, type) {
+  if (value === null || value === undefined || value === '') return '-';
+  if (typeof value !== 'number') return String(value);
+  if (type === 'bytes') return `${Math.round(value / 1024)} KB`;
+  if (type === 'ms' || type === 'timespanMs') return value ? formatTime(value) : '0ms';
+  return Math.round(value * 100) / 100;
+}
+
+// Core Web Vitals pass/fail for one device
+function VitalsVerdict({ device, verdict }) {
+  const source = verdict.source === 'field'
+    ? `Data pengguna nyata (${verdict.scope === 'origin' ? 'seluruh situs' : 'halaman ini'})`
+    : verdict.source === 'estimate' ? 'Perkiraan offline' : 'Data lab (TBT menggantikan INP)';
+
+  return (
+    <div className={`rounded-lg p-4 border ${verdict.passed ? 'bg-green-50 border-green-200' : 'bg-red-50 border-red-200'}`}>
+      <div className="flex items-center justify-between mb-2">
+        <span className="font-medium text-gray-900">{device === 'mobile' ? '📱 Mobile' : '💻 Desktop'}</span>
+        <span className={`text-sm font-bold ${verdict.passed ? 'text-green-700' : 'text-red-700'}`}>
+          {verdict.passed ? 'Lolos' : 'Tidak lolos'}
+        </span>
+      </div>
+      <div className="flex flex-wrap gap-2 mb-2">
+        {Object.entries(verdict.metrics).map(([metric, value]) => {
+          const label = (value.proxy || metric).toUpperCase();
+          return (
+            <span key={metric} className={`text-xs px-2 py-1 rounded ${RATING_STYLES[value.rating]?.card || 'bg-gray-100'}`}>
+              {label} {metric === 'cls' ? value.value.toFixed(2) : formatTime(value.value)}
+            </span>
+          );
+        })}
+      </div>
+      <p className="text-xs text-gray-500">{source}</p>
+    </div>
+  );
+}
+
+const CACHE_STAGES = [
+  ['crawl', 'halaman'],
+  ['pagespeed', 'PageSpeed'],
+  ['ai', 'analisis AI']
+];
+
+const FINDING_SOURCE_LABELS = {
+  audit: 'Cek kami',
+  lighthouse: 'Lighthouse',
+  both: 'Cek kami + Lighthouse'
+};
+
+const LIGHTHOUSE_CATEGORY_LABELS = {
+  performance: 'Performance',
+  bestPractices: 'Best Practices',
+  seo: 'SEO'
+};
+
+const RATING_STYLES = {
+  good: { card: 'bg-green-50', text: 'text-green-700', label: 'Bagus' },
+  'needs-improvement': { card: 'bg-yellow-50', text: 'text-yellow-700', label: 'Perlu perbaikan' },
+  poor: { card: 'bg-red-50', text: 'text-red-700', label: 'Buruk' }
+};
+
+const METRIC_NAMES = {
+  lcp: 'Largest Contentful Paint',
+  inp: 'Interaction to Next Paint',
+  cls: 'Cumulative Layout Shift',
+  fcp: 'First Contentful Paint',
+  ttfb: 'Time to First Byte'
+};
+
 // Format time helper
 function formatTime(ms) {
   if (!ms) return 'N/A';
@@ -573,6 +1693,25 @@ function LoadingProgress() {
 }
 
 // Helper Functions
+// Failed ledger rules across categories, biggest point loss first
+function getLostPoints(ledger) {
+  return Object.values(ledger)
+    .filter(Boolean)
+    .flatMap(category => category.rules)
+    .filter(rule => !rule.passed)
+    .sort((a, b) => (b.possible - b.points) - (a.possible - a.points));
+}
+
+// "12/15", or "-10" for penalties
+function formatRulePoints(rule) {
+  if (rule.penalty) return rule.points < 0 ? `${rule.points}` : '0';
+  return `${rule.points}/${rule.possible}`;
+}
+
+function formatWeight(weight) {
+  return `${Math.round(weight * 100)}%`;
+}
+
 function getScoreColor(score) {
   if (score >= 80) return '#10b981';
   if (score >= 60) return '#f59e0b';
@@ -598,7 +1737,7 @@ function StatCard({ icon, label, value }) {
 }
 
 // Score Progress Bar Component
-function ScoreProgressBar({ label, score, description, icon }) {
+function ScoreProgressBar({ label, score, description, icon, ledger }) {
   const getColor = (score) => {
     if (score >= 80) return 'bg-green-500';
     if (score >= 60) return 'bg-yellow-500';
@@ -629,6 +1768,29 @@ function ScoreProgressBar({ label, score, description, icon }) {
           style={{ width: `${score}%` }}
         />
       </div>
+      {ledger && (
+        <details className="mt-3">
+          <summary className="text-xs text-gray-600 cursor-pointer">
+            Rincian poin ({ledger.rules.filter(rule => !rule.passed).length} dari {ledger.rules.length} pengecekan kehilangan poin)
+          </summary>
+          <ul className="mt-2 space-y-1">
+            {ledger.rules.map(rule => (
+              <li key={rule.id} className="flex justify-between items-start text-xs">
+                <span className={rule.passed ? 'text-gray-600' : 'text-gray-900'}>
+                  {rule.passed ? '✅' : rule.points > 0 ? '🟡' : '❌'} {rule.title}
+                  <span className="block text-gray-500 ml-5">{rule.evidence}</span>
+                </span>
+                <span className={`font-mono ml-4 whitespace-nowrap ${rule.passed ? 'text-gray-500' : 'text-red-600'}`}>
+                  {formatRulePoints(rule)}
+                </span>
+              </li>
+            ))}
+          </ul>
+          {ledger.earned !== ledger.score && (
+            <p className="text-xs text-gray-500 mt-2">Total poin {ledger.earned}, skor dibatasi 0-100.</p>
+          )}
+        </details>
+      )}
     </div>
   );
 }
@@ -640,13 +1802,18 @@ function EvidenceCard({ title, items }) {
       <h3 className="font-semibold text-gray-900 mb-4">{title}</h3>
       <div className="space-y-3">
         {items.map((item, idx) => (
-          <div key={idx} className="flex justify-between items-start">
-            <span className="text-sm text-gray-600">{item.label}:</span>
-            <span className="text-sm font-medium text-gray-900 text-right ml-4">
-              {typeof item.value === 'string' && item.value.length > 50 
-                ? item.value.substring(0, 50) + '...' 
-                : item.value}
-            </span>
+          <div key={idx}>
+            <div className="flex justify-between items-start">
+              <span className="text-sm text-gray-600">{item.label}:</span>
+              <span className="text-sm font-medium text-gray-900 text-right ml-4">
+                {typeof item.value === 'string' && item.value.length > 50 
+                  ? item.value.substring(0, 50) + '...' 
+                  : item.value}
+              </span>
+            </div>
+            {item.detail && (
+              <p className="text-xs text-gray-500 mt-1">{item.detail}</p>
+            )}
           </div>
         ))}
       </div>
@@ -702,12 +1869,58 @@ function IssueCard({ issue }) {
           </div>
           <p className="font-medium mb-1">{issue.description}</p>
           <p className="text-sm opacity-75">{issue.evidence}</p>
+          {issue.locators && issue.locators.length > 0 && (
+            <LocatorList locators={issue.locators} />
+          )}
         </div>
       </div>
     </div>
   );
 }
 
+// Offending elements of an issue: selector path, source line and HTML snippet
+function LocatorList({ locators }) {
+  const [copied, setCopied] = useState(null);
+
+  const copySelector = async (selector, idx) => {
+    try {
+      await navigator.clipboard.writeText(selector);
+      setCopied(idx);
+      setTimeout(() => setCopied(current => (current === idx ? null : current)), 1500);
+    } catch (err) {
+      // Clipboard blocked (e.g. insecure context): the selector stays selectable
+    }
+  };
+
+  return (
+    <details className="mt-2">
+      <summary className="text-xs font-medium cursor-pointer">
+        📍 {locators.length} elemen bermasalah
+      </summary>
+      <ul className="mt-2 space-y-2">
+        {locators.map((locator, idx) => (
+          <li key={idx} className="bg-white bg-opacity-70 rounded p-2 text-xs">
+            <div className="flex items-start justify-between gap-2">
+              <code className="font-mono break-all text-gray-900">{locator.selector}</code>
+              <button
+                type="button"
+                onClick={() => copySelector(locator.selector, idx)}
+                className="shrink-0 px-2 py-0.5 border border-gray-300 rounded bg-white text-gray-700 hover:bg-gray-100"
+              >
+                {copied === idx ? '✓ Tersalin' : '📋 Salin'}
+              </button>
+            </div>
+            {locator.line && (
+              <p className="text-gray-500 mt-1">Baris {locator.line} di HTML sumber</p>
+            )}
+            <pre className="mt-1 font-mono text-gray-600 whitespace-pre-wrap break-all">{locator.snippet}</pre>
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+}
+
 // Recommendation Card Component
 function RecommendationCard({ rec, index }) {
   const impactColors = {